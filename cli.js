@@ -0,0 +1,836 @@
+#!/usr/bin/env node
+// cli.js - Command-line interface for indexing, searching and inspecting notes
+
+const { configureStorage } = require('./storage');
+const { PHASE_LABELS } = require('./scheduler');
+const { version } = require('./package.json');
+
+// Exit codes, so scripts and git hooks can tell outcomes apart
+const EXIT_OK = 0;
+const EXIT_NOT_FOUND = 1;
+const EXIT_USAGE = 2;
+const EXIT_FAILURE = 3;
+const EXIT_INTERRUPTED = 130;
+
+// Options every command accepts
+const GLOBAL_OPTIONS = {
+  'storage-dir': 'string',
+  storage: 'string',
+  verbose: 'boolean',
+  help: 'boolean'
+};
+
+const SEARCH_FORMATS = ['table', 'json', 'markdown'];
+const SNIPPET_FORMATS = ['markdown', 'json', 'raw'];
+const NOTE_FORMATS = ['markdown', 'text', 'html', 'json'];
+const SORT_ORDERS = ['relevance', 'dateNewest', 'dateOldest', 'alphabetical'];
+const EXPORT_FORMATS = ['markdown', 'json', 'html'];
+const IMPORT_TYPES = ['enex', 'markdown'];
+
+/**
+ * Error raised for invalid command-line arguments
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Split arguments into positional arguments and options
+ * @param {Array} args - Arguments after the command name
+ * @param {Object} spec - Option name to 'string' or 'boolean'
+ * @returns {Object} { positional, options }
+ * @throws {UsageError} If an option is unknown or lacks its value
+ */
+function parseArguments(args, spec) {
+  const positional = [];
+  const options = {};
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+    
+    if (!arg.startsWith('--') && arg !== '-h') {
+      positional.push(arg);
+      continue;
+    }
+    
+    const [name, inline] = arg === '-h' ? ['help'] : arg.slice(2).split(/=(.*)/s);
+    const type = spec[name];
+    
+    if (!type) {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+    
+    if (type === 'boolean') {
+      if (inline !== undefined) {
+        throw new UsageError(`Option --${name} does not take a value`);
+      }
+      options[name] = true;
+    } else {
+      const value = inline !== undefined ? inline : args[++i];
+      
+      if (value === undefined || value === '') {
+        throw new UsageError(`Option --${name} needs a value`);
+      }
+      options[name] = value;
+    }
+  }
+  
+  return { positional, options };
+}
+
+/**
+ * Read a whole-number option
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @param {number} min - Smallest allowed value
+ * @returns {number|undefined} The number, or undefined if not given
+ * @throws {UsageError} If the value is not a whole number of at least min
+ */
+function integerOption(options, name, min) {
+  if (options[name] === undefined) {
+    return undefined;
+  }
+  
+  const value = Number(options[name]);
+  
+  if (!Number.isInteger(value) || value < min) {
+    throw new UsageError(`--${name} must be a whole number of at least ${min}`);
+  }
+  return value;
+}
+
+/**
+ * Read an option restricted to a list of values
+ * @param {Object} options - Parsed options
+ * @param {string} name - Option name
+ * @param {Array} choices - Allowed values, the first being the default
+ * @returns {string} The chosen value
+ * @throws {UsageError} If the value is not one of the choices
+ */
+function choiceOption(options, name, choices) {
+  const value = options[name] === undefined ? choices[0] : options[name];
+  
+  if (!choices.includes(value)) {
+    throw new UsageError(`--${name} must be one of ${choices.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * Write a line to standard output
+ * @param {string} text - Text to write
+ */
+function print(text) {
+  process.stdout.write(text + '\n');
+}
+
+/**
+ * Write an object as JSON to standard output, without the UI's HTML
+ * @param {Object} value - Command result or other data
+ */
+function printJson(value) {
+  const { html, success, ...data } = value;
+  print(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Shorten text to a column width
+ * @param {string} text - Text
+ * @param {number} width - Maximum length
+ * @returns {string} Text, cut with an ellipsis if too long
+ */
+function truncate(text, width) {
+  const single = String(text || '').replace(/\s+/g, ' ');
+  return single.length > width ? single.slice(0, width - 1) + '…' : single;
+}
+
+/**
+ * Lay rows out as an aligned text table
+ * @param {Array} headers - Column titles
+ * @param {Array} rows - Rows of cell strings
+ * @returns {string} Table with a header rule
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  
+  return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Progress bar for indexing, drawn on standard error
+ * @param {Object} progress - { phase, current, total, note } from the sync
+ */
+function drawProgress({ phase, current, total, note }) {
+  const width = 30;
+  const filled = phase === 'fetching' ? 0 : total > 0 ? Math.round((current / total) * width) : width;
+  const bar = '#'.repeat(filled) + '-'.repeat(width - filled);
+  const label = phase === 'saving' ? `${current}/${total} ${truncate(note, 40)}` : PHASE_LABELS[phase];
+  
+  process.stderr.write(`\r[${bar}] ${label}\x1b[K`);
+}
+
+/**
+ * Exit code for a failed command result
+ * @param {Object} result - Command result with success false
+ * @returns {number} EXIT_FAILURE, after reporting the error
+ */
+function failed(result) {
+  process.stderr.write(`Error: ${result.error}\n`);
+  return EXIT_FAILURE;
+}
+
+// Report query syntax errors as usage errors rather than failures
+function checkQuery(indexer, query) {
+  try {
+    indexer.parseQuery(query);
+  } catch (error) {
+    if (error instanceof indexer.QuerySyntaxError) {
+      throw new UsageError(error.message);
+    }
+    throw error;
+  }
+}
+
+async function runIndex(indexer, positional, options) {
+  if (positional.length > 0) {
+    throw new UsageError('index takes no arguments');
+  }
+  
+  // Ctrl-C cancels the sync at the next note instead of killing it halfway
+  // through a write; a second Ctrl-C exits at once
+  const controller = new AbortController();
+  const interrupt = () => controller.abort();
+  process.once('SIGINT', interrupt);
+  
+  const showProgress = process.stderr.isTTY && !options.quiet;
+  const result = await indexer.indexNotes({
+    full: !!options.full,
+    onProgress: showProgress ? drawProgress : () => {},
+    signal: controller.signal
+  });
+  
+  process.removeListener('SIGINT', interrupt);
+  
+  if (showProgress) {
+    process.stderr.write('\n');
+  }
+  
+  if (result.cancelled) {
+    process.stderr.write('Indexing cancelled. Notes saved so far are kept.\n');
+    return EXIT_INTERRUPTED;
+  }
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(indexer.formatIndexStats(result));
+  }
+  return EXIT_OK;
+}
+
+async function runWatch(indexer, positional, options) {
+  if (positional.length > 0) {
+    throw new UsageError('watch takes no arguments');
+  }
+  
+  const intervalMinutes = options.interval === undefined ? undefined : Number(options.interval);
+  
+  if (intervalMinutes !== undefined && !(intervalMinutes >= 0)) {
+    throw new UsageError('--interval must be a number of minutes, or 0 to sync on changes only');
+  }
+  if (intervalMinutes === 0 && options['interval-only']) {
+    throw new UsageError('--interval 0 and --interval-only leave nothing to start a sync');
+  }
+  
+  const result = await indexer.startWatching({
+    intervalMinutes,
+    onChange: options['interval-only'] ? false : undefined,
+    onJob: job => (options.json ? print(JSON.stringify(job.toJSON())) : print(`${job.finishedAt} ${indexer.formatJob(job.toJSON())}`))
+  });
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  const { intervalMinutes: interval, watching } = result.watch;
+  const schedule = interval > 0 ? `every ${indexer.countOf(interval, 'minute')}` : 'on changes only';
+  const paths = watching.length > 0 ? `, watching ${watching.join(', ')}` : '';
+  
+  process.stderr.write(`Syncing ${schedule}${paths}. Press Ctrl-C to stop.\n`);
+  
+  // Run until interrupted, then let a running sync stop cleanly
+  await new Promise(resolve => process.once('SIGINT', resolve));
+  await indexer.shutdown();
+  return EXIT_OK;
+}
+
+async function runSearch(indexer, positional, options) {
+  const query = positional.join(' ').trim();
+  
+  if (!query) {
+    throw new UsageError('search needs a query');
+  }
+  
+  const format = choiceOption(options, 'format', SEARCH_FORMATS);
+  const searchOptions = {
+    folder: options.folder,
+    sortBy: options.sort === undefined ? undefined : choiceOption(options, 'sort', SORT_ORDERS),
+    limit: integerOption(options, 'limit', 1),
+    offset: integerOption(options, 'offset', 0),
+    exact: !!options.exact
+  };
+  
+  if (options.from || options.to) {
+    searchOptions.dateRange = { start: options.from, end: options.to };
+  }
+  
+  checkQuery(indexer, query);
+  
+  const result = await indexer.searchNotes(query, searchOptions);
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  const first = result.offset + 1;
+  const last = result.offset + result.count;
+  const more = result.hasMore ? ` Next page: --offset ${last}` : '';
+  
+  if (format === 'json') {
+    printJson({
+      ...result,
+      query,
+      results: result.results.map(note => ({
+        id: note.id,
+        name: note.name,
+        account: note.account,
+        folder: note.folder,
+        creationDate: note.creationDate,
+        modificationDate: note.modificationDate,
+        tags: note.tags,
+        score: note.score,
+        snippets: (note.snippets || []).map(snippet => indexer.renderSnippet(snippet, '', ''))
+      }))
+    });
+  } else if (result.count === 0) {
+    print('No notes found.');
+  } else if (format === 'table') {
+    print(formatTable(
+      ['#', 'Name', 'Folder', 'Modified', 'ID'],
+      result.results.map((note, i) => [
+        String(first + i),
+        truncate(note.name, 40),
+        truncate(indexer.qualifiedFolder(note), 30),
+        new Date(note.modificationDate).toISOString().slice(0, 10),
+        note.id
+      ])
+    ));
+    print(`\nShowing ${first}-${last} of ${result.total}.${more}`);
+  } else {
+    result.results.forEach(note => {
+      print(`## ${note.name}\n`);
+      print(`- id: \`${note.id}\``);
+      print(`- folder: ${indexer.qualifiedFolder(note)}`);
+      print(`- modified: ${indexer.formatDate(note.modificationDate)}`);
+      (note.snippets || []).forEach(snippet => print(`\n> ${indexer.renderSnippet(snippet, '**', '**').replace(/\s+/g, ' ')}`));
+      print('');
+    });
+    print(`_Showing ${first}-${last} of ${result.total}._${more}`);
+  }
+  
+  if (format !== 'json') {
+    if (result.approximate) {
+      print('Includes approximate matches. Use --exact to match the words as written.');
+    }
+    if (result.didYouMean) {
+      print(`Did you mean: ${result.didYouMean}`);
+    }
+  }
+  
+  return result.total === 0 ? EXIT_NOT_FOUND : EXIT_OK;
+}
+
+async function runSnippets(indexer, positional, options) {
+  const query = positional.join(' ').trim();
+  const format = choiceOption(options, 'format', SNIPPET_FORMATS);
+  
+  if (options.lang !== undefined && !indexer.normalizeCodeLanguage(options.lang)) {
+    throw new UsageError(`Unknown language "${options.lang}" for --lang`);
+  }
+  if (query) {
+    checkQuery(indexer, query);
+  }
+  
+  const result = await indexer.searchSnippets(query, {
+    language: options.lang,
+    folder: options.folder,
+    limit: integerOption(options, 'limit', 1),
+    offset: integerOption(options, 'offset', 0)
+  });
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  if (format === 'json') {
+    printJson({ ...result, query });
+  } else if (result.count === 0) {
+    if (format !== 'raw') {
+      print('No code snippets found.');
+    }
+  } else if (format === 'raw') {
+    // Just the code, e.g. to pipe into pbcopy or a file
+    print(result.results.map(snippet => snippet.code).join('\n\n'));
+  } else {
+    const first = result.offset + 1;
+    const last = result.offset + result.count;
+    const more = result.hasMore ? ` Next page: --offset ${last}` : '';
+    
+    result.results.forEach(snippet => {
+      const fence = snippet.code.includes('```') ? '````' : '```';
+      
+      print(`## ${snippet.noteName} (${snippet.language})\n`);
+      print(`- id: \`${snippet.id}\``);
+      print(`- folder: ${indexer.qualifiedFolder(snippet)}\n`);
+      print(`${fence}${snippet.language === 'text' ? '' : snippet.language}\n${snippet.code}\n${fence}\n`);
+    });
+    print(`_Showing ${first}-${last} of ${result.total}._${more}`);
+  }
+  
+  return result.total === 0 ? EXIT_NOT_FOUND : EXIT_OK;
+}
+
+async function runShow(indexer, positional, options) {
+  if (positional.length !== 1) {
+    throw new UsageError('show needs exactly one note ID');
+  }
+  
+  const format = choiceOption(options, 'format', NOTE_FORMATS);
+  const result = await indexer.getNote(positional[0]);
+  
+  if (!result.success) {
+    if (result.notFound) {
+      process.stderr.write(`${result.error}\n`);
+      return EXIT_NOT_FOUND;
+    }
+    return failed(result);
+  }
+  
+  if (format === 'json') {
+    print(JSON.stringify(result.note, null, 2));
+  } else {
+    print(indexer.formatNote(result.note, format));
+  }
+  return EXIT_OK;
+}
+
+async function runStats(indexer, positional, options) {
+  if (positional.length > 0) {
+    throw new UsageError('stats takes no arguments');
+  }
+  
+  const result = await indexer.viewIndex();
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(indexer.formatIndexStats(result));
+  }
+  return EXIT_OK;
+}
+
+async function runFolders(indexer, positional, options) {
+  if (positional.length > 1) {
+    throw new UsageError('folders takes at most one folder path');
+  }
+  
+  const [folder] = positional;
+  const result = await indexer.getNotesByFolder(folder, options.account);
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(indexer.formatFolderListing(result));
+  }
+  
+  // A folder with neither notes nor subfolders does not exist
+  const missing = folder && result.count === 0 && result.subfolders.length === 0;
+  return missing ? EXIT_NOT_FOUND : EXIT_OK;
+}
+
+// A --from or --to revision: a number or 'current'
+function revisionOption(options, name) {
+  const value = options[name];
+  
+  if (value === undefined || value === 'current') {
+    return value;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new UsageError(`--${name} must be a revision number or "current"`);
+  }
+  return Number(value);
+}
+
+async function runHistory(indexer, positional, options) {
+  if (positional.length !== 1) {
+    throw new UsageError('history needs exactly one note ID');
+  }
+  
+  const result = await indexer.noteHistory(positional[0], {
+    from: revisionOption(options, 'from'),
+    to: revisionOption(options, 'to')
+  });
+  
+  if (!result.success) {
+    if (result.notFound) {
+      process.stderr.write(`${result.error}\n`);
+      return EXIT_NOT_FOUND;
+    }
+    return failed(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(indexer.formatNoteHistory(result));
+  }
+  return EXIT_OK;
+}
+
+async function runRelated(indexer, positional, options) {
+  if (positional.length !== 1) {
+    throw new UsageError('related needs exactly one note ID');
+  }
+  
+  const result = await indexer.relatedNotes(positional[0], { limit: integerOption(options, 'limit', 1) });
+  
+  if (!result.success) {
+    if (result.notFound) {
+      process.stderr.write(`${result.error}\n`);
+      return EXIT_NOT_FOUND;
+    }
+    return failed(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(indexer.formatRelatedNotes(result));
+  }
+  return result.related.length === 0 ? EXIT_NOT_FOUND : EXIT_OK;
+}
+
+async function runDuplicates(indexer, positional, options) {
+  if (positional.length > 0) {
+    throw new UsageError('duplicates takes no arguments');
+  }
+  
+  let threshold;
+  if (options.threshold !== undefined) {
+    threshold = Number(options.threshold);
+    
+    if (!(threshold >= 0.5 && threshold <= 1)) {
+      throw new UsageError('--threshold must be a number from 0.5 to 1');
+    }
+  }
+  
+  const result = await indexer.findDuplicates({ threshold, folder: options.folder });
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(indexer.formatDuplicates(result));
+  }
+  return result.groups.length === 0 ? EXIT_NOT_FOUND : EXIT_OK;
+}
+
+async function runImport(indexer, positional, options) {
+  if (positional.length !== 1) {
+    throw new UsageError('import needs exactly one .enex file or Markdown folder');
+  }
+  
+  const result = await indexer.importNotes(positional[0], {
+    type: options.type === undefined ? undefined : choiceOption(options, 'type', IMPORT_TYPES),
+    full: !!options.full
+  });
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(indexer.formatImportResult(result));
+  }
+  return EXIT_OK;
+}
+
+async function runExport(indexer, positional, options) {
+  const [directory, ...words] = positional;
+  const query = words.join(' ').trim();
+  
+  if (!directory) {
+    throw new UsageError('export needs a target directory');
+  }
+  if (!query && !options.folder) {
+    throw new UsageError('export needs a query or --folder');
+  }
+  
+  const exportOptions = {
+    directory,
+    query,
+    folder: options.folder,
+    format: choiceOption(options, 'format', EXPORT_FORMATS)
+  };
+  
+  if (options.from || options.to) {
+    exportOptions.dateRange = { start: options.from, end: options.to };
+  }
+  
+  checkQuery(indexer, query);
+  
+  const result = await indexer.exportNotes(exportOptions);
+  
+  if (!result.success) {
+    return failed(result);
+  }
+  
+  if (options.json) {
+    printJson(result);
+  } else {
+    print(indexer.formatExportResult(result));
+  }
+  return result.count === 0 ? EXIT_NOT_FOUND : EXIT_OK;
+}
+
+const COMMANDS = {
+  index: {
+    usage: 'index [--full] [--quiet] [--json]',
+    description: 'Sync the index with Apple Notes; --full rewrites every note',
+    options: { full: 'boolean', quiet: 'boolean', json: 'boolean' },
+    run: runIndex
+  },
+  watch: {
+    usage: 'watch [--interval MINUTES] [--interval-only] [--json]',
+    description: 'Keep syncing in the background until Ctrl-C: on an interval and when notes change',
+    options: { interval: 'string', 'interval-only': 'boolean', json: 'boolean' },
+    run: runWatch
+  },
+  search: {
+    usage: 'search <query> [--folder PATH] [--from DATE] [--to DATE] [--sort ORDER] ' +
+      '[--limit N] [--offset N] [--exact] [--format table|json|markdown]',
+    description: 'Search notes with the same query syntax as the searchNotes command',
+    options: {
+      folder: 'string',
+      from: 'string',
+      to: 'string',
+      sort: 'string',
+      limit: 'string',
+      offset: 'string',
+      exact: 'boolean',
+      format: 'string'
+    },
+    run: runSearch
+  },
+  snippets: {
+    usage: 'snippets [query] [--lang LANGUAGE] [--folder PATH] [--limit N] [--offset N] ' +
+      '[--format markdown|json|raw]',
+    description: 'Search the code snippets found in notes; raw prints only the code',
+    options: {
+      lang: 'string',
+      folder: 'string',
+      limit: 'string',
+      offset: 'string',
+      format: 'string'
+    },
+    run: runSnippets
+  },
+  show: {
+    usage: 'show <id> [--format markdown|text|html|json]',
+    description: 'Print one note',
+    options: { format: 'string' },
+    run: runShow
+  },
+  stats: {
+    usage: 'stats [--json]',
+    description: 'Show index statistics',
+    options: { json: 'boolean' },
+    run: runStats
+  },
+  folders: {
+    usage: 'folders [PATH] [--account NAME] [--json]',
+    description: 'Show the folder tree, or the notes and subfolders of one folder',
+    options: { account: 'string', json: 'boolean' },
+    run: runFolders
+  },
+  history: {
+    usage: 'history <id> [--from N|current] [--to N|current] [--json]',
+    description: 'List the revisions of a note and diff two of them',
+    options: { from: 'string', to: 'string', json: 'boolean' },
+    run: runHistory
+  },
+  related: {
+    usage: 'related <id> [--limit N] [--json]',
+    description: 'List the notes most similar to a note',
+    options: { limit: 'string', json: 'boolean' },
+    run: runRelated
+  },
+  duplicates: {
+    usage: 'duplicates [--threshold 0.5-1] [--folder PATH] [--json]',
+    description: 'Report groups of near-identical notes',
+    options: { threshold: 'string', folder: 'string', json: 'boolean' },
+    run: runDuplicates
+  },
+  import: {
+    usage: 'import <file.enex|folder> [--type enex|markdown] [--full] [--json]',
+    description: 'Import notes from an Evernote export or a folder of Markdown files',
+    options: { type: 'string', full: 'boolean', json: 'boolean' },
+    run: runImport
+  },
+  export: {
+    usage: 'export <directory> [query] [--folder PATH] [--from DATE] [--to DATE] ' +
+      '[--format markdown|json|html] [--json]',
+    description: 'Write the notes matching a query or in a folder to a directory',
+    options: {
+      folder: 'string',
+      from: 'string',
+      to: 'string',
+      format: 'string',
+      json: 'boolean'
+    },
+    run: runExport
+  }
+};
+
+/**
+ * Help text for the program or one command
+ * @param {string} name - Command name, or undefined for the overview
+ * @returns {string} Help text
+ */
+function helpText(name) {
+  const common = 'Options for every command: --storage-dir DIR, --storage nedb|sqlite|memory, --verbose, --help';
+  
+  if (name) {
+    return [`Usage: apple-notes-indexer ${COMMANDS[name].usage}`, '', COMMANDS[name].description, '', common].join('\n');
+  }
+  
+  return [
+    'Usage: apple-notes-indexer <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([command, { description }]) => `  ${command.padEnd(10)} ${description}`),
+    '',
+    common,
+    '',
+    `Exit codes: ${EXIT_OK} success, ${EXIT_NOT_FOUND} nothing found, ${EXIT_USAGE} invalid arguments, ` +
+      `${EXIT_FAILURE} failure, ${EXIT_INTERRUPTED} interrupted`
+  ].join('\n');
+}
+
+// Everything the commands need, loaded once the storage options are set
+let modules = null;
+function loadIndexer() {
+  if (!modules) {
+    modules = {
+      ...require('./index'),
+      ...require('./format'),
+      QuerySyntaxError: require('./query').QuerySyntaxError,
+      parseQuery: require('./search').parseQuery,
+      normalizeCodeLanguage: require('./code').normalizeCodeLanguage,
+      qualifiedFolder: require('./folders').qualifiedFolder,
+      renderSnippet: require('./snippets').renderSnippet
+    };
+  }
+  return modules;
+}
+
+/**
+ * Run the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Promise} Resolves with the exit code
+ */
+async function main(argv) {
+  const [name, ...rest] = argv;
+  
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    print(helpText());
+    return name ? EXIT_OK : EXIT_USAGE;
+  }
+  
+  if (name === '--version') {
+    print(version);
+    return EXIT_OK;
+  }
+  
+  const command = COMMANDS[name];
+  
+  try {
+    if (!command) {
+      throw new UsageError(`Unknown command "${name}"`);
+    }
+    
+    const { positional, options } = parseArguments(rest, { ...GLOBAL_OPTIONS, ...command.options });
+    
+    if (options.help) {
+      print(helpText(name));
+      return EXIT_OK;
+    }
+    
+    // The indexer logs progress and errors; keep them out of the output
+    // unless asked for, on standard error either way
+    const log = options.verbose ? console.error : () => {};
+    console.log = log;
+    console.info = log;
+    console.warn = log;
+    console.error = log;
+    
+    configureStorage({ directory: options['storage-dir'], backend: options.storage });
+    
+    return await command.run(loadIndexer(), positional, options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`Error: ${error.message}\n\n${command ? helpText(name) : helpText()}\n`);
+      return EXIT_USAGE;
+    }
+    
+    process.stderr.write(`Error: ${error.message}\n`);
+    return EXIT_FAILURE;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = {
+  main,
+  parseArguments
+};
@@ -0,0 +1,270 @@
+// code.js - Recognise code in notes and guess the language it is in
+
+// Languages code snippets are tagged with, by lower-case name or alias
+const CODE_LANGUAGES = {
+  shell: 'shell',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  console: 'shell',
+  terminal: 'shell',
+  sql: 'sql',
+  mysql: 'sql',
+  postgres: 'sql',
+  postgresql: 'sql',
+  sqlite: 'sql',
+  json: 'json',
+  yaml: 'yaml',
+  yml: 'yaml',
+  ini: 'ini',
+  toml: 'ini',
+  conf: 'ini',
+  env: 'ini',
+  javascript: 'javascript',
+  js: 'javascript',
+  node: 'javascript',
+  typescript: 'javascript',
+  ts: 'javascript',
+  python: 'python',
+  py: 'python',
+  html: 'html',
+  xml: 'html',
+  css: 'css',
+  scss: 'css',
+  dockerfile: 'dockerfile',
+  docker: 'dockerfile',
+  text: 'text',
+  plain: 'text'
+};
+
+// Commands a line typed into a terminal usually starts with
+const SHELL_COMMANDS = new Set([
+  'apt', 'apt-get', 'aws', 'brew', 'cat', 'cd', 'chmod', 'chown', 'cp', 'curl',
+  'docker', 'docker-compose', 'echo', 'export', 'find', 'gcloud', 'git', 'grep',
+  'helm', 'kill', 'kubectl', 'ln', 'ls', 'make', 'mkdir', 'mv', 'mysql', 'node',
+  'npm', 'npx', 'pip', 'pip3', 'pnpm', 'psql', 'python', 'python3', 'rm', 'rsync',
+  'scp', 'sed', 'ssh', 'sudo', 'systemctl', 'tail', 'tar', 'terraform', 'touch',
+  'wget', 'yarn'
+]);
+
+// A shell prompt before a command: "$ ls" or "% ls"
+const PROMPT = /^\s*[$%]\s+(?=\S)/;
+
+// Opening or closing line of fenced code typed as plain text, as in
+// Markdown: ```sql ... ```
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+
+// Monospaced words inside a sentence shorter than this are names, such as
+// `npm`, rather than snippets
+const MIN_INLINE_LENGTH = 8;
+
+// Check whether every line that is not blank matches a pattern
+function allLines(code, pattern) {
+  return code.split('\n').filter(line => line.trim()).every(line => pattern.test(line));
+}
+
+// Check whether code is a JSON object or array
+function isJson(code) {
+  try {
+    return typeof JSON.parse(code) === 'object';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a line of text is a shell command: it follows a prompt,
+ * runs a script by path, or starts with a well-known command and does not
+ * read like a sentence
+ * @param {string} line - Line of text
+ * @returns {boolean} True for command lines
+ */
+function isCommandLine(line) {
+  if (PROMPT.test(line)) {
+    return true;
+  }
+  
+  const [command, ...args] = line.trim().split(/\s+/);
+  
+  // Scripts run by path, such as ./install.sh
+  if (/^(\.{1,2}|~)?\/[\w.-]/.test(command) && /^[\w./~-]+$/.test(command)) {
+    return true;
+  }
+  
+  return SHELL_COMMANDS.has(command) && args.length > 0 && !/[.!?]$/.test(line.trim());
+}
+
+// Tests for the languages guessLanguage can tell apart, tried in order
+const LANGUAGE_TESTS = [
+  ['json', code => /^[[{]/.test(code) && isJson(code)],
+  ['html', code => /^<(!doctype\b|[a-z][\w-]*[\s>/])/i.test(code) && /<\/[a-z][\w-]*>|\/>/i.test(code)],
+  ['dockerfile', code => /^FROM\s+\S+/m.test(code) && /^(RUN|COPY|ADD|CMD|ENTRYPOINT|WORKDIR|ENV|EXPOSE)\s/m.test(code)],
+  ['sql', code => /\b(select\b[\s\S]+?\bfrom|insert\s+into|update\s+[\w."]+\s+set|delete\s+from|create\s+(table|index|view|database|schema)|alter\s+table|drop\s+(table|index|database))\b/i.test(code)],
+  ['python', code => /^\s*(def|class)\s+\w+[^\n]*:\s*$/m.test(code) ||
+    /^\s*(import\s+[\w.]+(\s+as\s+\w+)?|from\s+[\w.]+\s+import\s+.+)\s*$/m.test(code)],
+  ['javascript', code => /\b(const|let|var)\s+[\w{[]|\bfunction\b[\s\w]*\(|=>|\brequire\(|\bconsole\.\w+\(|^\s*import\s.+\sfrom\s+['"]|\bmodule\.exports\b|\bexport\s+(default|const|function)\b/m.test(code)],
+  ['css', code => /^[^{}\n;]+\{\s*([\w-]+\s*:[^;{}]+;?\s*)+\}/m.test(code)],
+  ['shell', code => code.split('\n').some(isCommandLine)],
+  ['ini', code => /^\s*\[[^\]\n]+\]\s*$/m.test(code) || allLines(code, /^\s*([#;].*|[\w.-]+\s*=.*)$/)],
+  ['yaml', code => /^\s*[\w.-]+:(\s|$)/m.test(code) && allLines(code, /^(\s*#.*|\s*-(\s.*)?|\s*[\w."'/-]+:(\s.*)?|\s+\S.*)$/)]
+];
+
+/**
+ * Look up a language by name or alias, e.g. for lang: in queries
+ * @param {string} name - Language name, any case
+ * @returns {string|null} Language snippets are tagged with, or null if unknown
+ */
+function normalizeCodeLanguage(name) {
+  return CODE_LANGUAGES[String(name || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * Guess the language of a piece of code from its syntax
+ * @param {string} code - Code
+ * @returns {string} Language, 'text' if nothing fits
+ */
+function guessLanguage(code) {
+  const trimmed = code.trim();
+  const match = LANGUAGE_TESTS.find(([, test]) => test(trimmed));
+  return match ? match[0] : 'text';
+}
+
+/**
+ * Tidy code for pasting: Apple Notes indents with non-breaking spaces, and
+ * blank lines around the code and trailing spaces serve no purpose
+ * @param {string} code - Code as found in the note
+ * @returns {string} Tidied code
+ */
+function cleanCode(code) {
+  return code
+    .replace(/\u00a0/g, ' ')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Remove the prompts from shell commands, so they can be run as pasted.
+ * Only when every line has one: output lines between commands have none.
+ * @param {string} code - Code
+ * @returns {string} Code without prompts
+ */
+function stripPrompts(code) {
+  const lines = code.split('\n').filter(line => line.trim());
+  return lines.length > 0 && lines.every(line => PROMPT.test(line))
+    ? code.split('\n').map(line => line.replace(PROMPT, '')).join('\n')
+    : code;
+}
+
+/**
+ * Build a snippet, skipping code too short to be worth keeping
+ * @param {string} kind - Where the code was found: 'block', 'inline',
+ *   'fenced' or 'command'
+ * @param {string} code - Code as found in the note
+ * @param {string|null} language - Language the note names, if any
+ * @returns {Object|null} { kind, language, code }
+ */
+function createSnippet(kind, code, language = null) {
+  const cleaned = cleanCode(code);
+  
+  if (!cleaned.trim() || (kind === 'inline' && cleaned.trim().length < MIN_INLINE_LENGTH)) {
+    return null;
+  }
+  
+  const guessed = language || guessLanguage(cleaned);
+  return { kind, language: guessed, code: guessed === 'shell' ? stripPrompts(cleaned) : cleaned };
+}
+
+/**
+ * Find the code in a note: monospaced text, code fenced with ``` in
+ * ordinary text, and shell commands written as ordinary lines
+ * @param {Object} body - { lines, blocks, spans } with the lines of the note
+ *   and its monospaced text, whole lines and words inside other text (see
+ *   findMonospaced in content.js)
+ * @returns {Array} Snippets as { kind, language, code } in note order
+ *   within each kind
+ */
+function extractCode({ lines, blocks, spans }) {
+  const snippets = [];
+  // Lines already taken from monospaced text
+  const seen = new Set();
+  
+  const add = (kind, code, language) => {
+    const snippet = createSnippet(kind, code, language);
+    
+    if (snippet && !snippets.some(other => other.code === snippet.code)) {
+      snippets.push(snippet);
+    }
+    code.split('\n').forEach(line => seen.add(line.trim()));
+  };
+  
+  blocks.forEach(block => {
+    // Fences typed inside monospaced text only name the language
+    const blockLines = block.split('\n');
+    const open = blockLines.findIndex(line => line.trim());
+    const fence = open >= 0 && blockLines[open].match(FENCE);
+    
+    if (fence) {
+      const close = blockLines.findIndex((line, i) => i > open && FENCE.test(line));
+      add('block', blockLines.slice(open + 1, close > open ? close : undefined).join('\n'), normalizeCodeLanguage(fence[2]));
+      blockLines.forEach(line => seen.add(line.trim()));
+    } else {
+      add('block', block);
+    }
+  });
+  spans.forEach(span => add('inline', span));
+  
+  let fenced = null;
+  let commands = [];
+  
+  const endCommands = () => {
+    if (commands.length > 0) {
+      add('command', commands.join('\n'), 'shell');
+      commands = [];
+    }
+  };
+  
+  lines.forEach(line => {
+    if (fenced) {
+      const close = line.match(FENCE);
+      
+      if (close && close[1] === fenced.marker && !close[2]) {
+        add('fenced', fenced.lines.join('\n'), normalizeCodeLanguage(fenced.info));
+        fenced = null;
+      } else {
+        fenced.lines.push(line);
+      }
+      return;
+    }
+    
+    const open = seen.has(line.trim()) ? null : line.match(FENCE);
+    
+    if (open) {
+      endCommands();
+      fenced = { marker: open[1], info: open[2], lines: [] };
+    } else if (line.trim() && !seen.has(line.trim()) && isCommandLine(line)) {
+      commands.push(line);
+    } else if (line.trim()) {
+      // Blank lines between commands do not end them
+      endCommands();
+    }
+  });
+  
+  endCommands();
+  
+  // A fence never closed runs to the end of the note
+  if (fenced) {
+    add('fenced', fenced.lines.join('\n'), normalizeCodeLanguage(fenced.info));
+  }
+  
+  return snippets;
+}
+
+module.exports = {
+  CODE_LANGUAGES,
+  normalizeCodeLanguage,
+  guessLanguage,
+  isCommandLine,
+  extractCode
+};
@@ -0,0 +1,184 @@
+// compose.js - Turn Markdown written in the editor into note bodies in the
+// HTML Apple Notes writes itself
+//
+// Apple Notes keeps a body as one <div> per line, with <b>, <i>, <u>,
+// <strike> and <tt> for formatting, <h1> to <h3> for the title, heading and
+// subheading styles, and a <div><tt> per line for Monostyled text. Markup
+// outside that set is dropped or flattened when a body is set through JXA,
+// so Markdown is rendered with markdownToHtml and then reshaped into it.
+
+const { parseHtml, escapeHtml } = require('./content');
+const { markdownToHtml } = require('./importers');
+
+// Inline elements of rendered Markdown and the Apple Notes element for each
+const INLINE_TAGS = { strong: 'b', b: 'b', em: 'i', i: 'i', s: 'strike', del: 'strike', u: 'u', code: 'tt' };
+
+// Glyphs standing in for checkboxes, which a note body cannot create; they
+// are read back as checklist items
+const UNCHECKED_BOX = '☐';
+const CHECKED_BOX = '☑';
+
+// An empty line of a note
+const BLANK_LINE = '<div><br></div>';
+
+// Elements of a parsed node, without the whitespace between them
+function elementsOf(node) {
+  return node.children.filter(child => child.text === undefined);
+}
+
+/**
+ * Write inline content in Apple Notes' markup
+ * @param {Array} nodes - Parsed inline nodes
+ * @returns {string} HTML
+ */
+function inlineHtml(nodes) {
+  return nodes.map(node => {
+    if (node.text !== undefined) {
+      return escapeHtml(node.text);
+    }
+    
+    const children = inlineHtml(node.children);
+    
+    switch (node.tag) {
+      case 'br':
+        return '<br>';
+      case 'a':
+        return `<a href="${escapeHtml(node.attrs.href || '')}">${children}</a>`;
+      case 'img':
+        // Images are attachments, which a body cannot add; keep a link to them
+        return `<a href="${escapeHtml(node.attrs.src || '')}">${escapeHtml(node.attrs.alt || node.attrs.src || '')}</a>`;
+      case 'input':
+        return '';
+      default:
+        return INLINE_TAGS[node.tag] ? `<${INLINE_TAGS[node.tag]}>${children}</${INLINE_TAGS[node.tag]}>` : children;
+    }
+  }).join('');
+}
+
+// Inline content split at its line breaks
+function splitLines(nodes) {
+  const lines = [[]];
+  
+  nodes.forEach(node => {
+    if (node.tag === 'br') {
+      lines.push([]);
+    } else {
+      lines[lines.length - 1].push(node);
+    }
+  });
+  
+  return lines;
+}
+
+/**
+ * Write a list, with checklist items as lines starting with a box glyph
+ * @param {Object} list - Parsed <ul> or <ol>
+ * @returns {string} HTML
+ */
+function listHtml(list) {
+  const items = elementsOf(list).filter(item => item.tag === 'li').map(item => {
+    const nested = item.children.filter(child => child.tag === 'ul' || child.tag === 'ol');
+    const content = item.children.filter(child => !nested.includes(child));
+    const checkbox = content.find(child => child.tag === 'input');
+    const box = checkbox ? `${checkbox.attrs.checked !== undefined ? CHECKED_BOX : UNCHECKED_BOX} ` : '';
+    
+    return `<li>${box}${inlineHtml(content).trim()}${nested.map(listHtml).join('')}</li>`;
+  });
+  
+  return `<${list.tag}>${items.join('')}</${list.tag}>`;
+}
+
+/**
+ * Write one block of rendered Markdown as lines of a note
+ * @param {Object} block - Parsed block element
+ * @returns {string} HTML
+ */
+function blockHtml(block) {
+  const heading = block.tag.match(/^h([1-6])$/);
+  
+  if (heading) {
+    // The title is the note's first line; Markdown headings become
+    // headings (#, ##) and subheadings (### and below)
+    const level = Number(heading[1]) <= 2 ? 2 : 3;
+    return `<div><h${level}>${inlineHtml(block.children)}</h${level}></div>`;
+  }
+  
+  switch (block.tag) {
+    case 'p':
+      return splitLines(block.children)
+        .map(line => `<div>${inlineHtml(line) || '<br>'}</div>`)
+        .join('');
+    
+    case 'pre': {
+      // Monostyled text, one line at a time like Apple Notes keeps it
+      const code = elementsOf(block).find(child => child.tag === 'code') || block;
+      const text = code.children.map(child => (child.text !== undefined ? child.text : '')).join('');
+      
+      return text.split('\n')
+        .map(line => `<div><tt>${line ? escapeHtml(line) : '<br>'}</tt></div>`)
+        .join('');
+    }
+    
+    case 'ul':
+    case 'ol':
+      return listHtml(block);
+    
+    case 'blockquote':
+      return `<blockquote>${elementsOf(block).map(blockHtml).join('')}</blockquote>`;
+    
+    case 'table': {
+      const rows = elementsOf(block).filter(row => row.tag === 'tr').map(row => {
+        const cells = elementsOf(row).map(cell => (cell.tag === 'th'
+          ? `<td><b>${inlineHtml(cell.children)}</b></td>`
+          : `<td>${inlineHtml(cell.children)}</td>`));
+        return `<tr>${cells.join('')}</tr>`;
+      });
+      
+      return `<div><table><tbody>${rows.join('')}</tbody></table></div>`;
+    }
+    
+    case 'hr':
+      return BLANK_LINE;
+    
+    default:
+      return `<div>${inlineHtml(block.children)}</div>`;
+  }
+}
+
+/**
+ * Render Markdown as the body HTML Apple Notes uses: a <div> per line, a
+ * blank line between blocks, Monostyled lines for code and box glyphs for
+ * checklist items
+ * @param {string} markdown - Markdown
+ * @returns {string} HTML, empty for blank Markdown
+ */
+function markdownToNotesHtml(markdown) {
+  const blocks = elementsOf(parseHtml(markdownToHtml(String(markdown || ''))));
+  return blocks.map(blockHtml).join(BLANK_LINE);
+}
+
+/**
+ * Body of a new note: the title as its first line, then the content
+ * @param {string} title - Note title
+ * @param {string} markdown - Content as Markdown
+ * @returns {string} Body HTML
+ */
+function composeNote(title, markdown) {
+  const content = markdownToNotesHtml(markdown);
+  return `<div><h1>${escapeHtml(title)}</h1></div>${content ? BLANK_LINE + content : ''}`;
+}
+
+/**
+ * HTML to add to the end of a note, after a blank line
+ * @param {string} markdown - Content as Markdown
+ * @returns {string} Body HTML
+ */
+function composeAppendix(markdown) {
+  return BLANK_LINE + markdownToNotesHtml(markdown);
+}
+
+module.exports = {
+  markdownToNotesHtml,
+  composeNote,
+  composeAppendix
+};
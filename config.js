@@ -0,0 +1,58 @@
+// config.js - Read the indexer's configuration file
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// Where the configuration file lives unless NOTES_INDEXER_CONFIG says otherwise
+const DEFAULT_CONFIG_FILE = path.join(os.homedir(), '.apple-notes-indexer.json');
+
+/**
+ * Resolve a path from the configuration, where a leading ~ is the home directory
+ * @param {string} file - Path as written by the user
+ * @returns {string} Absolute path
+ */
+function resolvePath(file) {
+  return path.resolve(file.replace(/^~(?=$|[/\\])/, os.homedir()));
+}
+
+/**
+ * Path of the configuration file
+ * @returns {string} Absolute path
+ */
+function configPath() {
+  return path.resolve(process.env.NOTES_INDEXER_CONFIG || DEFAULT_CONFIG_FILE);
+}
+
+/**
+ * Read the configuration file. The file is optional; every setting has a
+ * default.
+ * @param {string} file - Path of the file, defaults to configPath()
+ * @returns {Object} Parsed configuration, empty if the file does not exist
+ * @throws {Error} If the file exists but is not a JSON object
+ */
+function loadConfig(file = configPath()) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  
+  let config;
+  
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid configuration file ${file}: ${error.message}`);
+  }
+  
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid configuration file ${file}: expected a JSON object`);
+  }
+  
+  return config;
+}
+
+module.exports = {
+  configPath,
+  loadConfig,
+  resolvePath
+};
@@ -0,0 +1,296 @@
+// encryption.js - At-rest encryption for the note stores and search index
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { resolvePath } = require('./config');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// Marks encrypted lines and files
+const PREFIX = 'enc1:';
+
+// scrypt cost for passphrase-derived keys
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Records which key the stores in a storage directory are encrypted with
+const STATE_FILE = 'encryption.json';
+
+// Environment variable holding the passphrase
+const PASSPHRASE_VARIABLE = 'NOTES_INDEXER_PASSPHRASE';
+
+/**
+ * Error raised when encrypted stores cannot be unlocked
+ */
+class EncryptionKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EncryptionKeyError';
+  }
+}
+
+/**
+ * Short identifier of a key, stored next to the data it encrypted
+ * @param {Buffer} key - Encryption key
+ * @returns {string} Hex identifier that does not reveal the key
+ */
+function keyIdFor(key) {
+  return crypto.createHmac('sha256', key).update('apple-notes-indexer key id').digest('hex').slice(0, 16);
+}
+
+/**
+ * Read a key file holding 32 random bytes as base64 or hex
+ * @param {string} file - Key file path; a leading ~ is the home directory
+ * @returns {Buffer} Key
+ * @throws {EncryptionKeyError} If the file is missing or malformed
+ */
+function readKeyFile(file) {
+  const resolved = resolvePath(file);
+  let text;
+  
+  try {
+    text = fs.readFileSync(resolved, 'utf8').trim();
+  } catch (error) {
+    throw new EncryptionKeyError(`Cannot read encryption key file ${resolved}: ${error.message}`);
+  }
+  
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  
+  if (key.length !== KEY_LENGTH) {
+    throw new EncryptionKeyError(`Encryption key file ${resolved} must hold ${KEY_LENGTH} bytes as base64 or hex`);
+  }
+  
+  return key;
+}
+
+/**
+ * Write a new random key file readable only by its owner
+ * @param {string} file - Key file path
+ * @returns {string} Resolved path of the file
+ */
+function generateKeyFile(file) {
+  const resolved = resolvePath(file);
+  fs.writeFileSync(resolved, crypto.randomBytes(KEY_LENGTH).toString('base64') + '\n', { mode: 0o600, flag: 'wx' });
+  return resolved;
+}
+
+/**
+ * Derive a key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Salt stored with the encrypted stores
+ * @returns {Buffer} Key
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, KEY_LENGTH, SCRYPT_OPTIONS);
+}
+
+/**
+ * Encrypts and decrypts strings with AES-256-GCM. Each value carries the ID
+ * of the key it was encrypted with, so values written with an older key can
+ * still be read while the stores are being re-encrypted.
+ */
+class Cipher {
+  /**
+   * @param {Buffer} key - Key used for encryption
+   * @param {Object} options - Decryption options
+   * @param {Array} options.previousKeys - Older keys accepted for decryption
+   * @param {boolean} options.allowPlaintext - Pass unencrypted values through
+   *   (only while migrating plaintext stores)
+   */
+  constructor(key, options = {}) {
+    this.key = key;
+    this.keyId = keyIdFor(key);
+    this.keys = new Map([key, ...(options.previousKeys || [])].map(k => [keyIdFor(k), k]));
+    this.allowPlaintext = !!options.allowPlaintext;
+    
+    // Bound so they can be handed to NeDB as serialization hooks
+    this.encrypt = this.encrypt.bind(this);
+    this.decrypt = this.decrypt.bind(this);
+  }
+  
+  /**
+   * Encrypt a string
+   * @param {string} text - Plaintext
+   * @returns {string} Single-line encrypted value
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    
+    return PREFIX + [this.keyId, iv, cipher.getAuthTag(), encrypted]
+      .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+      .join(':');
+  }
+  
+  /**
+   * Decrypt a value produced by encrypt()
+   * @param {string} value - Encrypted value
+   * @returns {string} Plaintext
+   * @throws {EncryptionKeyError} If the value was encrypted with an unknown
+   *   key, was tampered with, or is unexpectedly unencrypted
+   */
+  decrypt(value) {
+    if (!value.startsWith(PREFIX)) {
+      if (this.allowPlaintext) return value;
+      throw new EncryptionKeyError('Found unencrypted data in an encrypted store');
+    }
+    
+    const [keyId, iv, tag, encrypted] = value.slice(PREFIX.length).split(':');
+    const key = this.keys.get(keyId);
+    
+    if (!key) {
+      throw new EncryptionKeyError('Data was encrypted with a different key');
+    }
+    
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new EncryptionKeyError('Encrypted data is corrupt or was modified');
+    }
+  }
+}
+
+/**
+ * Read the encryption state of a storage directory
+ * @param {string} storageDir - Storage directory
+ * @returns {Object|null} { version, keyId, salt }, or null for plaintext stores
+ */
+function readState(storageDir) {
+  const file = path.join(storageDir, STATE_FILE);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Record the key the stores are now encrypted with. Call only after every
+ * store has been rewritten with it.
+ * @param {string} storageDir - Storage directory
+ * @param {Object} state - State from unlockStorage or prepareKeyRotation
+ */
+function saveEncryptionState(storageDir, state) {
+  const file = path.join(storageDir, STATE_FILE);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2), { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Load the key described by the settings
+ * @param {Object} source - { keyFile, passphrase }
+ * @param {Buffer|null} salt - Salt for passphrase-derived keys
+ * @returns {Buffer|null} Key, or null if neither a key file nor a passphrase is set
+ */
+function loadKey(source, salt) {
+  if (source.keyFile) {
+    return readKeyFile(source.keyFile);
+  }
+  if (source.passphrase) {
+    return deriveKey(source.passphrase, salt);
+  }
+  return null;
+}
+
+/**
+ * Key settings from the configuration file and environment
+ * @param {Object} config - Parsed configuration file
+ * @returns {Object} { enabled, keyFile, passphrase }
+ */
+function keySettings(config) {
+  const settings = config.encryption || {};
+  
+  return {
+    enabled: !!settings.enabled,
+    keyFile: settings.keyFile,
+    passphrase: process.env[PASSPHRASE_VARIABLE]
+  };
+}
+
+/**
+ * Work out how to open the stores in a storage directory.
+ *
+ * Plaintext stores stay plaintext until encryption.enabled is set in the
+ * configuration; the next open then migrates them (see the pending state).
+ * Once encrypted, the stores always need their key, whatever the setting.
+ *
+ * @param {string} storageDir - Storage directory
+ * @param {Object} config - Parsed configuration file
+ * @returns {Object} { cipher, pending } where cipher is null for plaintext
+ *   stores and pending, when set, is the state to save with
+ *   saveEncryptionState once the stores have been rewritten with the cipher
+ * @throws {EncryptionKeyError} If the stores are encrypted and the key is
+ *   missing or wrong
+ */
+function unlockStorage(storageDir, config) {
+  const settings = keySettings(config);
+  const state = readState(storageDir);
+  
+  if (!state && !settings.enabled) {
+    return { cipher: null, pending: null };
+  }
+  
+  const salt = state && state.salt ? Buffer.from(state.salt, 'base64') : crypto.randomBytes(16);
+  const key = loadKey(settings, salt);
+  
+  if (!key) {
+    throw new EncryptionKeyError(
+      `The note store is encrypted but no key is configured. Set ${PASSPHRASE_VARIABLE} ` +
+      'or encryption.keyFile in the configuration file.'
+    );
+  }
+  
+  if (state) {
+    if (keyIdFor(key) !== state.keyId) {
+      throw new EncryptionKeyError('The configured encryption key does not match the key the note store was encrypted with.');
+    }
+    return { cipher: new Cipher(key), pending: null };
+  }
+  
+  // First open with encryption enabled: existing plaintext is read as is
+  // and written back encrypted
+  return {
+    cipher: new Cipher(key, { allowPlaintext: true }),
+    pending: { version: 1, keyId: keyIdFor(key), salt: settings.keyFile ? null : salt.toString('base64') }
+  };
+}
+
+/**
+ * Prepare re-encrypting the stores with a new key
+ * @param {string} storageDir - Storage directory
+ * @param {Object} config - Parsed configuration file (for the current key)
+ * @param {Object} newKey - { keyFile } or { passphrase } for the new key
+ * @returns {Object} { cipher, pending } as for unlockStorage, where cipher
+ *   encrypts with the new key and still reads the old one
+ * @throws {EncryptionKeyError} If the stores are not encrypted or the current
+ *   key is missing or wrong
+ */
+function prepareKeyRotation(storageDir, config, newKey) {
+  const current = unlockStorage(storageDir, config);
+  
+  if (!current.cipher || current.pending) {
+    throw new EncryptionKeyError('The note store is not encrypted yet; enable encryption before rotating keys.');
+  }
+  
+  const salt = crypto.randomBytes(16);
+  const key = loadKey(newKey || {}, salt);
+  
+  if (!key) {
+    throw new EncryptionKeyError('Provide a new key file or passphrase to rotate to.');
+  }
+  
+  return {
+    cipher: new Cipher(key, { previousKeys: [current.cipher.key] }),
+    pending: { version: 1, keyId: keyIdFor(key), salt: newKey.keyFile ? null : salt.toString('base64') }
+  };
+}
+
+module.exports = {
+  EncryptionKeyError,
+  Cipher,
+  generateKeyFile,
+  unlockStorage,
+  prepareKeyRotation,
+  saveEncryptionState
+};
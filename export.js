@@ -0,0 +1,273 @@
+// export.js - Write notes out as Markdown files, a JSON bundle or a static
+// HTML site
+//
+// Output is deterministic: file names come from each note's account, folder,
+// title and ID, files are written in a fixed order, and nothing records when
+// the export ran. Exporting to the same directory again therefore only
+// changes the files of notes that changed, and removes the files of notes
+// that no longer match, so exports can be committed to a repository.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const ui = require('./ui');
+const { splitPath, qualifiedFolder } = require('./folders');
+
+const EXPORT_FORMATS = ['markdown', 'json', 'html'];
+
+// Lists the files the last export wrote, so the next one can remove stale ones
+const MANIFEST_FILE = '.apple-notes-export.json';
+
+// Name of the JSON bundle
+const BUNDLE_FILE = 'notes.json';
+
+// Start page of the HTML site
+const INDEX_FILE = 'index.html';
+
+/**
+ * Turn a title or folder name into a file name part
+ * @param {string} text - Title or folder name
+ * @returns {string} Lowercase ASCII letters, digits and dashes
+ */
+function slugify(text) {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  
+  return slug || 'untitled';
+}
+
+/**
+ * Path of a note's file within the export, e.g.
+ * 'icloud/work/projects/roadmap-1a2b3c4d.md'. The suffix comes from the note
+ * ID, so notes with the same title never collide and renames of other notes
+ * never move this one.
+ * @param {Object} note - Note with id, name, account and folder
+ * @param {string} extension - File extension
+ * @returns {string} Relative path with forward slashes
+ */
+function notePath(note, extension) {
+  const suffix = crypto.createHash('sha256').update(note.id).digest('hex').slice(0, 8);
+  const folders = [note.account || '', ...splitPath(note.folder)].filter(Boolean).map(slugify);
+  
+  return [...folders, `${slugify(note.name)}-${suffix}.${extension}`].join('/');
+}
+
+// Order that does not depend on the exporting machine's locale
+function compareText(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// ISO date for exported metadata, or null when unknown
+function isoDate(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+/**
+ * Render a note as Markdown with YAML front matter
+ * @param {Object} note - Expanded note
+ * @returns {string} File contents
+ */
+function toMarkdown(note) {
+  // JSON strings and arrays are valid YAML, and quote every special character
+  const fields = [
+    ['id', note.id],
+    ['title', note.name],
+    ['account', note.account || ''],
+    ['folder', note.folder],
+    ['created', isoDate(note.creationDate)],
+    ['modified', isoDate(note.modificationDate)],
+    ['tags', note.tags || []]
+  ];
+  
+  const frontMatter = fields.map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  
+  return ['---', ...frontMatter, '---', '', (note.markdown || '').trim(), ''].join('\n');
+}
+
+/**
+ * Data kept for a note in the JSON bundle
+ * @param {Object} note - Expanded note
+ * @returns {Object} Note fields in a fixed order
+ */
+function toBundleEntry(note) {
+  return {
+    id: note.id,
+    name: note.name,
+    account: note.account || '',
+    folder: note.folder,
+    creationDate: isoDate(note.creationDate),
+    modificationDate: isoDate(note.modificationDate),
+    tags: note.tags || [],
+    mentions: note.mentions || [],
+    checklist: note.checklist || [],
+    links: note.links || [],
+    codeSnippets: note.codeSnippets || [],
+    markdown: note.markdown || '',
+    text: note.text || '',
+    html: note.html || ''
+  };
+}
+
+/**
+ * Build the files of an export
+ * @param {Array} notes - Expanded notes
+ * @param {string} format - 'markdown', 'json' or 'html'
+ * @param {Object} selection - { query, folder } the notes were selected by
+ * @returns {Map} Relative path to file contents, in path order
+ */
+function buildFiles(notes, format, selection) {
+  const files = new Map();
+  const extension = format === 'markdown' ? 'md' : format;
+  const entries = notes
+    .map(note => ({ note, file: notePath(note, extension) }))
+    .sort((a, b) => compareText(a.file, b.file));
+  
+  if (format === 'json') {
+    const bundle = {
+      query: selection.query || null,
+      folder: selection.folder || null,
+      count: entries.length,
+      notes: entries.map(({ note }) => toBundleEntry(note))
+    };
+    
+    files.set(BUNDLE_FILE, JSON.stringify(bundle, null, 2) + '\n');
+    return files;
+  }
+  
+  if (format === 'markdown') {
+    entries.forEach(({ note, file }) => files.set(file, toMarkdown(note)));
+    return files;
+  }
+  
+  // HTML: one page per note plus a start page grouped by folder
+  const groups = new Map();
+  
+  entries.forEach(({ note, file }) => {
+    const depth = file.split('/').length - 1;
+    const page = { ...note, body: note.html };
+    
+    files.set(file, ui.createExportNotePage(page, '../'.repeat(depth) + INDEX_FILE));
+    
+    const folder = qualifiedFolder(note);
+    if (!groups.has(folder)) {
+      groups.set(folder, []);
+    }
+    groups.get(folder).push({ note: page, href: file });
+  });
+  
+  const title = selection.query ? `Notes matching "${selection.query}"` : `Notes in ${selection.folder}`;
+  files.set(INDEX_FILE, ui.createExportIndexPage(
+    [...groups.entries()]
+      .sort(([a], [b]) => compareText(a, b))
+      .map(([folder, groupNotes]) => ({ folder, notes: groupNotes })),
+    title
+  ));
+  
+  return new Map([...files.entries()].sort(([a], [b]) => compareText(a, b)));
+}
+
+/**
+ * Files listed in the manifest of a previous export
+ * @param {string} directory - Export directory
+ * @returns {Array} Relative paths, empty if there was no previous export
+ */
+function readManifest(directory) {
+  const file = path.join(directory, MANIFEST_FILE);
+  
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  
+  try {
+    const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(manifest.files) ? manifest.files.filter(entry => typeof entry === 'string') : [];
+  } catch (error) {
+    throw new Error(`Cannot read the previous export's manifest ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Remove a file left by a previous export, and any directories it leaves empty
+ * @param {string} directory - Export directory
+ * @param {string} file - Relative path from the manifest
+ */
+function removeStaleFile(directory, file) {
+  const target = path.resolve(directory, file);
+  
+  // Only ever touch files inside the export directory
+  if (!target.startsWith(path.resolve(directory) + path.sep) || !fs.existsSync(target)) {
+    return;
+  }
+  
+  fs.unlinkSync(target);
+  
+  for (let dir = path.dirname(target); dir !== path.resolve(directory); dir = path.dirname(dir)) {
+    if (fs.readdirSync(dir).length > 0) {
+      break;
+    }
+    fs.rmdirSync(dir);
+  }
+}
+
+/**
+ * Write notes to a directory
+ * @param {Array} notes - Expanded notes (see expandNote in index.js)
+ * @param {Object} options - Export options
+ * @param {string} options.directory - Target directory, created if needed
+ * @param {string} options.format - 'markdown', 'json' or 'html'
+ * @param {string} options.query - Query the notes were selected by
+ * @param {string} options.folder - Folder the notes were selected by
+ * @returns {Object} { directory, format, count, files, written, removed }
+ *   where files lists every file of the export, written the files whose
+ *   contents changed and removed the stale files deleted
+ */
+function writeExport(notes, options) {
+  const { directory, format } = options;
+  const files = buildFiles(notes, format, options);
+  const previous = readManifest(directory);
+  let written = 0;
+  
+  fs.mkdirSync(directory, { recursive: true });
+  
+  files.forEach((contents, file) => {
+    const target = path.join(directory, ...file.split('/'));
+    
+    if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') === contents) {
+      return;
+    }
+    
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, contents);
+    written++;
+  });
+  
+  const stale = previous.filter(file => !files.has(file));
+  stale.forEach(file => removeStaleFile(directory, file));
+  
+  fs.writeFileSync(
+    path.join(directory, MANIFEST_FILE),
+    JSON.stringify({ format, files: [...files.keys()] }, null, 2) + '\n'
+  );
+  
+  return {
+    directory,
+    format,
+    count: notes.length,
+    files: [...files.keys()],
+    written,
+    removed: stale.length
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  slugify,
+  notePath,
+  writeExport
+};
@@ -0,0 +1,129 @@
+// folders.js - Account-aware folder paths and folder trees
+
+// Separator between folder names in a folder path
+const PATH_SEPARATOR = '/';
+
+// Names of the Apple Notes trash folder
+const TRASH_FOLDERS = ['Recently Deleted'];
+
+/**
+ * Split a folder path into folder names
+ * @param {string} folder - Folder path such as 'Work/Projects'
+ * @returns {Array} Folder names, outermost first
+ */
+function splitPath(folder) {
+  return (folder || '').split(PATH_SEPARATOR).filter(Boolean);
+}
+
+/**
+ * Check whether a folder path is the trash or a folder inside it
+ * @param {string} folder - Folder path
+ * @returns {boolean} True for trashed folders
+ */
+function isTrashFolder(folder) {
+  const [top = ''] = splitPath(folder);
+  return TRASH_FOLDERS.some(name => name.toLowerCase() === top.toLowerCase());
+}
+
+/**
+ * Folder path including the account, e.g. 'iCloud/Work/Projects'
+ * @param {Object} note - Note with folder and account
+ * @returns {string} Qualified folder path
+ */
+function qualifiedFolder(note) {
+  return note.account ? note.account + PATH_SEPARATOR + note.folder : note.folder;
+}
+
+/**
+ * Check whether a path is the given folder or inside it
+ * @param {string} path - Folder path to test
+ * @param {string} folder - Folder path to look for
+ * @returns {boolean} True if path is folder or one of its subfolders
+ */
+function inSubtree(path, folder) {
+  const lower = splitPath(path).join(PATH_SEPARATOR).toLowerCase();
+  const wanted = splitPath(folder).join(PATH_SEPARATOR).toLowerCase();
+  return wanted !== '' && (lower === wanted || lower.startsWith(wanted + PATH_SEPARATOR));
+}
+
+/**
+ * Check whether a note is in a folder or one of its subfolders. The folder
+ * may be a path within any account or start with the account name.
+ * @param {Object} note - Note with folder and account
+ * @param {string} folder - Folder path, case-insensitive
+ * @returns {boolean} True if the note is in the folder's subtree
+ */
+function matchesFolder(note, folder) {
+  return inSubtree(note.folder, folder) || (!!note.account && inSubtree(qualifiedFolder(note), folder));
+}
+
+/**
+ * Build a tree of accounts and folders with note counts
+ * @param {Array} notes - Notes (or projections) with folder and account
+ * @returns {Array} Account nodes, each { name, account, path, count, total,
+ *   children } where path is the folder path within the account ('' for
+ *   the account itself), count the notes directly in the folder and total
+ *   the notes in the folder and its subfolders
+ */
+function buildFolderTree(notes) {
+  const accounts = new Map();
+  const createNode = (name, account, path) => ({ name, account, path, count: 0, total: 0, children: [] });
+  
+  notes.forEach(note => {
+    const account = note.account || '';
+    
+    if (!accounts.has(account)) {
+      accounts.set(account, createNode(account, account, ''));
+    }
+    
+    let node = accounts.get(account);
+    node.total++;
+    
+    splitPath(note.folder).forEach((name, i, names) => {
+      let child = node.children.find(candidate => candidate.name === name);
+      
+      if (!child) {
+        child = createNode(name, account, names.slice(0, i + 1).join(PATH_SEPARATOR));
+        node.children.push(child);
+      }
+      
+      child.total++;
+      node = child;
+    });
+    
+    node.count++;
+  });
+  
+  const sortTree = nodes => nodes
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(node => ({ ...node, children: sortTree(node.children) }));
+  
+  return sortTree([...accounts.values()]);
+}
+
+/**
+ * Find the nodes for a folder path in a folder tree
+ * @param {Array} tree - Tree from buildFolderTree
+ * @param {string} folder - Folder path within the account
+ * @param {string} account - Account name, or undefined for every account
+ * @returns {Array} Matching folder nodes, one per account at most
+ */
+function findFolderNodes(tree, folder, account) {
+  return tree
+    .filter(accountNode => account === undefined || accountNode.account === account)
+    .map(accountNode => splitPath(folder).reduce(
+      (node, name) => node && node.children.find(child => child.name === name),
+      accountNode
+    ))
+    .filter(node => node && node.path !== '');
+}
+
+module.exports = {
+  PATH_SEPARATOR,
+  splitPath,
+  isTrashFolder,
+  qualifiedFolder,
+  matchesFolder,
+  buildFolderTree,
+  findFolderNodes
+};
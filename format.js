@@ -0,0 +1,590 @@
+// format.js - Plain-text formatting of command results, shared by the MCP
+// server and the command-line interface
+
+const { renderSnippet } = require('./snippets');
+const { qualifiedFolder } = require('./folders');
+const { PHASE_LABELS } = require('./scheduler');
+
+// Notes are exposed as resources under this URI scheme
+const NOTE_URI_PREFIX = 'applenotes://note/';
+
+/**
+ * Reduce a note's plain text to a short single-line preview
+ * @param {string} text - Note text
+ * @param {number} length - Maximum preview length
+ * @returns {string} Preview text
+ */
+function previewText(text, length = 200) {
+  text = (text || '').replace(/\s+/g, ' ').trim();
+  return text.length > length ? text.substring(0, length) + '...' : text;
+}
+
+/**
+ * Count things with the noun singular for one
+ * @param {number} count - Number of things
+ * @param {string} noun - Singular noun
+ * @param {string} plural - Plural noun, if not the singular with an s
+ * @returns {string} Text such as '1 note' or '3 notes'
+ */
+function countOf(count, noun, plural = `${noun}s`) {
+  return `${count} ${count === 1 ? noun : plural}`;
+}
+
+/**
+ * Format a date for text output
+ * @param {string|Date} date - Date value
+ * @returns {string} ISO date string or 'unknown'
+ */
+function formatDate(date) {
+  return date ? new Date(date).toISOString() : 'unknown';
+}
+
+/**
+ * Describe when a saved search was last run
+ * @param {Object} search - Saved search from listSavedSearches
+ * @returns {string} Text such as 'since the last run (...)'
+ */
+function sinceLastRun(search) {
+  return search.lastRunAt ? `since the last run (${formatDate(search.lastRunAt)})` : 'since it was saved';
+}
+
+/**
+ * Format search results as plain text for the agent
+ * @param {Object} result - searchNotes or runSavedSearch command result
+ * @returns {string} Text listing
+ */
+function formatSearchResults(result) {
+  const didYouMean = result.didYouMean ? `Did you mean: ${result.didYouMean}` : null;
+  const heading = result.search
+    ? `Saved search "${result.search.name}" for ${result.search.query}: ${countOf(result.search.newMatches, 'new match', 'new matches')}.\n`
+    : '';
+  
+  if (result.count === 0) {
+    return heading + (didYouMean ? `No notes found. ${didYouMean}` : 'No notes found.');
+  }
+  
+  const first = result.offset + 1;
+  const last = result.offset + result.count;
+  const lines = [`${heading}Found ${countOf(result.total, 'note')} (showing ${first}-${last}).`];
+  
+  if (result.approximate) {
+    lines.push('Few notes matched exactly, so approximate matches are included.');
+  }
+  if (didYouMean) {
+    lines.push(didYouMean);
+  }
+  lines.push('');
+  
+  if (result.facets && result.facets.tags.length > 0) {
+    lines.push(`Tags: ${result.facets.tags.map(tag => `#${tag.name} (${tag.count})`).join(', ')}`, '');
+  }
+  
+  result.results.forEach((note, i) => {
+    lines.push(`${first + i}. ${note.name}${note.isNew ? ' (new)' : ''}`);
+    lines.push(`   id: ${note.id}`);
+    lines.push(`   folder: ${qualifiedFolder(note)} · modified: ${formatDate(note.modificationDate)}`);
+    
+    if (note.snippets && note.snippets.length > 0) {
+      note.snippets.forEach(snippet => lines.push(`   ${renderSnippet(snippet, '**', '**').replace(/ {2,}/g, ' ')}`));
+    } else {
+      lines.push(`   ${previewText(note.text)}`);
+    }
+    
+    lines.push('');
+  });
+  
+  if (result.hasMore) {
+    lines.push(`More results available: call ${result.search ? 'runSavedSearch' : 'searchNotes'} again with cursor "${result.nextCursor}".`);
+  }
+  
+  return lines.join('\n').trim();
+}
+
+/**
+ * Format code snippet search results as text for the agent, each snippet
+ * as a fenced code block
+ * @param {Object} result - searchSnippets command result
+ * @returns {string} Text listing
+ */
+function formatSnippetResults(result) {
+  if (result.count === 0) {
+    return 'No code snippets found.';
+  }
+  
+  const first = result.offset + 1;
+  const last = result.offset + result.count;
+  const lines = [`Found ${countOf(result.total, 'code snippet')} (showing ${first}-${last}).`, ''];
+  
+  result.results.forEach((snippet, i) => {
+    // A fence longer than any run of backticks in the code
+    const longest = Math.max(2, ...(snippet.code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    
+    lines.push(`${first + i}. ${snippet.language} from ${snippet.noteName}`);
+    lines.push(`   id: ${snippet.id} · note id: ${snippet.noteId} · folder: ${qualifiedFolder(snippet)}`);
+    lines.push(`${fence}${snippet.language === 'text' ? '' : snippet.language}`, snippet.code, fence, '');
+  });
+  
+  if (result.hasMore) {
+    lines.push(`More results available: call searchSnippets again with cursor "${result.nextCursor}".`);
+  }
+  
+  return lines.join('\n').trim();
+}
+
+/**
+ * Format a full note as text in the requested variant
+ * @param {Object} note - Expanded note from getNote
+ * @param {string} format - 'markdown', 'text' or 'html'
+ * @returns {string} Note with a short header
+ */
+function formatNote(note, format = 'markdown') {
+  const header = [
+    `# ${note.name}`,
+    '',
+    `id: ${note.id}`,
+    `uri: ${noteUri(note.id)}`,
+    `account: ${note.account || 'unknown'}`,
+    `folder: ${note.folder}`,
+    `created: ${formatDate(note.creationDate)}`,
+    `modified: ${formatDate(note.modificationDate)}`
+  ];
+  
+  if (note.tags && note.tags.length > 0) {
+    header.push(`tags: ${note.tags.map(tag => '#' + tag).join(' ')}`);
+  }
+  if (note.checklist && note.checklist.length > 0) {
+    const done = note.checklist.filter(item => item.done).length;
+    header.push(`checklist: ${done} of ${note.checklist.length} done`);
+  }
+  header.push('');
+  
+  return header.join('\n') + '\n' + note[format];
+}
+
+/**
+ * Format folder tree nodes as an indented list
+ * @param {Array} folders - Folder tree nodes
+ * @param {number} depth - Nesting depth
+ * @returns {Array} Lines
+ */
+function formatFolderTree(folders, depth = 0) {
+  return folders.flatMap(folder => [
+    `${'  '.repeat(depth)}- ${folder.name} (${countOf(folder.total, 'note')})`,
+    ...formatFolderTree(folder.children, depth + 1)
+  ]);
+}
+
+/**
+ * Format a folder listing as text
+ * @param {Object} result - getNotesByFolder command result
+ * @returns {string} Text listing
+ */
+function formatFolderListing(result) {
+  if (result.folders) {
+    if (result.folders.length === 0) {
+      return 'No folders indexed.';
+    }
+    return result.folders
+      .map(account => [`${account.name || 'Notes'} (${countOf(account.total, 'note')})`, ...formatFolderTree(account.children)].join('\n'))
+      .join('\n\n');
+  }
+  
+  const location = result.account ? `${result.account}/${result.folder}` : result.folder;
+  const lines = [];
+  
+  if (result.count === 0) {
+    lines.push(`No notes directly in folder "${location}".`);
+  } else {
+    lines.push(`${countOf(result.count, 'note')} in "${location}":`, '');
+    
+    result.notes.forEach(note => {
+      lines.push(`- ${note.name} (modified ${formatDate(note.modificationDate)})`);
+      lines.push(`  id: ${note.id}${result.account ? '' : ` · account: ${note.account}`}`);
+    });
+  }
+  
+  if (result.subfolders.length > 0) {
+    lines.push('', 'Subfolders:', ...formatFolderTree(result.subfolders));
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format checklist items grouped by folder and note as text
+ * @param {Object} result - listTasks command result
+ * @returns {string} Text listing
+ */
+function formatTaskList(result) {
+  const lines = [`${result.open} open and ${result.done} done tasks in the selected notes.`];
+  
+  if (result.count === 0) {
+    lines.push(`No ${result.status === 'all' ? '' : result.status + ' '}tasks found.`);
+    return lines.join('\n');
+  }
+  
+  result.folders.forEach(folder => {
+    lines.push('', `## ${folder.name}`);
+    
+    folder.notes.forEach(note => {
+      lines.push('', `${note.name} (id: ${note.id}, modified ${formatDate(note.modificationDate)})`);
+      note.tasks.forEach(task => lines.push(`- [${task.done ? 'x' : ' '}] ${task.text}`));
+    });
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format a note's revisions and the changes between two of them as text,
+ * with the changes as a unified diff of the Markdown
+ * @param {Object} result - noteHistory command result
+ * @returns {string} Text listing
+ */
+function formatNoteHistory(result) {
+  const label = revision => (revision === 'current' ? 'current' : `revision ${revision}`);
+  const lines = [`History of ${result.name} (id: ${result.id})`, ''];
+  
+  result.revisions.forEach(revision => {
+    lines.push(`- ${label(revision.revision)}: "${revision.name}", modified ${formatDate(revision.modificationDate)}`);
+  });
+  
+  const { diff } = result;
+  
+  if (!diff) {
+    lines.push('', 'No earlier revisions yet.');
+    return lines.join('\n');
+  }
+  
+  lines.push('', `Changes from ${label(diff.from)} to ${label(diff.to)}: +${diff.added} -${diff.removed} lines`);
+  
+  if (diff.fromName !== diff.toName) {
+    lines.push(`Title changed from "${diff.fromName}" to "${diff.toName}"`);
+  }
+  
+  if (diff.hunks.length > 0) {
+    lines.push('', `--- ${label(diff.from)}`, `+++ ${label(diff.to)}`);
+    diff.hunks.forEach(hunk => {
+      lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+      hunk.lines.forEach(line => lines.push(line.type + line.text));
+    });
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format the notes most similar to a note as text
+ * @param {Object} result - relatedNotes command result
+ * @returns {string} Text listing
+ */
+function formatRelatedNotes(result) {
+  if (result.related.length === 0) {
+    return `No notes similar to ${result.name} found.`;
+  }
+  
+  const lines = [`Notes related to ${result.name} (id: ${result.id})`, ''];
+  
+  result.related.forEach((note, i) => {
+    lines.push(`${i + 1}. ${note.name} (similarity ${note.score})`);
+    lines.push(`   id: ${note.id}`);
+    lines.push(`   folder: ${qualifiedFolder(note)} · shared terms: ${note.sharedTerms.join(', ')}`);
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format groups of near-identical notes as text
+ * @param {Object} result - findDuplicates command result
+ * @returns {string} Text listing
+ */
+function formatDuplicates(result) {
+  const scope = result.folder ? ` in ${result.folder}` : '';
+  
+  if (result.groups.length === 0) {
+    return `No near-identical notes found${scope}.`;
+  }
+  
+  const lines = [`${countOf(result.duplicates, 'note')} in ${countOf(result.groups.length, 'group')} of near-identical notes${scope} (similarity of at least ${result.threshold})`];
+  
+  result.groups.forEach((group, i) => {
+    lines.push('', `Group ${i + 1}: ${group.notes.length} notes, similarity ${group.similarity}`);
+    group.notes.forEach(note => {
+      lines.push(`- ${note.name} (id: ${note.id})`);
+      lines.push(`  folder: ${qualifiedFolder(note)} · modified: ${formatDate(note.modificationDate)}`);
+    });
+  });
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format the saved searches and recent queries as text
+ * @param {Object} result - listSavedSearches command result
+ * @returns {string} Text listing
+ */
+function formatSavedSearches(result) {
+  const lines = [];
+  
+  if (result.searches.length === 0) {
+    lines.push('No saved searches.');
+  } else {
+    lines.push('Saved searches:');
+    result.searches.forEach(search => {
+      lines.push(`- ${search.name}${search.pinned ? ' (pinned)' : ''}: ${search.query}`);
+      lines.push(`  ${countOf(search.total, 'note')}, ${search.newMatches} new ${sinceLastRun(search)}`);
+    });
+  }
+  
+  if (result.recentQueries.length > 0) {
+    lines.push('', 'Recent queries:');
+    result.recentQueries.forEach(entry => {
+      lines.push(`- ${entry.query} (searched ${countOf(entry.count, 'time')}, last ${formatDate(entry.lastUsed)})`);
+    });
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format a saved search after saving it as text
+ * @param {Object} result - saveSearch command result
+ * @returns {string} Text summary
+ */
+function formatSavedSearch(result) {
+  const { search } = result;
+  return `Saved search "${search.name}"${search.pinned ? ' (pinned)' : ''} for ${search.query}: ` +
+    `${countOf(search.total, 'note')}, ${search.newMatches} new ${sinceLastRun(search)}.`;
+}
+
+/**
+ * Format the result of an import as text
+ * @param {Object} result - importNotes command result
+ * @returns {string} Text summary
+ */
+function formatImportResult(result) {
+  const lines = [
+    `Imported ${countOf(result.imported, `${result.source} note`)} from ${result.path}.`,
+    `Added ${result.added}, updated ${result.updated}, removed ${result.removed}, unchanged ${result.unchanged}.`
+  ];
+  
+  if (result.privacy && (result.privacy.excluded || result.privacy.redacted)) {
+    lines.push(`Excluded ${countOf(result.privacy.excluded, 'note')}, redacted ${countOf(result.privacy.redacted, 'value')}.`);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format the result of createNote or appendToNote as text. A preview shows
+ * what would be written and how to confirm it.
+ * @param {Object} result - createNote or appendToNote command result
+ * @returns {string} Text summary
+ */
+function formatWriteResult(result) {
+  const { preview } = result;
+  const creating = preview.action === 'create';
+  const tool = creating ? 'createNote' : 'appendToNote';
+  
+  if (result.written) {
+    const lines = [creating
+      ? `Created "${result.note.name}" in ${qualifiedFolder(result.note)} (id: ${result.note.id}).`
+      : `Added to "${result.note.name}" (id: ${result.note.id}).`];
+    
+    if (!result.indexed) {
+      lines.push('The configuration excludes the note from the index.');
+    }
+    return lines.join('\n');
+  }
+  
+  return [
+    creating
+      ? `Preview of a new note "${preview.title}" in ${qualifiedFolder(preview)}:`
+      : `Preview of what would be added to the end of "${preview.title}" (as modified ${formatDate(preview.modificationDate)}):`,
+    '',
+    preview.markdown,
+    '',
+    'Nothing has been written. Show this to the user, and only once they approve it ' +
+      `call ${tool} again with the same arguments and confirm "${result.confirm}".`
+  ].join('\n');
+}
+
+/**
+ * Format the result of an export as text
+ * @param {Object} result - exportNotes command result
+ * @returns {string} Text summary
+ */
+function formatExportResult(result) {
+  const lines = [
+    `Exported ${countOf(result.count, 'note')} as ${result.format} to ${result.directory}.`,
+    `${countOf(result.written, 'file')} written, ${countOf(result.removed, 'stale file')} removed, ` +
+      `${result.files.length - result.written} unchanged.`
+  ];
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format index statistics as plain text
+ * @param {Object} result - indexNotes or viewIndex command result
+ * @returns {string} Text summary
+ */
+// Name of an index job, e.g. 'full sync 3 (manual)'
+function jobName(job) {
+  return `${job.full ? 'full sync' : 'sync'} ${job.id} (${job.trigger})`;
+}
+
+/**
+ * Describe an index job in one line
+ * @param {Object} job - Job from the index stats or a command result
+ * @returns {string} e.g. 'sync 3 (manual): saving notes 12/40 - Weekly sync'
+ */
+function formatJob(job) {
+  const name = jobName(job);
+  const { progress } = job;
+  
+  if (job.state === 'completed') {
+    const { added, updated, removed, unchanged } = job.changes;
+    return `${name}: ${added} added, ${updated} updated, ${removed} removed, ${unchanged} unchanged`;
+  }
+  if (job.state === 'failed') {
+    return `${name} failed: ${job.error}`;
+  }
+  if (job.state === 'cancelled') {
+    return `${name} was cancelled`;
+  }
+  if (job.cancelRequested) {
+    return `${name}: cancelling`;
+  }
+  if (job.state === 'queued' || !progress) {
+    return `${name}: ${job.state}`;
+  }
+  if (progress.phase === 'saving') {
+    return `${name}: saving notes ${progress.current}/${progress.total} - ${progress.note}`;
+  }
+  return `${name}: ${PHASE_LABELS[progress.phase].toLowerCase()}`;
+}
+
+/**
+ * Format the result of cancelling indexing as text
+ * @param {Object} result - cancelIndexing command result
+ * @returns {string} Text summary
+ */
+function formatCancelResult(result) {
+  if (result.cancelled.length === 0) {
+    return 'No indexing was in progress.';
+  }
+  
+  return [
+    ...result.cancelled.map(job => `Cancelling ${jobName(job)}`),
+    'A running sync stops at its next note. Notes saved so far are kept, and searches use the previous index until a sync completes.'
+  ].join('\n');
+}
+
+function formatIndexStats(result) {
+  const lines = [];
+  
+  if (result.isIndexed !== undefined) {
+    lines.push(`Status: ${result.isIndexed ? 'indexed' : 'not indexed'}`);
+  }
+  
+  const { running, queued, last } = result.jobs || {};
+  if (running) {
+    lines.push(`Indexing: ${formatJob(running)}`);
+  }
+  if (queued) {
+    lines.push(`Queued: ${formatJob(queued)}`);
+  }
+  if (!running && !queued && last && last.state !== 'completed') {
+    lines.push(`Last index job: ${formatJob(last)}`);
+  }
+  
+  if (result.watch) {
+    const { intervalMinutes, watching } = result.watch;
+    const when = [
+      intervalMinutes > 0 ? `every ${countOf(intervalMinutes, 'minute')}` : '',
+      watching.length > 0 ? `on changes to ${watching.join(', ')}` : ''
+    ].filter(Boolean).join(' and ');
+    
+    lines.push(`Background sync: ${when || 'on request only'}`);
+  }
+  if (result.totalNotes !== undefined) {
+    lines.push(`Total notes: ${result.totalNotes}`);
+  }
+  lines.push(`Indexed notes: ${result.indexed}`);
+  
+  if (result.encrypted !== undefined) {
+    lines.push(`Storage: ${result.encrypted ? 'encrypted' : 'not encrypted'}`);
+  }
+  
+  const lastIndexed = result.lastIndexed || result.lastUpdated;
+  if (lastIndexed) {
+    lines.push(`Last indexed: ${lastIndexed}`);
+  }
+  
+  const sources = Object.entries(result.sources || {});
+  if (sources.length > 0) {
+    lines.push(`Sources: ${sources.map(([source, count]) => `${source} ${count}`).join(', ')}`);
+  }
+  
+  const changes = result.lastChanges || (result.added !== undefined ? result : null);
+  if (changes) {
+    lines.push(`Last sync: ${changes.added} added, ${changes.updated} updated, ` +
+      `${changes.removed} removed, ${changes.unchanged} unchanged`);
+  }
+  
+  // Only the first changed notes are listed; count the rest
+  const changedNotes = result.changedNotes || [];
+  changedNotes.forEach(note => {
+    const revision = note.revision ? `, previous version kept as revision ${note.revision}` : '';
+    lines.push(`- ${note.change}: ${note.name} (id: ${note.id}${revision})`);
+  });
+  
+  const changedTotal = changes ? changes.added + changes.updated + changes.removed : changedNotes.length;
+  if (changedTotal > changedNotes.length) {
+    lines.push(`- and ${changedTotal - changedNotes.length} more`);
+  }
+  
+  if (result.privacy) {
+    lines.push(`Excluded notes: ${result.privacy.excluded}`);
+    lines.push(`Redacted values: ${result.privacy.redacted} in ${countOf(result.privacy.redactedNotes, 'note')}`);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Resource URI for a note
+ * @param {string} id - Note ID
+ * @returns {string} URI
+ */
+function noteUri(id) {
+  return NOTE_URI_PREFIX + encodeURIComponent(id);
+}
+
+module.exports = {
+  NOTE_URI_PREFIX,
+  countOf,
+  noteUri,
+  previewText,
+  formatDate,
+  formatSearchResults,
+  formatSnippetResults,
+  formatNote,
+  formatFolderTree,
+  formatFolderListing,
+  formatTaskList,
+  formatNoteHistory,
+  formatRelatedNotes,
+  formatDuplicates,
+  formatSavedSearches,
+  formatSavedSearch,
+  formatJob,
+  formatCancelResult,
+  formatImportResult,
+  formatWriteResult,
+  formatExportResult,
+  formatIndexStats
+};
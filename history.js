@@ -0,0 +1,165 @@
+// history.js - Note revision history and query history settings, and line
+// diffs
+
+// Revisions kept per note unless configured otherwise
+const DEFAULT_MAX_REVISIONS = 20;
+
+// Recent queries kept unless configured otherwise
+const DEFAULT_MAX_QUERIES = 50;
+
+// Lines of unchanged text shown around each change
+const DIFF_CONTEXT = 3;
+
+// Largest line table diffLines compares line by line; bigger changes are
+// shown as the old text removed and the new text added
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Revision and query history settings from the configuration file
+ * @param {Object} config - Parsed configuration file
+ * @returns {Object} { maxRevisions, maxQueries } where 0 turns revision or
+ *   query history off
+ * @throws {Error} If either is not a whole number of 0 or more
+ */
+function historySettings(config = {}) {
+  const settings = config.history || {};
+  const maxRevisions = settings.maxRevisions === undefined ? DEFAULT_MAX_REVISIONS : settings.maxRevisions;
+  const maxQueries = settings.maxQueries === undefined ? DEFAULT_MAX_QUERIES : settings.maxQueries;
+  
+  if (!Number.isInteger(maxRevisions) || maxRevisions < 0) {
+    throw new Error('history.maxRevisions in the configuration file must be a whole number of 0 or more');
+  }
+  if (!Number.isInteger(maxQueries) || maxQueries < 0) {
+    throw new Error('history.maxQueries in the configuration file must be a whole number of 0 or more');
+  }
+  
+  return { maxRevisions, maxQueries };
+}
+
+/**
+ * Compare two texts line by line
+ * @param {string} oldText - Earlier text
+ * @param {string} newText - Later text
+ * @returns {Array} Lines as { type, text } in order, where type is ' ' for
+ *   unchanged, '-' for removed and '+' for added lines
+ */
+function diffLines(oldText, newText) {
+  const a = oldText ? oldText.split('\n') : [];
+  const b = newText ? newText.split('\n') : [];
+  
+  // Lines shared at the start and end need no comparison
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  
+  const same = text => ({ type: ' ', text });
+  const middle = [];
+  const rows = endA - start;
+  const cols = endB - start;
+  
+  if (rows * cols > MAX_DIFF_CELLS) {
+    a.slice(start, endA).forEach(text => middle.push({ type: '-', text }));
+    b.slice(start, endB).forEach(text => middle.push({ type: '+', text }));
+  } else {
+    // lengths[i * (cols + 1) + j]: longest common subsequence of the
+    // remaining lines from a[start + i] and b[start + j] on
+    const lengths = new Uint32Array((rows + 1) * (cols + 1));
+    const at = (i, j) => i * (cols + 1) + j;
+    
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[at(i, j)] = a[start + i] === b[start + j]
+          ? lengths[at(i + 1, j + 1)] + 1
+          : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+      }
+    }
+    
+    let i = 0;
+    let j = 0;
+    
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && a[start + i] === b[start + j]) {
+        middle.push(same(a[start + i]));
+        i++;
+        j++;
+      } else if (i < rows && (j === cols || lengths[at(i + 1, j)] >= lengths[at(i, j + 1)])) {
+        middle.push({ type: '-', text: a[start + i] });
+        i++;
+      } else {
+        middle.push({ type: '+', text: b[start + j] });
+        j++;
+      }
+    }
+  }
+  
+  return [
+    ...a.slice(0, start).map(same),
+    ...middle,
+    ...a.slice(endA).map(same)
+  ];
+}
+
+/**
+ * Group a line diff into hunks of changes with some unchanged lines around
+ * them, as in a unified diff
+ * @param {Array} lines - Result of diffLines
+ * @param {number} context - Unchanged lines to keep around each change
+ * @returns {Array} Hunks as { oldStart, oldLines, newStart, newLines, lines }
+ *   with 1-based line numbers
+ */
+function diffHunks(lines, context = DIFF_CONTEXT) {
+  const changes = lines.map((line, i) => (line.type === ' ' ? -1 : i)).filter(i => i >= 0);
+  const groups = [];
+  
+  // Changes separated by at most twice the context share a hunk
+  changes.forEach(i => {
+    const group = groups[groups.length - 1];
+    
+    if (group && i - group.last - 1 <= context * 2) {
+      group.last = i;
+    } else {
+      groups.push({ first: i, last: i });
+    }
+  });
+  
+  // Line numbers in the old and new text of each diff line
+  const oldNumbers = [];
+  const newNumbers = [];
+  let oldLine = 1;
+  let newLine = 1;
+  
+  lines.forEach(line => {
+    oldNumbers.push(oldLine);
+    newNumbers.push(newLine);
+    oldLine += line.type === '+' ? 0 : 1;
+    newLine += line.type === '-' ? 0 : 1;
+  });
+  
+  return groups.map(({ first, last }) => {
+    const from = Math.max(0, first - context);
+    const hunkLines = lines.slice(from, Math.min(lines.length, last + context + 1));
+    
+    return {
+      oldStart: oldNumbers[from],
+      oldLines: hunkLines.filter(line => line.type !== '+').length,
+      newStart: newNumbers[from],
+      newLines: hunkLines.filter(line => line.type !== '-').length,
+      lines: hunkLines
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_MAX_REVISIONS,
+  historySettings,
+  diffLines,
+  diffHunks
+};
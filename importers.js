@@ -0,0 +1,508 @@
+// importers.js - Import notes from Evernote ENEX exports and Markdown folders
+//
+// Importers read notes kept outside Apple Notes into the same shape the note
+// sources produce (id, name, body as HTML, folder, account, creation and
+// modification dates), with source set to the importer's name. IDs are
+// derived from where a note lives in the imported files, so importing the
+// same files again updates the notes instead of adding copies.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { decodeEntities, escapeHtml } = require('./content');
+
+// Importer names, as recorded in each imported note's source field
+const IMPORT_TYPES = ['enex', 'markdown'];
+
+// Accounts imported notes are filed under
+const ENEX_ACCOUNT = 'Evernote';
+const MARKDOWN_ACCOUNT = 'Markdown';
+
+// Extensions of the files a Markdown folder import reads
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+/**
+ * Paragraph of hashtags for tags kept outside a note's text, so they are
+ * extracted like tags typed into the note
+ * @param {Array} tags - Tag names, with or without #
+ * @returns {string} HTML, empty when there are no tags
+ */
+function tagParagraph(tags) {
+  const words = tags
+    .map(tag => String(tag).trim().replace(/^#/, '').replace(/\s+/g, '-'))
+    .filter(Boolean)
+    .map(tag => `#${escapeHtml(tag)}`);
+  
+  return words.length > 0 ? `<p>${words.join(' ')}</p>` : '';
+}
+
+/**
+ * Parse a date, falling back when it is missing or invalid
+ * @param {*} value - Date string or Date
+ * @param {Date} fallback - Date to use instead
+ * @returns {Date} Parsed date
+ */
+function dateOr(value, fallback) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : fallback;
+}
+
+// ENEX
+
+/**
+ * Text of an ENEX element, unwrapping CDATA or decoding entities
+ * @param {string} xml - XML to search
+ * @param {string} name - Element name
+ * @returns {Array} Text of every matching element
+ */
+function enexElements(xml, name) {
+  const pattern = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g');
+  
+  return [...xml.matchAll(pattern)].map(([, inner]) => {
+    const cdata = inner.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1] : decodeEntities(inner).trim();
+  });
+}
+
+/**
+ * Parse an Evernote timestamp such as 20231105T143000Z
+ * @param {string} value - Timestamp
+ * @returns {Date|null} Date, or null if missing or malformed
+ */
+function parseEnexDate(value) {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  return match ? new Date(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`) : null;
+}
+
+/**
+ * Turn ENML, Evernote's XHTML dialect, into plain HTML. To-do boxes become
+ * checklist glyphs or checked list items; attachments are dropped, since
+ * only the text is indexed.
+ * @param {string} enml - Note content
+ * @returns {string} HTML body
+ */
+function enmlToHtml(enml) {
+  return enml
+    .replace(/<\?xml[^>]*\?>|<!DOCTYPE[^>]*>/gi, '')
+    .replace(/<en-todo\b[^>]*\bchecked="true"[^>]*?\/?>(?:<\/en-todo>)?/gi, '☑ ')
+    .replace(/<en-todo\b[^>]*?\/?>(?:<\/en-todo>)?/gi, '☐ ')
+    .replace(/<li\b[^>]*?--en-checked:\s*(true|false)[^>]*>/gi, '<li data-checked="$1">')
+    .replace(/<en-media\b[^>]*?\/?>(?:<\/en-media>)?/gi, '')
+    .replace(/<en-crypt\b[^>]*>[\s\S]*?<\/en-crypt>/gi, '<p>[Encrypted content]</p>')
+    .replace(/<(\/?)en-note\b[^>]*>/gi, '<$1div>')
+    .trim();
+}
+
+/**
+ * Imports the notes of an Evernote export (.enex). Each file holds one
+ * notebook, which becomes a folder named after the file in the Evernote
+ * account; Evernote tags are added to the note as hashtags.
+ */
+class EnexImporter {
+  /**
+   * @param {string} file - Path of the .enex file
+   */
+  constructor(file) {
+    this.name = 'enex';
+    this.path = path.resolve(file);
+    this.notebook = path.basename(this.path, path.extname(this.path));
+    this.idPrefix = `enex:${this.notebook}/`;
+  }
+  
+  /**
+   * Read the notes in the export
+   * @returns {Promise} Resolves with array of notes
+   */
+  async fetchNotes() {
+    const xml = fs.readFileSync(this.path, 'utf8');
+    
+    if (!/<en-export\b/.test(xml)) {
+      throw new Error(`Not an Evernote export: ${this.path}`);
+    }
+    
+    const stat = fs.statSync(this.path);
+    const seen = new Map();
+    
+    return [...xml.matchAll(/<note>([\s\S]*?)<\/note>/g)].map(([, noteXml]) => {
+      const [title = ''] = enexElements(noteXml, 'title');
+      const [content = ''] = enexElements(noteXml, 'content');
+      const [created] = enexElements(noteXml, 'created');
+      const [updated] = enexElements(noteXml, 'updated');
+      const creationDate = parseEnexDate(created) || stat.mtime;
+      const modificationDate = parseEnexDate(updated) || creationDate;
+      
+      // ENEX has no note IDs: identify notes by title and creation time,
+      // numbering repeats so that identical notes stay apart
+      const key = `${title}\u0000${creationDate.toISOString()}`;
+      const repeat = seen.get(key) || 0;
+      seen.set(key, repeat + 1);
+      
+      const hash = crypto.createHash('sha256').update(`${key}\u0000${repeat}`).digest('hex').slice(0, 16);
+      
+      return {
+        id: this.idPrefix + hash,
+        name: title.trim() || 'Untitled',
+        body: enmlToHtml(content) + tagParagraph(enexElements(noteXml, 'tag')),
+        creationDate,
+        modificationDate,
+        folder: this.notebook,
+        account: ENEX_ACCOUNT,
+        source: this.name
+      };
+    });
+  }
+}
+
+// Markdown
+
+/**
+ * Split YAML front matter from a Markdown document. Handles the subset
+ * note apps write: scalar values, quoted strings and lists written inline
+ * ([a, b]) or as "- item" lines.
+ * @param {string} source - Markdown document
+ * @returns {Object} { data, content } with the parsed fields and the rest
+ */
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  
+  if (!match) {
+    return { data: {}, content: source };
+  }
+  
+  const unquote = value => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+  const data = {};
+  let listKey = null;
+  
+  match[1].split(/\r?\n/).forEach(line => {
+    const item = line.match(/^\s+-\s+(.*)$|^-\s+(.*)$/);
+    
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1] || item[2]));
+      return;
+    }
+    
+    const field = line.match(/^([A-Za-z_][\w -]*):\s*(.*)$/);
+    listKey = null;
+    
+    if (!field) {
+      return;
+    }
+    
+    const key = field[1].trim().toLowerCase();
+    const value = field[2].trim();
+    
+    if (!value) {
+      data[key] = [];
+      listKey = key;
+    } else if (/^\[.*\]$/.test(value)) {
+      data[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+    } else {
+      data[key] = unquote(value);
+    }
+  });
+  
+  return { data, content: source.slice(match[0].length) };
+}
+
+/**
+ * Render inline Markdown: code spans, images, links, Obsidian [[wikilinks]],
+ * bold, italics and strikethrough
+ * @param {string} text - Markdown text of one block
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+  const codes = [];
+  
+  // Keep code spans out of the other replacements
+  let html = escapeHtml(text.replace(/`([^`\n]+)`/g, (match, code) => {
+    codes.push(code);
+    return `\u0000${codes.length - 1}\u0000`;
+  }));
+  
+  html = html
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, '<img src="$2" alt="$1">')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, '<a href="$2">$1</a>')
+    .replace(/!?\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, target, alias) => alias || target)
+    .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^\w*])\*(?=\S)([^*]+?)\*(?!\w)|(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g,
+      (match, a, b, c, d) => `${a !== undefined ? a : c}<em>${b || d}</em>`)
+    .replace(/~~(?=\S)(.+?)~~/g, '<s>$1</s>');
+  
+  return html.replace(/\u0000(\d+)\u0000/g, (match, i) => `<code>${escapeHtml(codes[i])}</code>`);
+}
+
+/**
+ * Render the items of a list block, nesting items by their indentation
+ * @param {Array} items - { indent, ordered, text } in document order
+ * @returns {string} HTML
+ */
+function renderList(items) {
+  const open = [];
+  let html = '';
+  
+  items.forEach(item => {
+    const tag = item.ordered ? 'ol' : 'ul';
+    
+    while (open.length > 0 && item.indent < open[open.length - 1].indent) {
+      html += `</li></${open.pop().tag}>`;
+    }
+    
+    const top = open[open.length - 1];
+    
+    if (top && item.indent === top.indent && top.tag !== tag) {
+      html += `</li></${open.pop().tag}>`;
+    }
+    
+    if (open.length === 0 || item.indent > open[open.length - 1].indent) {
+      html += `<${tag}>`;
+      open.push({ indent: item.indent, tag });
+    } else {
+      html += '</li>';
+    }
+    
+    const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+    html += task
+      ? `<li><input type="checkbox"${task[1] === ' ' ? '' : ' checked'}> ${renderInline(task[2])}`
+      : `<li>${renderInline(item.text)}`;
+  });
+  
+  while (open.length > 0) {
+    html += `</li></${open.pop().tag}>`;
+  }
+  
+  return html;
+}
+
+// Cells of a Markdown table row
+function tableCells(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Render Markdown as HTML: headings, paragraphs (keeping line breaks, as
+ * Obsidian does), lists and checklists, block quotes, fenced code, tables
+ * and rules
+ * @param {string} markdown - Markdown without front matter
+ * @returns {string} HTML
+ */
+function markdownToHtml(markdown) {
+  const lines = markdown.split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+  
+  const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+  
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/);
+    
+    if (fence) {
+      flush();
+      const code = [];
+      
+      for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) {
+        code.push(lines[i]);
+      }
+      
+      const language = fence[2] ? ` class="language-${escapeHtml(fence[2].toLowerCase())}"` : '';
+      blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+    
+    const heading = line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    
+    if (heading) {
+      flush();
+      blocks.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+      continue;
+    }
+    
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      blocks.push('<hr>');
+      continue;
+    }
+    
+    if (/^\s*>/.test(line)) {
+      flush();
+      const quoted = [];
+      
+      for (; i < lines.length && /^\s*>/.test(lines[i]); i++) {
+        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+      }
+      
+      i--;
+      blocks.push(`<blockquote>${markdownToHtml(quoted.join('\n'))}</blockquote>`);
+      continue;
+    }
+    
+    if (LIST_ITEM.test(line)) {
+      flush();
+      const items = [];
+      
+      // Items, their indented continuation lines, and nested lists
+      for (; i < lines.length && lines[i].trim(); i++) {
+        const item = lines[i].match(LIST_ITEM);
+        
+        if (item) {
+          items.push({ indent: item[1].replace(/\t/g, '    ').length, ordered: /\d/.test(item[2]), text: item[3] });
+        } else if (/^\s/.test(lines[i])) {
+          items[items.length - 1].text += ' ' + lines[i].trim();
+        } else {
+          break;
+        }
+      }
+      
+      i--;
+      blocks.push(renderList(items));
+      continue;
+    }
+    
+    if (line.includes('|') && /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(lines[i + 1] || '')) {
+      flush();
+      const header = tableCells(line);
+      const rows = [];
+      
+      for (i += 2; i < lines.length && lines[i].includes('|'); i++) {
+        rows.push(tableCells(lines[i]));
+      }
+      
+      i--;
+      const cells = (row, tag) => row.map(cell => `<${tag}>${renderInline(cell)}</${tag}>`).join('');
+      blocks.push(`<table><tr>${cells(header, 'th')}</tr>${rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</table>`);
+      continue;
+    }
+    
+    paragraph.push(line.trim());
+  }
+  
+  flush();
+  return blocks.join('\n');
+}
+
+/**
+ * Imports a folder of Markdown files, such as an Obsidian vault. The
+ * folder becomes a top-level folder of the Markdown account and its
+ * subdirectories nested folders. Titles, tags and dates are taken from
+ * YAML front matter (title, tags, created or date, modified or updated)
+ * when present, otherwise from the file name and the file's dates.
+ * Directories starting with a dot, such as .obsidian, are skipped.
+ */
+class MarkdownImporter {
+  /**
+   * @param {string} directory - Folder to import
+   */
+  constructor(directory) {
+    this.name = 'markdown';
+    this.path = path.resolve(directory);
+    this.vault = path.basename(this.path);
+    this.idPrefix = `markdown:${this.vault}/`;
+  }
+  
+  /**
+   * Read every Markdown file below the folder
+   * @returns {Promise} Resolves with array of notes
+   */
+  async fetchNotes() {
+    return this.listFiles(this.path).map(file => this.readNote(file));
+  }
+  
+  /**
+   * Recursively list the Markdown files below a directory in a stable order
+   * @param {string} dir - Directory to walk
+   * @returns {Array} Absolute file paths
+   */
+  listFiles(dir) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.'))
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    
+    return entries.flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      
+      if (entry.isDirectory()) {
+        return this.listFiles(fullPath);
+      }
+      
+      return entry.isFile() && MARKDOWN_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+    });
+  }
+  
+  /**
+   * Read a note from a Markdown file
+   * @param {string} file - Absolute file path
+   * @returns {Object} Note
+   */
+  readNote(file) {
+    const relativePath = path.relative(this.path, file).split(path.sep).join('/');
+    const relativeDir = path.posix.dirname(relativePath);
+    const stat = fs.statSync(file);
+    const { data, content } = parseFrontMatter(fs.readFileSync(file, 'utf8'));
+    const tags = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(/[\s,]+/);
+    const creationDate = dateOr(data.created || data.date, stat.birthtime);
+    
+    return {
+      id: this.idPrefix + relativePath,
+      name: data.title || path.basename(file, path.extname(file)),
+      body: markdownToHtml(content) + tagParagraph(tags),
+      creationDate,
+      modificationDate: dateOr(data.modified || data.updated, stat.mtime),
+      folder: relativeDir === '.' ? this.vault : `${this.vault}/${relativeDir}`,
+      account: MARKDOWN_ACCOUNT,
+      source: this.name
+    };
+  }
+}
+
+/**
+ * Create the importer for a file or folder
+ * @param {string} target - .enex file or folder of Markdown files
+ * @param {string} type - 'enex' or 'markdown'; detected from the target
+ *   when omitted
+ * @returns {Object} Importer with name, path, idPrefix and fetchNotes()
+ */
+function createImporter(target, type) {
+  if (!fs.existsSync(target)) {
+    throw new Error(`Nothing to import at ${target}`);
+  }
+  
+  const isDirectory = fs.statSync(target).isDirectory();
+  const detected = type || (isDirectory ? 'markdown' : path.extname(target).toLowerCase().slice(1));
+  
+  switch (detected) {
+    case 'enex':
+      if (isDirectory) {
+        throw new Error(`Expected an .enex file, not a folder: ${target}`);
+      }
+      return new EnexImporter(target);
+    
+    case 'markdown':
+      if (!isDirectory) {
+        throw new Error(`Expected a folder of Markdown files: ${target}`);
+      }
+      return new MarkdownImporter(target);
+    
+    default:
+      throw new Error(`Cannot import ${target}. Import an .enex file or a folder of Markdown files`);
+  }
+}
+
+module.exports = {
+  IMPORT_TYPES,
+  EnexImporter,
+  MarkdownImporter,
+  markdownToHtml,
+  createImporter
+};
@@ -1,232 +1,2036 @@
 const path = require('path');
 const fs = require('fs');
-const jxa = require('node-jxa');
-const { app } = require('electron');
 
 // Import custom modules
 const ui = require('./ui');
-const { createEnhancedSearchIndex, parseQuery } = require('./search');
-const { NotesDatabase, IndexMetadata } = require('./storage');
+const {
+  INDEX_SCHEMA_VERSION,
+  createEnhancedSearchIndex,
+  loadEnhancedSearchIndex,
+  computeNoteSetChecksum,
+  correctQuery,
+  parseQuery
+} = require('./search');
+const crypto = require('crypto');
+const { and, parseDateRange } = require('./query');
+const { storageSettings, createStorage } = require('./storage');
+const { NoteConflictError, createNoteSource } = require('./sources');
+const { CONTENT_VERSION, normalizeNote, htmlToMarkdown } = require('./content');
+const { qualifiedFolder, findFolderNodes, splitPath, isTrashFolder } = require('./folders');
+const { loadConfig, resolvePath } = require('./config');
+const { PrivacyPolicy } = require('./privacy');
+const { SearchLanguages } = require('./languages');
+const { unlockStorage, prepareKeyRotation, saveEncryptionState } = require('./encryption');
+const { EXPORT_FORMATS, writeExport } = require('./export');
+const { IMPORT_TYPES, createImporter } = require('./importers');
+const { historySettings, diffLines, diffHunks } = require('./history');
+const { DEFAULT_DUPLICATE_THRESHOLD } = require('./similarity');
+const { CODE_LANGUAGES, normalizeCodeLanguage } = require('./code');
+const { composeNote, composeAppendix } = require('./compose');
+const {
+  PHASE_LABELS,
+  IndexCancelledError,
+  throwIfCancelled,
+  IndexJob,
+  IndexLock,
+  IndexScheduler,
+  watchSettings
+} = require('./scheduler');
 
-// Initialize databases
-const notesDb = new NotesDatabase();
-const metadataDb = new IndexMetadata();
+// Databases, opened on first use once the encryption key is known
+let storesReady = null;
 
-// Global state
-let searchIndex;
-let notesCache = [];
+// Where notes come from (Apple Notes unless configured otherwise)
+const noteSource = createNoteSource();
 
-// Function to retrieve notes from Apple Notes using JXA
-async function fetchAppleNotes() {
+// The last complete search index and the notes it was built from, as
+// { searchIndex, notes }. A sync builds its index on the side and replaces
+// both at once, so searches never see a half-updated state.
+let activeIndex = null;
+
+// Serializes syncs, imports, index loads and key rotation
+const indexLock = new IndexLock();
+
+// Index jobs: the one running, the one waiting behind it and the last to finish
+const jobs = { running: null, queued: null, last: null };
+
+// Background sync, while started with startWatching
+let scheduler = null;
+
+// Open the configured backend's stores with the cipher from encryption.js
+// (null for plaintext). A pending encryption state means the stores still
+// hold plaintext or an older key: loading rewrites the databases, the index
+// file is saved again, and only then is the new state recorded.
+async function openStores(settings, { cipher, pending }) {
+  const stores = {
+    ...createStorage(settings, { codec: cipher, rewrite: !!pending }),
+    encrypted: !!cipher
+  };
+  
+  await stores.notesDb.load();
+  await stores.metadataDb.load();
+  await stores.historyDb.load();
+  await stores.searchesDb.load();
+  
+  if (pending) {
+    const stored = await stores.indexFile.load();
+    
+    if (stored) {
+      await stores.indexFile.save(stored.data);
+    }
+    
+    saveEncryptionState(settings.directory, pending);
+  }
+  
+  return stores;
+}
+
+// Resolves with the opened stores. Fails with an EncryptionKeyError when
+// the stores are encrypted and the key is missing or wrong; the next call
+// tries again, so fixing the configuration needs no restart.
+// The memory backend keeps nothing on disk and is never encrypted.
+function openStorage() {
+  if (!storesReady) {
+    storesReady = Promise.resolve()
+      .then(() => {
+        const config = loadConfig();
+        const settings = storageSettings(config);
+        const unlocked = settings.directory
+          ? unlockStorage(settings.directory, config)
+          : { cipher: null, pending: null };
+        
+        return openStores(settings, unlocked);
+      })
+      .catch(error => {
+        storesReady = null;
+        throw error;
+      });
+  }
+  
+  return storesReady;
+}
+
+// Check whether a fetched note differs from the stored version
+function isNoteChanged(note, stored) {
+  const fetched = new Date(note.modificationDate).getTime();
+  
+  // Notes normalized by an older converter are rewritten too, and so are
+  // notes moved to another folder, which keeps their modification date
+  return fetched !== new Date(stored.modificationDate).getTime() ||
+    stored.contentVersion !== CONTENT_VERSION ||
+    stored.folder !== note.folder ||
+    stored.account !== note.account ||
+    stored.source !== note.source;
+}
+
+// Check whether a note was edited since it was stored, as opposed to being
+// moved or rewritten by a newer converter
+function isNoteEdited(note, stored) {
+  return new Date(note.modificationDate).getTime() !== new Date(stored.modificationDate).getTime();
+}
+
+// Keep the stored version of an edited note as a revision before it is
+// overwritten, dropping the oldest revisions beyond history.maxRevisions.
+// Resolves with the revision number, or null if nothing was kept.
+async function saveRevision(historyDb, stored, note, history) {
+  if (history.maxRevisions === 0 || (stored.body === note.body && stored.name === note.name)) {
+    return null;
+  }
+  
+  const revisions = await historyDb.getRevisions(stored.id);
+  const number = revisions.length > 0 ? revisions[revisions.length - 1].number + 1 : 1;
+  
+  await historyDb.saveRevision({
+    noteId: stored.id,
+    number,
+    name: stored.name,
+    body: stored.body,
+    folder: stored.folder,
+    account: stored.account,
+    modificationDate: new Date(stored.modificationDate).toISOString(),
+    savedAt: new Date().toISOString()
+  });
+  await historyDb.pruneRevisions(stored.id, history.maxRevisions);
+  
+  return number;
+}
+
+// Most notes listed as changed by the last sync
+const MAX_CHANGED_NOTES = 100;
+
+// Check whether a stored note came from importNotes rather than the note source
+function isImported(version) {
+  return IMPORT_TYPES.includes(version.source);
+}
+
+// Make sure notes loaded from storage carry current text and Markdown forms
+function ensureNormalized(note) {
+  return note.contentVersion === CONTENT_VERSION ? note : normalizeNote(note);
+}
+
+// Load the persisted search index when it was built from exactly these
+// notes with the current schema and language settings; otherwise build it
+// and persist it. Pass options.rebuild to discard the persisted index
+// regardless, e.g. when note contents changed without their versions
+// changing, and options.languages when the configuration is already loaded.
+// Resolves with the index, the metadata describing it and whether it was rebuilt.
+async function prepareSearchIndex(notes, metadata, options = {}) {
+  const { indexFile } = await openStorage();
+  const languages = options.languages || new SearchLanguages(loadConfig());
+  const noteSetChecksum = computeNoteSetChecksum(notes);
+  
+  if (!options.rebuild &&
+      metadata.indexVersion === INDEX_SCHEMA_VERSION &&
+      metadata.noteSetChecksum === noteSetChecksum &&
+      metadata.languageChecksum === languages.checksum) {
+    try {
+      const stored = await indexFile.load();
+      
+      if (stored && stored.checksum === metadata.indexChecksum) {
+        return {
+          index: loadEnhancedSearchIndex(JSON.parse(stored.data), notes, languages),
+          info: {
+            indexVersion: metadata.indexVersion,
+            indexChecksum: metadata.indexChecksum,
+            noteSetChecksum,
+            languageChecksum: languages.checksum
+          },
+          rebuilt: false
+        };
+      }
+    } catch (error) {
+      console.error('Stored search index is unreadable, rebuilding:', error);
+    }
+  }
+  
+  const index = createEnhancedSearchIndex(notes, languages);
+  const indexChecksum = await indexFile.save(JSON.stringify(index));
+  
+  return {
+    index,
+    info: {
+      indexVersion: INDEX_SCHEMA_VERSION,
+      indexChecksum,
+      noteSetChecksum,
+      languageChecksum: languages.checksum
+    },
+    rebuilt: true
+  };
+}
+
+// Drop the notes the configuration excludes and mask secrets in the rest,
+// so that neither the database nor the search index ever sees them.
+// Resolves with the notes to index and counts for the index status.
+function applyPrivacy(fetched, policy) {
+  const notes = [];
+  const privacy = { excluded: 0, redacted: 0, redactedNotes: 0 };
+  
+  fetched.forEach(raw => {
+    const note = normalizeNote(raw);
+    
+    if (!policy.allows(note)) {
+      privacy.excluded++;
+      return;
+    }
+    
+    const { note: redacted, count } = policy.redact(raw);
+    
+    if (count > 0) {
+      privacy.redacted += count;
+      privacy.redactedNotes++;
+      notes.push(normalizeNote(redacted));
+    } else {
+      notes.push(note);
+    }
+  });
+  
+  return { notes, privacy };
+}
+
+// Function to build the index
+// In incremental mode (the default) only new or changed notes are written;
+// pass { full: true } to rewrite every note. Changing the exclusion or
+// redaction settings also rewrites every note and clears the revision
+// history, which was stored under the previous rules. The previous version
+// of every edited note is kept as a revision (see noteHistory).
+// Runs as an index job (see startIndexJob): progressCallback receives
+// { phase, current, total, note }, and aborting options.signal stops the
+// sync at the next note with an IndexCancelledError. Notes saved until then
+// stay saved; the previous search index stays in use until a sync completes.
+async function buildIndex(progressCallback = () => {}, options = {}) {
+  const { signal } = options;
+  
   try {
-    const notes = await jxa.run(() => {
-      const app = Application('Notes');
-      app.includeStandardAdditions = true;
+    // Read the rules first so a broken configuration stops the sync
+    // before anything is written
+    const config = loadConfig();
+    const policy = new PrivacyPolicy(config);
+    const history = historySettings(config);
+    const languages = new SearchLanguages(config);
+    const { notesDb, metadataDb, historyDb } = await openStorage();
+    const metadata = await metadataDb.getMetadata();
+    const privacyChanged = metadata.privacyChecksum !== policy.checksum;
+    const full = !!options.full || privacyChanged;
+    
+    if (privacyChanged) {
+      await historyDb.clearRevisions();
+    }
+    
+    // Fetch all notes from the configured source, derive plain text and
+    // Markdown from their HTML bodies and apply the privacy settings
+    progressCallback({ phase: 'fetching', current: 0, total: 0, note: null });
+    const { notes, privacy } = applyPrivacy(await noteSource.fetchNotes(), policy);
+    
+    // Compare against what is already stored
+    const storedVersions = await notesDb.getNoteVersions();
+    const changes = {
+      added: 0,
+      updated: 0,
+      removed: 0,
+      unchanged: 0
+    };
+    
+    // Which notes were added, updated or removed, for the index status
+    const changedNotes = [];
+    
+    // Store new and changed notes in the database
+    for (let i = 0; i < notes.length; i++) {
+      const note = notes[i];
       
-      const allNotes = [];
+      throwIfCancelled(signal);
+      
+      // Update progress
+      progressCallback({
+        phase: 'saving',
+        current: i + 1,
+        total: notes.length,
+        note: note.name
+      });
       
-      // Get all folders
-      const folders = app.folders();
+      const stored = storedVersions.get(note.id);
       
-      // Iterate through folders and get notes
-      folders.forEach(folder => {
-        const folderName = folder.name();
+      if (!stored) {
+        changes.added++;
+        changedNotes.push({ id: note.id, name: note.name, change: 'added' });
+      } else if (full || isNoteChanged(note, stored)) {
+        changes.updated++;
         
-        folder.notes().forEach(note => {
-          allNotes.push({
-            id: note.id(),
-            name: note.name(),
-            body: note.body(),
-            creationDate: note.creationDate(),
-            modificationDate: note.modificationDate(),
-            folder: folderName
-          });
-        });
-      });
+        const revision = isNoteEdited(note, stored)
+          ? await saveRevision(historyDb, await notesDb.getNote(note.id), note, history)
+          : null;
+        
+        changedNotes.push({ id: note.id, name: note.name, change: 'updated', revision });
+      } else {
+        changes.unchanged++;
+        continue;
+      }
+      
+      // Save to database
+      await notesDb.saveNote(note);
+    }
+    
+    // Remove notes that no longer exist in Apple Notes. Imported notes are
+    // left alone: they only change when their files are imported again.
+    const fetchedIds = new Set(notes.map(note => note.id));
+    const imported = [];
+    
+    for (const [id, version] of storedVersions) {
+      if (fetchedIds.has(id)) {
+        continue;
+      }
+      
+      throwIfCancelled(signal);
+      
+      const stored = await notesDb.getNote(id);
+      
+      if (!isImported(version)) {
+        await notesDb.deleteNote(id);
+        await historyDb.deleteRevisions(id);
+        changes.removed++;
+        changedNotes.push({ id, name: stored.name, change: 'removed' });
+        continue;
+      }
+      
+      // Imported notes the current rules exclude are removed as well
+      const note = ensureNormalized(stored);
+      
+      if (privacyChanged && !policy.allows(note)) {
+        await notesDb.deleteNote(id);
+        await historyDb.deleteRevisions(id);
+        changes.removed++;
+        changedNotes.push({ id, name: note.name, change: 'removed' });
+        privacy.excluded++;
+      } else {
+        imported.push(note);
+      }
+    }
+    
+    const indexedNotes = [...notes, ...imported];
+    
+    // Last chance to stop: from here on the new index replaces the old one
+    throwIfCancelled(signal);
+    progressCallback({ phase: 'indexing', current: indexedNotes.length, total: indexedNotes.length, note: null });
+    
+    // Create the search index, reusing the saved one if nothing changed;
+    // the saved one may hold values the new settings redact
+    const prepared = await prepareSearchIndex(indexedNotes, metadata, { rebuild: privacyChanged, languages });
+    
+    // Swap in the new index together with the notes it covers
+    activeIndex = { searchIndex: prepared.index, notes: indexedNotes };
+    
+    // Update metadata
+    const lastIndexed = new Date().toISOString();
+    const listedChanges = changedNotes.slice(0, MAX_CHANGED_NOTES);
+    
+    await metadataDb.saveMetadata({
+      lastIndexed,
+      noteCount: indexedNotes.length,
+      indexed: true,
+      lastChanges: changes,
+      lastChangedNotes: listedChanges,
+      privacy,
+      privacyChecksum: policy.checksum,
+      ...prepared.info
+    });
+    
+    return {
+      indexed: indexedNotes.length,
+      ...changes,
+      changedNotes: listedChanges,
+      privacy,
+      lastUpdated: lastIndexed
+    };
+  } catch (error) {
+    if (!(error instanceof IndexCancelledError)) {
+      console.error('Error building index:', error);
+    }
+    throw error;
+  }
+}
+
+// Queue a sync as an index job and resolve job.done once it has finished.
+// Jobs run one at a time. A job still waiting for its turn is shared by
+// later requests instead of queueing another (becoming a full sync if any
+// of them asks for one), so however many triggers arrive during a long
+// sync, at most one more sync follows it.
+function startIndexJob(options = {}) {
+  if (jobs.queued) {
+    jobs.queued.full = jobs.queued.full || !!options.full;
+    return jobs.queued;
+  }
+  
+  const job = new IndexJob(options);
+  jobs.queued = job;
+  
+  job.done = indexLock.run(async () => {
+    if (jobs.queued === job) {
+      jobs.queued = null;
+    }
+    jobs.running = job;
+    
+    await job.run((progressCallback, signal) => buildIndex(progressCallback, { full: job.full, signal }));
+    
+    jobs.running = null;
+    jobs.last = job;
+    return job;
+  });
+  
+  return job;
+}
+
+// Cancel the running index job and the one waiting behind it. Returns the
+// jobs asked to stop; a running sync stops at its next note (reading the
+// notes from the source cannot be interrupted), which job.done tells.
+function cancelIndexing() {
+  const cancelled = [jobs.running, jobs.queued].filter(job => job && job.cancel());
+  
+  // The cancelled job stops once its turn comes; later requests queue anew
+  if (jobs.queued && jobs.queued.signal.aborted) {
+    jobs.queued = null;
+  }
+  
+  return cancelled;
+}
+
+// Function to import notes from an Evernote export or a Markdown folder
+// Imported notes are stored and indexed next to the synced ones. Importing
+// the same files again updates their notes, adds new ones and removes the
+// notes whose files or ENEX entries are gone. Pass options.type ('enex' or
+// 'markdown') to override detection from the path.
+async function importNotes(target, options = {}) {
+  if (!target) {
+    throw new Error('Please provide an .enex file or a folder of Markdown files to import');
+  }
+  
+  const importer = createImporter(resolvePath(target), options.type);
+  const config = loadConfig();
+  const policy = new PrivacyPolicy(config);
+  const history = historySettings(config);
+  const languages = new SearchLanguages(config);
+  const { notesDb, metadataDb, historyDb } = await openStorage();
+  const metadata = await metadataDb.getMetadata();
+  const { notes, privacy } = applyPrivacy(await importer.fetchNotes(), policy);
+  const storedVersions = await notesDb.getNoteVersions();
+  const changes = {
+    added: 0,
+    updated: 0,
+    removed: 0,
+    unchanged: 0
+  };
+  
+  for (const note of notes) {
+    const stored = storedVersions.get(note.id);
+    
+    if (!stored) {
+      changes.added++;
+    } else if (options.full || isNoteChanged(note, stored)) {
+      changes.updated++;
       
-      return allNotes;
+      if (isNoteEdited(note, stored)) {
+        await saveRevision(historyDb, await notesDb.getNote(note.id), note, history);
+      }
+    } else {
+      changes.unchanged++;
+      continue;
+    }
+    
+    await notesDb.saveNote(note);
+  }
+  
+  // Notes from an earlier import of the same file or folder that are gone
+  const importedIds = new Set(notes.map(note => note.id));
+  
+  for (const [id, version] of storedVersions) {
+    if (version.source === importer.name && id.startsWith(importer.idPrefix) && !importedIds.has(id)) {
+      await notesDb.deleteNote(id);
+      await historyDb.deleteRevisions(id);
+      changes.removed++;
+    }
+  }
+  
+  // Index the imported notes together with everything already stored
+  const allNotes = (await notesDb.getAllNotes()).map(ensureNormalized);
+  const prepared = await prepareSearchIndex(allNotes, metadata, { languages });
+  activeIndex = { searchIndex: prepared.index, notes: allNotes };
+  
+  await metadataDb.updateMetadata({
+    noteCount: allNotes.length,
+    indexed: true,
+    ...prepared.info
+  });
+  
+  return {
+    source: importer.name,
+    path: importer.path,
+    imported: notes.length,
+    ...changes,
+    privacy
+  };
+}
+
+// Key the confirmation tokens of this process are signed with, so a write
+// can only be confirmed with a token its preview handed out
+const WRITE_KEY = crypto.randomBytes(32);
+
+// Nonces of the confirmation tokens already used, so none confirms twice
+const usedConfirmations = new Set();
+
+// Signature of a write under a token's nonce
+function signWrite(nonce, write) {
+  return crypto.createHmac('sha256', WRITE_KEY).update(JSON.stringify([nonce, write])).digest('base64url');
+}
+
+// Token confirming one particular write, given out with its preview. Each
+// preview's token has a fresh nonce and confirms the write once.
+function confirmationToken(write) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return `${nonce}.${signWrite(nonce, write)}`;
+}
+
+// Check that a write was confirmed with the token of its preview, and use
+// the token up
+function checkConfirmation(token, write) {
+  const [nonce, signature] = String(token).split('.');
+  
+  if (!signature || signature !== signWrite(nonce, write)) {
+    throw new Error('The confirmation does not match this write. Preview it again and confirm with the token the preview returns.');
+  }
+  if (usedConfirmations.has(nonce)) {
+    throw new Error('This confirmation was already used. Preview the write again to confirm it once more.');
+  }
+  
+  usedConfirmations.add(nonce);
+}
+
+// Folder path a note is created in, 'Notes' unless given
+function noteFolder(folder) {
+  const names = splitPath(folder === undefined ? 'Notes' : String(folder).trim());
+  
+  if (names.length === 0 || names.some(name => !name.trim())) {
+    throw new Error(`Invalid folder: ${folder}`);
+  }
+  if (isTrashFolder(names.join('/'))) {
+    throw new Error('Notes cannot be created in Recently Deleted');
+  }
+  
+  return names.map(name => name.trim()).join('/');
+}
+
+// Store a note just written to the note source and swap in a search index
+// that covers it, built from the notes already indexed rather than a sync.
+// stored is the note's previous version, kept as a revision. Must hold the
+// index lock with the index loaded. Resolves with the note as indexed, or
+// null when the configuration excludes it.
+async function indexWrittenNote(raw, stored = null) {
+  const config = loadConfig();
+  const policy = new PrivacyPolicy(config);
+  const { notesDb, metadataDb, historyDb } = await openStorage();
+  const { notes: [note] } = applyPrivacy([raw], policy);
+  
+  if (note) {
+    if (stored) {
+      await saveRevision(historyDb, stored, note, historySettings(config));
+    }
+    await notesDb.saveNote(note);
+  } else if (stored) {
+    // What was added made the configuration exclude the note
+    await notesDb.deleteNote(raw.id);
+    await historyDb.deleteRevisions(raw.id);
+  }
+  
+  const others = activeIndex.notes.filter(other => other.id !== raw.id);
+  const notes = note ? [...others, note] : others;
+  const metadata = await metadataDb.getMetadata();
+  const prepared = await prepareSearchIndex(notes, metadata, { languages: new SearchLanguages(config) });
+  
+  activeIndex = { searchIndex: prepared.index, notes };
+  
+  await metadataDb.updateMetadata({
+    noteCount: notes.length,
+    ...prepared.info
+  });
+  
+  return note || null;
+}
+
+// Function to create a note from Markdown
+// options: { title, content, folder, account, confirm }. Without confirm
+// nothing is written: resolves with { written: false, preview, confirm }
+// where confirm is the token to create exactly this note with. Called again
+// with it, the note is created through the note source, stored and indexed
+// at once; resolves with { written: true, preview, note, indexed }.
+async function createNote(options = {}) {
+  const title = String(options.title || '').trim();
+  
+  if (!title) {
+    throw new Error('Please provide a title for the note');
+  }
+  
+  const folder = noteFolder(options.folder);
+  const account = options.account || null;
+  const body = composeNote(title, options.content);
+  const preview = { action: 'create', title, folder, account, html: body, markdown: htmlToMarkdown(body) };
+  const write = ['createNote', folder, account, body];
+  
+  if (!options.confirm) {
+    return { written: false, preview, confirm: confirmationToken(write) };
+  }
+  
+  checkConfirmation(options.confirm, write);
+  await requireSearchIndex();
+  
+  // Waits for a running sync, which writes the same stores
+  return indexLock.run(async () => {
+    const raw = await noteSource.createNote({ name: title, body, folder, account });
+    const note = await indexWrittenNote(raw);
+    
+    return { written: true, preview, note: summarizeNote(raw), indexed: !!note };
+  });
+}
+
+// Function to add Markdown to the end of a note
+// options: { content, modificationDate, confirm }. modificationDate is the
+// version of the note the content was written against, as getNote returned
+// it; the indexed version by default. The note is never written when its
+// source has changed it since, whether or not a sync has seen the change.
+// Previews and confirms like createNote. Resolves with null if there is no
+// such note.
+async function appendToNote(id, options = {}) {
+  const content = String(options.content || '');
+  
+  if (!content.trim()) {
+    throw new Error('Please provide the Markdown to append');
+  }
+  
+  const { notesDb } = await openStorage();
+  const stored = await notesDb.getNote(id);
+  
+  if (!stored) {
+    return null;
+  }
+  if (isImported(stored)) {
+    throw new Error(`"${stored.name}" was imported from ${stored.source} and cannot be written to`);
+  }
+  
+  const read = new Date(options.modificationDate || stored.modificationDate);
+  
+  if (isNaN(read.getTime())) {
+    throw new Error(`Invalid modificationDate: ${options.modificationDate}`);
+  }
+  
+  const modificationDate = read.toISOString();
+  const html = composeAppendix(content);
+  const preview = {
+    action: 'append',
+    id,
+    title: stored.name,
+    folder: stored.folder,
+    account: stored.account,
+    modificationDate,
+    html,
+    markdown: htmlToMarkdown(html)
+  };
+  const write = ['appendToNote', id, modificationDate, html];
+  
+  if (!options.confirm) {
+    return { written: false, preview, confirm: confirmationToken(write) };
+  }
+  
+  checkConfirmation(options.confirm, write);
+  await requireSearchIndex();
+  
+  return indexLock.run(async () => {
+    // A sync may have stored a newer version while this one waited
+    const current = await notesDb.getNote(id) || stored;
+    const raw = await noteSource.appendToNote({ ...current, modificationDate }, html);
+    
+    if (!raw) {
+      throw new Error(`"${stored.name}" no longer exists where it was read from`);
+    }
+    
+    const note = await indexWrittenNote(raw, current);
+    
+    return { written: true, preview, note: summarizeNote(raw), indexed: !!note };
+  });
+}
+
+// Number of search results per page unless a limit is given
+const DEFAULT_PAGE_SIZE = 20;
+
+// Opaque cursor pointing at a result offset for one particular query
+function encodeCursor(queryKey, offset) {
+  return Buffer.from(JSON.stringify({ q: queryKey, o: offset })).toString('base64url');
+}
+
+// Offset stored in a cursor, checking that it belongs to this query
+function decodeCursor(cursor, queryKey) {
+  let decoded;
+  
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  
+  if (!decoded || decoded.q !== queryKey || !Number.isInteger(decoded.o) || decoded.o < 0) {
+    throw new Error('Cursor does not belong to this search');
+  }
+  
+  return decoded.o;
+}
+
+// Load the search index if needed, failing when it was never built.
+// Resolves with the active { searchIndex, notes }; callers keep using that
+// snapshot even if a sync swaps in a new index meanwhile.
+async function requireSearchIndex() {
+  if (!activeIndex) {
+    // The stores are half-written while the first sync runs
+    if (jobs.running || jobs.queued) {
+      throw new Error('The index is still being built. Please try again when indexing has finished.');
+    }
+    
+    // Try to load the index if it exists
+    await loadIndexFromStorage();
+    
+    if (!activeIndex) {
+      throw new Error('Index not built yet. Please run the indexNotes command first.');
+    }
+  }
+  
+  return activeIndex;
+}
+
+// Query nodes for the folder and dateRange options
+function optionFilters(options) {
+  const folderFilter = options.folder
+    ? { type: 'filter', field: 'folder', value: options.folder }
+    : null;
+  
+  let dateFilter = null;
+  if (options.dateRange && (options.dateRange.start || options.dateRange.end)) {
+    const { start, end } = options.dateRange;
+    dateFilter = {
+      type: 'date',
+      field: 'modificationDate',
+      range: {
+        start: start ? parseDateRange(`>=${start}`, 'dateFrom').start : null,
+        end: end ? parseDateRange(`<=${end}`, 'dateTo').end : null
+      }
+    };
+  }
+  
+  return [folderFilter, dateFilter];
+}
+
+// Function to search notes
+// Options given explicitly (folder, dateRange, sortBy) narrow the results
+// further; sortBy takes precedence over sort: in the query string.
+// offset and limit select a page. A query with few hits also finds words
+// with typos and longer words they start, unless options.exact is set.
+// Resolves with { results, total, facets, approximate, didYouMean } where
+// approximate tells whether such matches were added and didYouMean is the
+// query with unknown words corrected, or null.
+async function searchNotes(queryString, options = {}) {
+  const { searchIndex } = await requireSearchIndex();
+  
+  // Parse the query
+  const parsedQuery = parseQuery(queryString);
+  
+  // Execute the search with advanced options
+  const { corrections, ...results } = searchIndex.advancedSearch({
+    ast: and(parsedQuery.ast, ...optionFilters(options)),
+    sortBy: options.sortBy || parsedQuery.sortBy,
+    offset: options.offset,
+    limit: options.limit,
+    fuzzy: !options.exact
+  });
+  
+  return {
+    ...results,
+    didYouMean: corrections.length > 0 ? correctQuery(queryString, corrections) : null
+  };
+}
+
+// Checklist item states listTasks can show
+const TASK_STATUSES = ['open', 'done', 'all'];
+
+// Function to collect checklist items across notes
+// Notes are selected like searchNotes: an optional query string narrowed by
+// the folder and dateRange options. status picks open, done or all items.
+// Resolves with { folders, count, open, done } where folders group the
+// notes with matching tasks, and open/done count every task in the
+// selected notes.
+async function listTasks(options = {}) {
+  const status = options.status || 'open';
+  
+  if (!TASK_STATUSES.includes(status)) {
+    throw new Error(`Unknown task status "${status}". Use open, done or all`);
+  }
+  
+  const { searchIndex } = await requireSearchIndex();
+  
+  const parsedQuery = parseQuery(options.query || '');
+  const { results } = searchIndex.advancedSearch({
+    ast: and(parsedQuery.ast, ...optionFilters(options), { type: 'filter', field: 'has', value: 'checklist' }),
+    sortBy: 'dateNewest'
+  });
+  
+  const folders = new Map();
+  const totals = { count: 0, open: 0, done: 0 };
+  
+  results.forEach(note => {
+    const tasks = note.checklist
+      .filter(item => status === 'all' || item.done === (status === 'done'))
+      .map(item => ({ text: item.text, done: item.done }));
+    
+    note.checklist.forEach(item => {
+      totals[item.done ? 'done' : 'open']++;
     });
     
-    return notes;
+    if (tasks.length === 0) {
+      return;
+    }
+    
+    totals.count += tasks.length;
+    
+    const folder = qualifiedFolder(note);
+    if (!folders.has(folder)) {
+      folders.set(folder, []);
+    }
+    folders.get(folder).push({ ...summarizeNote(note), tasks });
+  });
+  
+  return {
+    folders: [...folders.entries()]
+      .map(([name, notes]) => ({ name, notes }))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+    ...totals
+  };
+}
+
+// Function to search the code snippets found in notes
+// Snippets are selected with the searchNotes query syntax, where lang:sql
+// picks a language, narrowed by the folder, dateRange and language options;
+// an empty query lists every snippet. offset and limit select a page.
+// Resolves with { results, total } where each result holds the raw code,
+// its language and the note it came from.
+async function searchSnippets(queryString, options = {}) {
+  let languageFilter = null;
+  
+  if (options.language) {
+    const language = normalizeCodeLanguage(options.language);
+    
+    if (!language) {
+      const languages = [...new Set(Object.values(CODE_LANGUAGES))].join(', ');
+      throw new Error(`Unknown snippet language "${options.language}". Use one of: ${languages}`);
+    }
+    languageFilter = { type: 'filter', field: 'lang', value: language };
+  }
+  
+  const { searchIndex } = await requireSearchIndex();
+  const parsedQuery = parseQuery(queryString || '');
+  
+  const { results, total } = searchIndex.searchSnippets({
+    ast: and(parsedQuery.ast, ...optionFilters(options), languageFilter),
+    sortBy: options.sortBy || parsedQuery.sortBy,
+    offset: options.offset,
+    limit: options.limit
+  });
+  
+  return {
+    results: results.map(record => ({ ...summarizeSnippet(record), score: record.score })),
+    total
+  };
+}
+
+// Function to get one code snippet by the ID searchSnippets gave it
+// Resolves with the snippet, or null if there is none with that ID
+async function getSnippet(id) {
+  const { searchIndex } = await requireSearchIndex();
+  const record = searchIndex.getSnippet(id);
+  return record && summarizeSnippet(record);
+}
+
+// Load index from storage
+// Resolves with false when there is no usable index yet. Stores that cannot
+// be opened (a missing encryption key, a bad storage setting) are an error
+// rather than an empty index. Holds the index lock, so it never reads notes
+// a sync is halfway through writing.
+function loadIndexFromStorage() {
+  return indexLock.run(async () => {
+    // Loaded by a sync or another caller while this one waited
+    if (activeIndex) {
+      return true;
+    }
+    
+    const { notesDb, metadataDb } = await openStorage();
+    
+    try {
+      // Get metadata
+      const metadata = await metadataDb.getMetadata();
+      
+      // If we have an index, load the notes
+      if (metadata.indexed) {
+        const notes = (await notesDb.getAllNotes()).map(ensureNormalized);
+        
+        if (notes.length > 0) {
+          // Load the saved search index, rebuilding only if it is stale
+          const prepared = await prepareSearchIndex(notes, metadata);
+          
+          if (prepared.rebuilt) {
+            await metadataDb.updateMetadata(prepared.info);
+          }
+          
+          activeIndex = { searchIndex: prepared.index, notes };
+          return true;
+        }
+      }
+      
+      return false;
+    } catch (error) {
+      console.error('Error loading index:', error);
+      return false;
+    }
+  });
+}
+
+// Number of indexed notes by source, e.g. { 'apple-notes': 120, enex: 40 }
+function countSources(notes) {
+  const counts = {};
+  
+  notes.forEach(note => {
+    const source = note.source || 'apple-notes';
+    counts[source] = (counts[source] || 0) + 1;
+  });
+  
+  return counts;
+}
+
+// Index jobs and background sync, for the index status
+function describeJobs() {
+  const describe = job => (job ? job.toJSON() : null);
+  
+  return {
+    jobs: { running: describe(jobs.running), queued: describe(jobs.queued), last: describe(jobs.last) },
+    watch: scheduler ? scheduler.toJSON() : null
+  };
+}
+
+// Function to get index stats
+async function getIndexStats() {
+  try {
+    // Try to load index if not loaded, unless a sync will provide it
+    if (!activeIndex && !jobs.running && !jobs.queued) {
+      await loadIndexFromStorage();
+    }
+    
+    // Get metadata
+    const { notesDb, metadataDb, encrypted } = await openStorage();
+    const metadata = await metadataDb.getMetadata();
+    const noteCount = await notesDb.countNotes();
+    const notes = activeIndex ? activeIndex.notes : [];
+    
+    return {
+      totalNotes: noteCount,
+      encrypted,
+      indexed: notes.length,
+      isIndexed: !!activeIndex,
+      lastIndexed: metadata.lastIndexed,
+      lastChanges: metadata.lastChanges || null,
+      changedNotes: metadata.lastChangedNotes || [],
+      sources: countSources(notes),
+      privacy: metadata.privacy || null,
+      ...describeJobs()
+    };
+  } catch (error) {
+    console.error('Error getting index stats:', error);
+    throw error;
+  }
+}
+
+// Short description of a note for listings
+function summarizeNote(note) {
+  return {
+    id: note.id,
+    name: note.name,
+    folder: note.folder,
+    account: note.account,
+    source: note.source || 'apple-notes',
+    creationDate: note.creationDate,
+    modificationDate: note.modificationDate
+  };
+}
+
+// Full note with its body in plain text, Markdown and HTML, and its facets
+function expandNote(note) {
+  const normalized = ensureNormalized(note);
+  
+  return {
+    ...summarizeNote(note),
+    text: normalized.text,
+    markdown: normalized.markdown,
+    html: note.body || '',
+    tags: normalized.tags,
+    mentions: normalized.mentions,
+    checklist: normalized.checklist,
+    links: normalized.links,
+    codeSnippets: normalized.codeSnippets
+  };
+}
+
+// Code snippet with the note it came from, for listings
+function summarizeSnippet(record) {
+  return {
+    id: record.id,
+    noteId: record.noteId,
+    noteName: record.name,
+    folder: record.folder,
+    account: record.account,
+    modificationDate: record.modificationDate,
+    kind: record.kind,
+    language: record.language,
+    code: record.code
+  };
+}
+
+// Function to get a single note in every format
+async function getNote(id) {
+  const { notesDb } = await openStorage();
+  const note = await notesDb.getNote(id);
+  return note ? expandNote(note) : null;
+}
+
+// Function to list the revisions of a note and compare two of them
+// options.from and options.to are revision numbers or 'current' (the note
+// as last indexed); by default the newest revision is compared with the
+// current note. Resolves with null if there is no such note.
+async function noteHistory(id, options = {}) {
+  const { notesDb, historyDb } = await openStorage();
+  const note = await notesDb.getNote(id);
+  
+  if (!note) {
+    return null;
+  }
+  
+  const revisions = await historyDb.getRevisions(id);
+  const byNumber = new Map(revisions.map(revision => [revision.number, revision]));
+  
+  // The note or revision a from/to option refers to
+  const pick = (value, fallback) => {
+    const key = value === undefined || value === null || value === '' ? fallback : value;
+    
+    if (key === 'current') {
+      return { key, version: note };
+    }
+    if (!byNumber.has(Number(key))) {
+      const known = revisions.map(revision => revision.number).join(', ') || 'none';
+      throw new Error(`Note has no revision ${key} (revisions: ${known})`);
+    }
+    return { key: Number(key), version: byNumber.get(Number(key)) };
+  };
+  
+  let diff = null;
+  
+  if (revisions.length > 0 || options.from !== undefined || options.to !== undefined) {
+    const from = pick(options.from, revisions.length > 0 ? revisions[revisions.length - 1].number : 'current');
+    const to = pick(options.to, 'current');
+    const lines = diffLines(htmlToMarkdown(from.version.body || ''), htmlToMarkdown(to.version.body || ''));
+    
+    diff = {
+      from: from.key,
+      to: to.key,
+      fromName: from.version.name,
+      toName: to.version.name,
+      added: lines.filter(line => line.type === '+').length,
+      removed: lines.filter(line => line.type === '-').length,
+      hunks: diffHunks(lines)
+    };
+  }
+  
+  return {
+    ...summarizeNote(note),
+    revisions: [
+      ...revisions.map(revision => ({
+        revision: revision.number,
+        name: revision.name,
+        modificationDate: revision.modificationDate,
+        savedAt: revision.savedAt
+      })),
+      { revision: 'current', name: note.name, modificationDate: note.modificationDate }
+    ],
+    diff
+  };
+}
+
+// Function to find the notes most similar to one note
+// options.limit caps the notes listed. Resolves with the note and its
+// related notes, each with a score from 0 to 1 and the terms they share, or
+// null if the note is not in the index.
+async function relatedNotes(id, options = {}) {
+  const { searchIndex, notes } = await requireSearchIndex();
+  const related = searchIndex.relatedNotes(id, { limit: options.limit });
+  
+  if (!related) {
+    return null;
+  }
+  
+  const note = notes.find(candidate => candidate.id === id);
+  
+  return {
+    ...summarizeNote(note),
+    related: related.map(({ note: other, score, sharedTerms }) => ({
+      ...summarizeNote(other),
+      score,
+      sharedTerms
+    }))
+  };
+}
+
+// Function to find groups of near-identical notes
+// options.threshold is the similarity (0.5 to 1) two notes need to be
+// grouped, options.folder limits the notes compared. Resolves with
+// { threshold, folder, groups, duplicates } where duplicates counts the
+// notes in all groups.
+async function findDuplicates(options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_DUPLICATE_THRESHOLD : Number(options.threshold);
+  
+  if (!(threshold >= 0.5 && threshold <= 1)) {
+    throw new Error('The duplicate threshold must be a number from 0.5 to 1');
+  }
+  
+  const { searchIndex } = await requireSearchIndex();
+  const groups = searchIndex.findDuplicates({ threshold, folder: options.folder })
+    .map(group => ({
+      similarity: group.similarity,
+      notes: group.notes.map(summarizeNote)
+    }));
+  
+  return {
+    threshold,
+    folder: options.folder || null,
+    groups,
+    duplicates: groups.reduce((sum, group) => sum + group.notes.length, 0)
+  };
+}
+
+// Saved searches are listed pinned first, then by name
+function sortSavedSearches(searches) {
+  return [...searches].sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned) || a.name.localeCompare(b.name));
+}
+
+// Name of a saved search, failing when it is blank
+function savedSearchName(name) {
+  const trimmed = String(name || '').trim();
+  
+  if (!trimmed) {
+    throw new Error('Please provide a name for the saved search');
+  }
+  
+  return trimmed;
+}
+
+// IDs of every note a query matches now. Saved searches match exactly:
+// approximate matches come and go as exact ones cross the few-results
+// threshold, which would count notes as new again.
+async function matchingIds(query) {
+  const { results } = await searchNotes(query, { exact: true });
+  return results.map(note => note.id);
+}
+
+// A saved search as listed, without the note IDs kept to tell new matches
+// apart: total counts the notes it matches now and newMatches those it did
+// not match when last run
+async function describeSavedSearch(search) {
+  const ids = await matchingIds(search.query);
+  const seen = new Set(search.seenIds);
+  
+  return {
+    name: search.name,
+    query: search.query,
+    pinned: search.pinned,
+    createdAt: search.createdAt,
+    lastRunAt: search.lastRunAt,
+    total: ids.length,
+    newMatches: ids.filter(id => !seen.has(id)).length
+  };
+}
+
+// Function to save a search under a name, or to change a saved search
+// options.query is required for a new search; options.pinned keeps the
+// search at the top of the list. The notes a query matches when it is saved
+// count as seen, so only notes matching later are new. Resolves with the
+// saved search as listSavedSearches describes it.
+async function saveSearch(name, options = {}) {
+  const searchName = savedSearchName(name);
+  const { searchesDb } = await openStorage();
+  const existing = (await searchesDb.getSavedSearches()).find(search => search.name === searchName);
+  const query = options.query !== undefined ? String(options.query).trim() : (existing ? existing.query : '');
+  
+  if (!query) {
+    throw new Error('Please provide a search query to save');
+  }
+  
+  let search;
+  
+  if (existing && existing.query === query) {
+    search = { ...existing };
+  } else {
+    // Fails for queries with syntax errors
+    const seenIds = await matchingIds(query);
+    
+    search = {
+      name: searchName,
+      query,
+      pinned: existing ? existing.pinned : false,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      lastRunAt: null,
+      seenIds,
+      newIds: []
+    };
+  }
+  
+  if (options.pinned !== undefined) {
+    search.pinned = !!options.pinned;
+  }
+  
+  await searchesDb.saveSearch(search);
+  return describeSavedSearch(search);
+}
+
+// Function to remove a saved search
+// Resolves with true, or false if no search has that name.
+async function deleteSavedSearch(name) {
+  const { searchesDb } = await openStorage();
+  return (await searchesDb.deleteSearch(savedSearchName(name))) > 0;
+}
+
+// Function to list the saved searches and the recent queries
+// Resolves with { searches, recentQueries }: the saved searches pinned
+// first, each with the number of notes it matches and how many of them are
+// new since it was last run (see describeSavedSearch), and the queries
+// searched recently as { query, count, lastUsed }, most recent first.
+async function listSavedSearches() {
+  const { searchesDb } = await openStorage();
+  const saved = sortSavedSearches(await searchesDb.getSavedSearches());
+  const searches = [];
+  
+  for (const search of saved) {
+    searches.push(await describeSavedSearch(search));
+  }
+  
+  return { searches, recentQueries: await searchesDb.getRecentQueries() };
+}
+
+// Function to run a saved search
+// offset and limit select a page like searchNotes, with exact matches only
+// (see matchingIds). Loading the first page counts as running the search:
+// the notes it did not match when last run are flagged isNew, on every
+// page, until it is run again. Resolves with { search, results, total,
+// facets, approximate, didYouMean } where search is described like
+// listSavedSearches does, or null if no search has that name.
+async function runSavedSearch(name, options = {}) {
+  const { searchesDb } = await openStorage();
+  const searchName = savedSearchName(name);
+  let search = (await searchesDb.getSavedSearches()).find(saved => saved.name === searchName);
+  
+  if (!search) {
+    return null;
+  }
+  
+  if (!options.offset) {
+    const ids = await matchingIds(search.query);
+    const seen = new Set(search.seenIds);
+    
+    search = {
+      ...search,
+      lastRunAt: new Date().toISOString(),
+      seenIds: ids,
+      newIds: ids.filter(id => !seen.has(id))
+    };
+    await searchesDb.saveSearch(search);
+  }
+  
+  const found = await searchNotes(search.query, { offset: options.offset, limit: options.limit, exact: true });
+  const newIds = new Set(search.newIds);
+  
+  return {
+    search: {
+      name: search.name,
+      query: search.query,
+      pinned: search.pinned,
+      createdAt: search.createdAt,
+      lastRunAt: search.lastRunAt,
+      total: found.total,
+      newMatches: newIds.size
+    },
+    ...found,
+    results: found.results.map(note => ({ ...note, isNew: newIds.has(note.id) }))
+  };
+}
+
+// Count a query in the recent query history, unless history.maxQueries
+// turns it off. A search never fails because its query was not recorded.
+async function recordQuery(query) {
+  try {
+    const { maxQueries } = historySettings(loadConfig());
+    
+    if (maxQueries > 0) {
+      const { searchesDb } = await openStorage();
+      await searchesDb.recordQuery(query.trim(), maxQueries);
+    }
+  } catch (error) {
+    console.error('Failed to record the query:', error);
+  }
+}
+
+// Function to write notes to a directory
+// Notes are selected like listTasks: a query string and/or the folder and
+// dateRange options; at least a query or a folder is required. format is
+// markdown (the default), json or html. Resolves with the writeExport result.
+async function exportNotes(options = {}) {
+  const format = options.format || 'markdown';
+  
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Use ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!options.directory) {
+    throw new Error('Please provide a directory to export to');
+  }
+  if (!options.query && !options.folder) {
+    throw new Error('Please provide a search query or a folder to export');
+  }
+  
+  const { searchIndex } = await requireSearchIndex();
+  
+  const parsedQuery = parseQuery(options.query || '');
+  const { results } = searchIndex.advancedSearch({
+    ast: and(parsedQuery.ast, ...optionFilters(options)),
+    sortBy: 'alphabetical'
+  });
+  
+  return writeExport(results.map(expandNote), {
+    directory: resolvePath(options.directory),
+    format,
+    query: options.query,
+    folder: options.folder
+  });
+}
+
+// Function to list all stored notes without their bodies
+async function listNotes() {
+  const { notesDb } = await openStorage();
+  const notes = await notesDb.getAllNotes();
+  
+  return notes
+    .map(summarizeNote)
+    .sort((a, b) => qualifiedFolder(a).localeCompare(qualifiedFolder(b)) || a.name.localeCompare(b.name));
+}
+
+// Function to re-encrypt the stores with a new key
+// newKey is { keyFile } or { passphrase }. The current key still comes from
+// the configuration; afterwards point the configuration (or
+// NOTES_INDEXER_PASSPHRASE) at the new key before the next start.
+function rotateEncryptionKey(newKey) {
+  // Syncs and imports write with the current key; let them finish first
+  return indexLock.run(async () => {
+    // Finish opening (and any pending migration) with the current key first
+    await openStorage();
+    
+    const config = loadConfig();
+    const settings = storageSettings(config);
+    
+    if (!settings.directory) {
+      throw new Error('The memory storage backend is not encrypted');
+    }
+    
+    const rotation = prepareKeyRotation(settings.directory, config, newKey);
+    
+    storesReady = openStores(settings, rotation);
+    
+    try {
+      await storesReady;
+    } catch (error) {
+      storesReady = null;
+      throw error;
+    }
+  });
+}
+
+// Start syncing in the background every watch.intervalMinutes and when the
+// note source's files change, with the settings under watch in the
+// configuration file. options.intervalMinutes and options.onChange override
+// them, and options.onJob is called with every finished background job.
+// Starting again restarts with the new settings. Returns the schedule.
+function startWatching(options = {}) {
+  const { onJob, ...overrides } = options;
+  const given = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const config = loadConfig();
+  const settings = watchSettings({ watch: { ...config.watch, ...given } });
+  
+  stopWatching();
+  
+  scheduler = new IndexScheduler(settings, {
+    sync: trigger => startIndexJob({ trigger }),
+    paths: noteSource.watchPaths(),
+    onJob: job => {
+      if (job.state === 'completed') {
+        const { added, updated, removed } = job.result;
+        console.log(`Background sync (${job.trigger}): added ${added}, updated ${updated}, removed ${removed}.`);
+      } else {
+        console.error(`Background sync (${job.trigger}) ${job.state}: ${job.error}`);
+      }
+      
+      if (onJob) {
+        onJob(job);
+      }
+    }
+  });
+  
+  scheduler.start();
+  return scheduler.toJSON();
+}
+
+// Stop syncing in the background. A sync already running finishes.
+function stopWatching() {
+  if (scheduler) {
+    scheduler.stop();
+    scheduler = null;
+  }
+}
+
+// Stop background syncs, cancel the running and queued index jobs, and
+// resolve once nothing writes to the stores any more, e.g. before exiting
+async function shutdown() {
+  stopWatching();
+  cancelIndexing();
+  await indexLock.idle();
+}
+
+// MCP command functions
+// options.onProgress receives the sync's progress updates instead of the
+// log, and aborting options.signal cancels the sync. With options.background
+// the command returns the index status as soon as the sync is queued;
+// viewIndex then shows its progress and cancelIndexing stops it.
+async function indexNotesCommand(options = {}) {
+  console.log('Starting Apple Notes indexing...');
+  
+  const onProgress = options.onProgress || (progress => {
+    console.log(progress.phase === 'saving'
+      ? `Indexing: ${progress.current}/${progress.total} - ${progress.note}`
+      : `Indexing: ${PHASE_LABELS[progress.phase]}`);
+  });
+  
+  const job = startIndexJob({ full: options.full, trigger: 'manual' });
+  const cancel = () => job.cancel();
+  
+  if (options.signal) {
+    if (options.signal.aborted) {
+      cancel();
+    }
+    options.signal.addEventListener('abort', cancel, { once: true });
+  }
+  
+  try {
+    if (options.background) {
+      const stats = await getIndexStats();
+      
+      return {
+        success: true,
+        ...stats,
+        job: job.toJSON(),
+        html: ui.createIndexStatusPage(stats)
+      };
+    }
+    
+    job.on('progress', onProgress);
+    await job.done;
+    job.off('progress', onProgress);
+    
+    if (job.state === 'cancelled') {
+      console.log('Indexing cancelled.');
+      
+      return {
+        success: false,
+        cancelled: true,
+        error: job.error,
+        job: job.toJSON(),
+        html: ui.createMessagePage('Indexing was cancelled. Notes saved so far are kept, and searches use the previous index until a sync completes.')
+      };
+    }
+    
+    if (job.state === 'failed') {
+      throw new Error(job.error);
+    }
+    
+    const result = job.result;
+    
+    console.log(`Indexing complete! Indexed ${result.indexed} notes.`);
+    console.log(`Added ${result.added}, updated ${result.updated}, removed ${result.removed}, unchanged ${result.unchanged}.`);
+    console.log(`Excluded ${result.privacy.excluded} notes, redacted ${result.privacy.redacted} values.`);
+    console.log(`Last updated: ${result.lastUpdated}`);
+    
+    return { 
+      success: true, 
+      ...result,
+      job: job.toJSON(),
+      html: ui.createIndexStatusPage({
+        totalNotes: result.indexed,
+        indexed: result.indexed,
+        isIndexed: true,
+        lastIndexed: result.lastUpdated,
+        lastChanges: {
+          added: result.added,
+          updated: result.updated,
+          removed: result.removed,
+          unchanged: result.unchanged
+        },
+        changedNotes: result.changedNotes,
+        privacy: result.privacy,
+        ...describeJobs()
+      })
+    };
+  } catch (error) {
+    console.error('Failed to index notes:', error);
+    return { 
+      success: false, 
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  } finally {
+    if (options.signal) {
+      options.signal.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+async function cancelIndexingCommand() {
+  try {
+    const cancelled = cancelIndexing().map(job => job.toJSON());
+    const stats = await getIndexStats();
+    
+    console.log(cancelled.length > 0 ? `Cancelling ${cancelled.length} index jobs.` : 'No indexing in progress.');
+    
+    return {
+      success: true,
+      cancelled,
+      ...stats,
+      html: ui.createIndexStatusPage(stats)
+    };
+  } catch (error) {
+    console.error('Failed to cancel indexing:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+// options as for startWatching
+async function startWatchingCommand(options = {}) {
+  try {
+    startWatching(options);
+    
+    const stats = await getIndexStats();
+    
+    return {
+      success: true,
+      ...stats,
+      html: ui.createIndexStatusPage(stats)
+    };
+  } catch (error) {
+    console.error('Failed to start background sync:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+async function stopWatchingCommand() {
+  try {
+    stopWatching();
+    
+    const stats = await getIndexStats();
+    
+    return {
+      success: true,
+      ...stats,
+      html: ui.createIndexStatusPage(stats)
+    };
+  } catch (error) {
+    console.error('Failed to stop background sync:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+async function searchNotesCommand(query, options = {}) {
+  try {
+    if (!query) {
+      return { 
+        success: false, 
+        error: 'Please provide a search query',
+        html: ui.createMessagePage('Please provide a search query')
+      };
+    }
+    
+    // Cursors only continue the search they came from
+    const queryKey = crypto.createHash('sha256')
+      .update(JSON.stringify([query, options.folder, options.dateRange, options.sortBy, !!options.exact]))
+      .digest('hex')
+      .slice(0, 16);
+    
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const offset = options.cursor ? decodeCursor(options.cursor, queryKey) : (options.offset || 0);
+    
+    const { results, total, facets, approximate, didYouMean } = await searchNotes(query, { ...options, offset, limit });
+    const nextOffset = offset + results.length;
+    
+    // Paging through results is not another search
+    if (offset === 0) {
+      await recordQuery(query);
+    }
+    
+    const pagination = {
+      offset,
+      limit,
+      total,
+      hasMore: nextOffset < total,
+      nextCursor: nextOffset < total ? encodeCursor(queryKey, nextOffset) : null
+    };
+    
+    return {
+      success: true,
+      results,
+      count: results.length,
+      ...pagination,
+      facets,
+      approximate,
+      didYouMean,
+      html: ui.createSearchResultsPage(results, query, pagination, facets, { approximate, didYouMean })
+    };
+  } catch (error) {
+    console.error('Search failed:', error);
+    return { 
+      success: false, 
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+async function searchSnippetsCommand(query, options = {}) {
+  try {
+    // Cursors only continue the search they came from
+    const queryKey = crypto.createHash('sha256')
+      .update(JSON.stringify(['snippets', query || '', options.language, options.folder, options.dateRange, options.sortBy]))
+      .digest('hex')
+      .slice(0, 16);
+    
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const offset = options.cursor ? decodeCursor(options.cursor, queryKey) : (options.offset || 0);
+    
+    const { results, total } = await searchSnippets(query, { ...options, offset, limit });
+    const nextOffset = offset + results.length;
+    
+    const pagination = {
+      offset,
+      limit,
+      total,
+      hasMore: nextOffset < total,
+      nextCursor: nextOffset < total ? encodeCursor(queryKey, nextOffset) : null
+    };
+    
+    return {
+      success: true,
+      results,
+      count: results.length,
+      ...pagination,
+      html: ui.createSnippetResultsPage(results, query || '', pagination, options)
+    };
+  } catch (error) {
+    console.error('Snippet search failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+// Command to fetch a code snippet for inserting at the cursor. The raw code
+// comes back as insertText for the editor to insert.
+async function insertSnippetCommand(id) {
+  try {
+    if (!id) {
+      return {
+        success: false,
+        error: 'Please provide a snippet ID',
+        html: ui.createMessagePage('Please provide a snippet ID')
+      };
+    }
+    
+    const snippet = await getSnippet(id);
+    
+    if (!snippet) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Snippet not found: ${id}`,
+        html: ui.createMessagePage(`Snippet not found: ${id}`)
+      };
+    }
+    
+    return {
+      success: true,
+      snippet,
+      insertText: snippet.code,
+      html: ui.createMessagePage(`Inserting the ${snippet.language} snippet from "${snippet.noteName}"`)
+    };
   } catch (error) {
-    console.error('Error fetching notes:', error);
-    return [];
+    console.error('Failed to get snippet:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
   }
 }
 
-// Function to build the index
-async function buildIndex(progressCallback = () => {}) {
+async function getNoteCommand(id) {
   try {
-    // Fetch all notes from Apple Notes
-    const notes = await fetchAppleNotes();
-    
-    // Store notes in the database, updating existing ones
-    for (let i = 0; i < notes.length; i++) {
-      const note = notes[i];
-      
-      // Update progress
-      progressCallback({
-        current: i + 1,
-        total: notes.length,
-        note: note.name
-      });
-      
-      // Save to database
-      await notesDb.saveNote(note);
+    if (!id) {
+      return {
+        success: false,
+        error: 'Please provide a note ID',
+        html: ui.createMessagePage('Please provide a note ID')
+      };
     }
     
-    // Create the search index
-    searchIndex = createEnhancedSearchIndex(notes);
-    
-    // Cache notes for quick access
-    notesCache = notes;
+    const note = await getNote(id);
     
-    // Update metadata
-    await metadataDb.saveMetadata({
-      lastIndexed: new Date().toISOString(),
-      noteCount: notes.length,
-      indexed: true
-    });
+    if (!note) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Note not found: ${id}`,
+        html: ui.createMessagePage(`Note not found: ${id}`)
+      };
+    }
     
     return {
-      indexed: notes.length,
-      lastUpdated: new Date().toISOString()
+      success: true,
+      note,
+      html: ui.createNoteDetailPage({ ...note, body: note.html })
     };
   } catch (error) {
-    console.error('Error building index:', error);
-    throw error;
+    console.error('Failed to get note:', error);
+    return { 
+      success: false, 
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
   }
 }
 
-// Function to search notes
-async function searchNotes(queryString) {
-  if (!searchIndex) {
-    // Try to load the index if it exists
-    await loadIndexFromStorage();
+async function getNotesByFolderCommand(folder, account) {
+  try {
+    const { notesDb } = await openStorage();
+    const folders = await notesDb.getFolders();
     
-    if (!searchIndex) {
-      throw new Error('Index not built yet. Please run the indexNotes command first.');
+    // Without a folder, list the folder tree to browse into
+    if (!folder) {
+      return {
+        success: true,
+        folders,
+        html: ui.createFolderListPage(folders)
+      };
     }
+    
+    // Notes directly in the folder; subfolders are listed to browse into
+    const inAccount = account || undefined;
+    const notes = (await notesDb.getNotesByFolder(folder, inAccount))
+      .sort((a, b) => new Date(b.modificationDate) - new Date(a.modificationDate));
+    const subfolders = findFolderNodes(folders, folder, inAccount).flatMap(node => node.children);
+    
+    return {
+      success: true,
+      folder,
+      account: inAccount || null,
+      notes: notes.map(summarizeNote),
+      count: notes.length,
+      subfolders,
+      html: ui.createFolderPage(folder, notes, { account: inAccount, subfolders })
+    };
+  } catch (error) {
+    console.error('Failed to get notes by folder:', error);
+    return { 
+      success: false, 
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
   }
-  
-  // Parse the query
-  const parsedQuery = parseQuery(queryString);
-  
-  // Execute the search with advanced options
-  const results = searchIndex.advancedSearch({
-    query: parsedQuery.query,
-    folder: parsedQuery.folder,
-    dateRange: parsedQuery.dateRange,
-    sortBy: parsedQuery.sortBy
-  });
-  
-  return results;
 }
 
-// Load index from storage
-async function loadIndexFromStorage() {
+async function noteHistoryCommand(id, options = {}) {
   try {
-    // Get metadata
-    const metadata = await metadataDb.getMetadata();
+    if (!id) {
+      return {
+        success: false,
+        error: 'Please provide a note ID',
+        html: ui.createMessagePage('Please provide a note ID')
+      };
+    }
     
-    // If we have an index, load the notes
-    if (metadata.indexed) {
-      const notes = await notesDb.getAllNotes();
-      
-      if (notes.length > 0) {
-        // Create search index
-        searchIndex = createEnhancedSearchIndex(notes);
-        notesCache = notes;
-        return true;
-      }
+    const history = await noteHistory(id, options);
+    
+    if (!history) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Note not found: ${id}`,
+        html: ui.createMessagePage(`Note not found: ${id}`)
+      };
     }
     
-    return false;
+    return {
+      success: true,
+      ...history,
+      html: ui.createNoteHistoryPage(history)
+    };
   } catch (error) {
-    console.error('Error loading index:', error);
-    return false;
+    console.error('Failed to get note history:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
   }
 }
 
-// Function to get index stats
-async function getIndexStats() {
+async function importNotesCommand(target, options = {}) {
   try {
-    // Try to load index if not loaded
-    if (!searchIndex) {
-      await loadIndexFromStorage();
-    }
+    // Waits for a running sync, which writes the same stores
+    const result = await indexLock.run(() => importNotes(target, options));
+    const message = `Imported ${result.imported} notes from ${result.path}: ` +
+      `${result.added} added, ${result.updated} updated, ${result.removed} removed, ${result.unchanged} unchanged`;
     
-    // Get metadata
-    const metadata = await metadataDb.getMetadata();
-    const noteCount = await notesDb.countNotes();
+    console.log(`${message}.`);
     
     return {
-      totalNotes: noteCount,
-      indexed: notesCache.length,
-      isIndexed: !!searchIndex,
-      lastIndexed: metadata.lastIndexed
+      success: true,
+      ...result,
+      html: ui.createMessagePage(message)
     };
   } catch (error) {
-    console.error('Error getting index stats:', error);
-    throw error;
+    console.error('Failed to import notes:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
   }
 }
 
-// MCP command functions
-async function indexNotesCommand() {
-  console.log('Starting Apple Notes indexing...');
-  
+// Command to create a note from Markdown. Unconfirmed, it shows the note
+// with a button that creates it; see createNote.
+async function createNoteCommand(options = {}) {
   try {
-    const result = await buildIndex(progress => {
-      console.log(`Indexing: ${progress.current}/${progress.total} - ${progress.note}`);
-    });
+    const result = await createNote(options);
     
-    console.log(`Indexing complete! Indexed ${result.indexed} notes.`);
-    console.log(`Last updated: ${result.lastUpdated}`);
+    if (!result.written) {
+      return {
+        success: true,
+        ...result,
+        html: ui.createWritePreviewPage(result.preview, {
+          command: 'createNote',
+          title: options.title,
+          content: options.content,
+          folder: options.folder,
+          account: options.account,
+          confirm: result.confirm
+        })
+      };
+    }
     
-    return { 
-      success: true, 
+    const message = `Created "${result.note.name}" in ${qualifiedFolder(result.note)}`;
+    console.log(`${message}.`);
+    
+    return {
+      success: true,
       ...result,
-      html: ui.createIndexStatusPage({
-        totalNotes: result.indexed,
-        indexed: result.indexed,
-        isIndexed: true
-      })
+      html: ui.createMessagePage(result.indexed ? message : `${message}. The configuration excludes it from the index.`)
     };
   } catch (error) {
-    console.error('Failed to index notes:', error);
-    return { 
-      success: false, 
+    console.error('Failed to create note:', error);
+    return {
+      success: false,
       error: error.message,
-      html: `<div style="color: red; padding: 10px;">Error: ${error.message}</div>`
+      html: ui.createErrorPage(error.message)
     };
   }
 }
 
-async function searchNotesCommand(query) {
+// Command to add Markdown to the end of a note. Unconfirmed, it shows what
+// would be added with a button that adds it; see appendToNote.
+async function appendToNoteCommand(id, options = {}) {
   try {
-    if (!query) {
-      return { 
-        success: false, 
-        error: 'Please provide a search query',
-        html: '<div style="padding: 10px;">Please provide a search query</div>'
+    if (!id) {
+      return {
+        success: false,
+        error: 'Please provide a note ID',
+        html: ui.createMessagePage('Please provide a note ID')
+      };
+    }
+    
+    const result = await appendToNote(id, options);
+    
+    if (!result) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Note not found: ${id}`,
+        html: ui.createMessagePage(`Note not found: ${id}`)
+      };
+    }
+    
+    if (!result.written) {
+      return {
+        success: true,
+        ...result,
+        html: ui.createWritePreviewPage(result.preview, {
+          command: 'appendToNote',
+          id,
+          content: options.content,
+          modificationDate: result.preview.modificationDate,
+          confirm: result.confirm
+        })
       };
     }
     
-    const results = await searchNotes(query);
+    const message = `Added to "${result.note.name}"`;
+    console.log(`${message}.`);
     
     return {
       success: true,
-      results,
-      count: results.length,
-      html: ui.createSearchResultsPage(results, query)
+      ...result,
+      html: ui.createMessagePage(result.indexed ? message : `${message}. The configuration now excludes it from the index.`)
     };
   } catch (error) {
-    console.error('Search failed:', error);
-    return { 
-      success: false, 
+    console.error('Failed to append to note:', error);
+    return {
+      success: false,
+      conflict: error instanceof NoteConflictError,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+async function exportNotesCommand(options = {}) {
+  try {
+    const result = await exportNotes(options);
+    const message = `Exported ${result.count} notes as ${result.format} to ${result.directory}`;
+    
+    console.log(`${message} (${result.written} files written, ${result.removed} removed).`);
+    
+    return {
+      success: true,
+      ...result,
+      html: ui.createMessagePage(message)
+    };
+  } catch (error) {
+    console.error('Failed to export notes:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+async function listTasksCommand(options = {}) {
+  try {
+    const status = options.status || 'open';
+    const tasks = await listTasks({ ...options, status });
+    
+    return {
+      success: true,
+      status,
+      ...tasks,
+      html: ui.createTaskListPage(tasks, { ...options, status })
+    };
+  } catch (error) {
+    console.error('Failed to list tasks:', error);
+    return {
+      success: false,
       error: error.message,
-      html: `<div style="color: red; padding: 10px;">Error: ${error.message}</div>`
+      html: ui.createErrorPage(error.message)
     };
   }
 }
@@ -245,7 +2049,195 @@ async function viewIndexCommand() {
     return { 
       success: false, 
       error: error.message,
-      html: `<div style="color: red; padding: 10px;">Error: ${error.message}</div>`
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+// Command to list the notes most similar to one note
+async function relatedNotesCommand(id, options = {}) {
+  try {
+    if (!id) {
+      return {
+        success: false,
+        error: 'Please provide a note ID',
+        html: ui.createMessagePage('Please provide a note ID')
+      };
+    }
+    
+    const result = await relatedNotes(id, options);
+    
+    if (!result) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Note not found: ${id}`,
+        html: ui.createMessagePage(`Note not found: ${id}`)
+      };
+    }
+    
+    return {
+      success: true,
+      ...result,
+      html: ui.createRelatedNotesPage(result)
+    };
+  } catch (error) {
+    console.error('Failed to find related notes:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+// Command to report groups of near-identical notes
+async function findDuplicatesCommand(options = {}) {
+  try {
+    const result = await findDuplicates(options);
+    
+    return {
+      success: true,
+      ...result,
+      html: ui.createDuplicatesPage(result)
+    };
+  } catch (error) {
+    console.error('Failed to find duplicate notes:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+// Command to list the saved searches and recent queries
+async function listSavedSearchesCommand() {
+  try {
+    const result = await listSavedSearches();
+    
+    return {
+      success: true,
+      ...result,
+      html: ui.createSavedSearchesPage(result)
+    };
+  } catch (error) {
+    console.error('Failed to list saved searches:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+// Command to run a saved search, a page at a time like searchNotes
+async function runSavedSearchCommand(name, options = {}) {
+  try {
+    if (!name) {
+      return {
+        success: false,
+        error: 'Please provide the name of a saved search',
+        html: ui.createMessagePage('Please provide the name of a saved search')
+      };
+    }
+    
+    // Cursors only continue the search they came from
+    const queryKey = crypto.createHash('sha256')
+      .update(JSON.stringify(['saved', name]))
+      .digest('hex')
+      .slice(0, 16);
+    
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const offset = options.cursor ? decodeCursor(options.cursor, queryKey) : (options.offset || 0);
+    
+    const result = await runSavedSearch(name, { offset, limit });
+    
+    if (!result) {
+      return {
+        success: false,
+        notFound: true,
+        error: `No saved search named "${name}"`,
+        html: ui.createMessagePage(`No saved search named "${name}"`)
+      };
+    }
+    
+    const { search, results, total, facets, approximate, didYouMean } = result;
+    const nextOffset = offset + results.length;
+    
+    const pagination = {
+      offset,
+      limit,
+      total,
+      hasMore: nextOffset < total,
+      nextCursor: nextOffset < total ? encodeCursor(queryKey, nextOffset) : null
+    };
+    
+    return {
+      success: true,
+      search,
+      results,
+      count: results.length,
+      ...pagination,
+      facets,
+      approximate,
+      didYouMean,
+      html: ui.createSearchResultsPage(results, search.query, pagination, facets, { approximate, didYouMean, savedSearch: search })
+    };
+  } catch (error) {
+    console.error('Saved search failed:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+// Command to save a search, or to change the query of a saved search or
+// pin it; shows the saved searches afterwards
+async function saveSearchCommand(name, options = {}) {
+  try {
+    const search = await saveSearch(name, options);
+    
+    return {
+      success: true,
+      search,
+      html: ui.createSavedSearchesPage(await listSavedSearches())
+    };
+  } catch (error) {
+    console.error('Failed to save the search:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
+    };
+  }
+}
+
+// Command to remove a saved search; shows the saved searches afterwards
+async function deleteSavedSearchCommand(name) {
+  try {
+    if (!(await deleteSavedSearch(name))) {
+      return {
+        success: false,
+        notFound: true,
+        error: `No saved search named "${name}"`,
+        html: ui.createMessagePage(`No saved search named "${name}"`)
+      };
+    }
+    
+    return {
+      success: true,
+      deleted: name,
+      html: ui.createSavedSearchesPage(await listSavedSearches())
+    };
+  } catch (error) {
+    console.error('Failed to delete the saved search:', error);
+    return {
+      success: false,
+      error: error.message,
+      html: ui.createErrorPage(error.message)
     };
   }
 }
@@ -264,5 +2256,31 @@ async function viewIndexCommand() {
 module.exports = {
   indexNotes: indexNotesCommand,
   searchNotes: searchNotesCommand,
-  viewIndex: viewIndexCommand
+  searchSnippets: searchSnippetsCommand,
+  insertSnippet: insertSnippetCommand,
+  viewIndex: viewIndexCommand,
+  getNote: getNoteCommand,
+  getNotesByFolder: getNotesByFolderCommand,
+  listTasks: listTasksCommand,
+  exportNotes: exportNotesCommand,
+  importNotes: importNotesCommand,
+  createNote: createNoteCommand,
+  appendToNote: appendToNoteCommand,
+  noteHistory: noteHistoryCommand,
+  relatedNotes: relatedNotesCommand,
+  findDuplicates: findDuplicatesCommand,
+  listSavedSearches: listSavedSearchesCommand,
+  runSavedSearch: runSavedSearchCommand,
+  saveSearch: saveSearchCommand,
+  deleteSavedSearch: deleteSavedSearchCommand,
+  cancelIndexing: cancelIndexingCommand,
+  startWatching: startWatchingCommand,
+  stopWatching: stopWatchingCommand,
+  
+  // Data access for the MCP server's resources
+  listNotes,
+  
+  // Maintenance
+  rotateEncryptionKey,
+  shutdown
 };
\ No newline at end of file
@@ -0,0 +1,249 @@
+// languages.js - Per-note language detection, and the tokenizer and
+// pipeline functions that split, filter and stem each note in its language
+
+const crypto = require('crypto');
+const lunr = require('lunr');
+const { matchesFolder } = require('./folders');
+
+require('lunr-languages/lunr.stemmer.support')(lunr);
+require('lunr-languages/tinyseg')(lunr);
+require('lunr-languages/lunr.de')(lunr);
+require('lunr-languages/lunr.fr')(lunr);
+require('lunr-languages/lunr.es')(lunr);
+require('lunr-languages/lunr.it')(lunr);
+require('lunr-languages/lunr.nl')(lunr);
+require('lunr-languages/lunr.pt')(lunr);
+require('lunr-languages/lunr.ja')(lunr);
+
+// Stop word filter and stemmer of each supported language, by ISO 639-1 code
+const LANGUAGES = {
+  en: { name: 'English', stopWordFilter: lunr.stopWordFilter, stemmer: lunr.stemmer },
+  de: { name: 'German', stopWordFilter: lunr.de.stopWordFilter, stemmer: lunr.de.stemmer },
+  fr: { name: 'French', stopWordFilter: lunr.fr.stopWordFilter, stemmer: lunr.fr.stemmer },
+  es: { name: 'Spanish', stopWordFilter: lunr.es.stopWordFilter, stemmer: lunr.es.stemmer },
+  it: { name: 'Italian', stopWordFilter: lunr.it.stopWordFilter, stemmer: lunr.it.stemmer },
+  nl: { name: 'Dutch', stopWordFilter: lunr.nl.stopWordFilter, stemmer: lunr.nl.stemmer },
+  pt: { name: 'Portuguese', stopWordFilter: lunr.pt.stopWordFilter, stemmer: lunr.pt.stemmer },
+  ja: { name: 'Japanese', stopWordFilter: lunr.ja.stopWordFilter, stemmer: lunr.ja.stemmer }
+};
+
+// Characters written without spaces between words: kana, kanji and
+// half-width katakana
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uff66-\uff9f]/;
+
+// Share of a note's letters that must be CJK for it to count as Japanese
+const CJK_SHARE = 0.2;
+
+// Characters of a note read to detect its language
+const DETECTION_SAMPLE = 5000;
+
+const segmenter = new lunr.TinySegmenter();
+
+/**
+ * Split a field into tokens. Works like lunr's tokenizer, and further splits
+ * runs of Japanese text into words, which are not separated by spaces.
+ * Fields may be given as { text, language } to have their tokens stemmed
+ * in that language.
+ * @param {string|Object} value - Field text, or { text, language }
+ * @param {Object} metadata - Metadata for every token
+ * @returns {Array} lunr.Token list with positions in the text
+ */
+function tokenize(value, metadata) {
+  const { text, language } = value !== null && typeof value === 'object' && !Array.isArray(value)
+    ? value
+    : { text: value, language: null };
+  const tokens = [];
+  
+  lunr.tokenizer(text, metadata).forEach(token => {
+    const word = token.toString();
+    
+    if (!CJK_PATTERN.test(word)) {
+      tokens.push(token);
+      return;
+    }
+    
+    let start = token.metadata.position[0];
+    
+    segmenter.segment(word).filter(segment => segment).forEach(segment => {
+      tokens.push(new lunr.Token(segment, { ...token.metadata, position: [start, segment.length] }));
+      start += segment.length;
+    });
+  });
+  
+  tokens.forEach((token, i) => {
+    token.metadata.index = i;
+    
+    if (language) {
+      token.metadata.language = language;
+    }
+  });
+  
+  return tokens;
+}
+
+/**
+ * Strip punctuation from both ends of a word. Unlike lunr's trimmer this
+ * keeps accented and non-Latin letters.
+ * @param {string} text - Word
+ * @returns {string} Trimmed word
+ */
+function trimWord(text) {
+  return text.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+}
+
+/**
+ * Pipeline function trimming a token with trimWord, dropping tokens left
+ * empty
+ * @param {lunr.Token} token - Token being indexed or searched
+ * @returns {lunr.Token|undefined} Trimmed token
+ */
+function unicodeTrimmer(token) {
+  const trimmed = token.update(trimWord);
+  return trimmed.toString() ? trimmed : undefined;
+}
+
+/**
+ * Pipeline function dropping stop words and stemming, in the language the
+ * tokenizer recorded for the token (English if none)
+ * @param {lunr.Token} token - Token being indexed
+ * @returns {lunr.Token|undefined} Stemmed token, or undefined for a stop word
+ */
+function languageStemmer(token) {
+  const language = LANGUAGES[token.metadata.language] || LANGUAGES.en;
+  const kept = language.stopWordFilter(token);
+  return kept && language.stemmer(kept);
+}
+
+// Serialized indexes refer to pipeline functions by their registered label
+lunr.Pipeline.registerFunction(unicodeTrimmer, 'unicodeTrimmer');
+lunr.Pipeline.registerFunction(languageStemmer, 'languageStemmer');
+
+/**
+ * The languages notes are written in and how each note's language is chosen.
+ *
+ * Configuration (the "search" key of the config file):
+ *
+ *   languages:       codes of the languages notes may be in, the first being
+ *                    the default; defaults to every supported language
+ *   folderLanguages: { folder: code } for notes whose language should not
+ *                    be detected, e.g. { "Travel/Japan": "ja" }
+ *
+ * With a single language nothing is detected. Otherwise a note is Japanese
+ * when enough of its letters are Japanese, and else in the language whose
+ * stop words it uses most.
+ */
+class SearchLanguages {
+  /**
+   * @param {Object} config - Parsed configuration file
+   * @throws {Error} If a language is not supported
+   */
+  constructor(config = {}) {
+    const settings = config.search || {};
+    const supported = Object.keys(LANGUAGES);
+    const check = (code, key) => {
+      if (!supported.includes(code)) {
+        throw new Error(`${key} in the configuration file must be one of ${supported.join(', ')}`);
+      }
+      return code;
+    };
+    
+    if (settings.languages !== undefined && (!Array.isArray(settings.languages) || settings.languages.length === 0)) {
+      throw new Error('search.languages in the configuration file must be a list of language codes');
+    }
+    
+    this.codes = [...new Set((settings.languages || supported).map(code => check(code, 'search.languages')))];
+    
+    // Deeper folders first, so they override their parents
+    this.folders = Object.entries(settings.folderLanguages || {})
+      .map(([folder, code]) => ({ folder, code: check(code, `search.folderLanguages["${folder}"]`) }))
+      .sort((a, b) => b.folder.split('/').length - a.folder.split('/').length);
+    
+    // Every language a note may be indexed in, which queries must cover
+    this.indexed = [...new Set([...this.codes, ...this.folders.map(entry => entry.code)])];
+    
+    // Identifies the settings, so a change rebuilds the search index
+    this.checksum = crypto.createHash('sha256')
+      .update(JSON.stringify([this.codes, this.folders]))
+      .digest('hex');
+  }
+  
+  /**
+   * Language a note is indexed in
+   * @param {Object} note - Normalized note
+   * @returns {string} Language code
+   */
+  detect(note) {
+    const configured = this.folders.find(entry => matchesFolder(note, entry.folder));
+    
+    if (configured) {
+      return configured.code;
+    }
+    if (this.codes.length === 1) {
+      return this.codes[0];
+    }
+    
+    const sample = `${note.name || ''}\n${note.text || ''}`.slice(0, DETECTION_SAMPLE).toLowerCase();
+    const letters = sample.match(/\p{L}/gu) || [];
+    
+    if (this.codes.includes('ja') && letters.length > 0 &&
+        letters.filter(letter => CJK_PATTERN.test(letter)).length / letters.length >= CJK_SHARE) {
+      return 'ja';
+    }
+    
+    // The default language wins ties, including notes without stop words
+    const words = sample.match(/\p{L}+/gu) || [];
+    const candidates = this.codes.filter(code => code !== 'ja');
+    let best = candidates[0] || this.codes[0];
+    let bestCount = -1;
+    
+    candidates.forEach(code => {
+      const count = words.filter(word => !LANGUAGES[code].stopWordFilter(word)).length;
+      
+      if (count > bestCount) {
+        best = code;
+        bestCount = count;
+      }
+    });
+    
+    return best;
+  }
+  
+  /**
+   * Index terms a query word may match: the word as each language would
+   * have indexed it
+   * @param {lunr.Token} token - Word from the query, as split by tokenize
+   * @returns {Object} { terms, stopLanguages } where stopLanguages lists the
+   *   languages in which the word is a stop word, so never indexed
+   */
+  queryTerms(token) {
+    const terms = new Set();
+    const stopLanguages = [];
+    const trimmed = unicodeTrimmer(token.clone());
+    
+    if (!trimmed) {
+      return { terms: [], stopLanguages: [...this.indexed] };
+    }
+    
+    this.indexed.forEach(code => {
+      const term = languageStemmer(new lunr.Token(trimmed.toString(), { ...trimmed.metadata, language: code }));
+      
+      if (term) {
+        terms.add(term.toString());
+      } else {
+        stopLanguages.push(code);
+      }
+    });
+    
+    return { terms: [...terms], stopLanguages };
+  }
+}
+
+module.exports = {
+  LANGUAGES,
+  CJK_PATTERN,
+  tokenize,
+  trimWord,
+  unicodeTrimmer,
+  languageStemmer,
+  SearchLanguages
+};
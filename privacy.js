@@ -0,0 +1,199 @@
+// privacy.js - Exclusion rules and secret redaction, applied to fetched
+// notes before they are stored or indexed
+
+const crypto = require('crypto');
+const { matchesFolder } = require('./folders');
+const { matchesTag } = require('./content');
+
+// Bump when the built-in patterns change so stored notes are redacted again
+const PRIVACY_VERSION = 1;
+
+// Text that replaces every detected secret
+const REDACTION_MASK = '[REDACTED]';
+
+// Markup and whitespace allowed between a label such as "Password:" and
+// its value, since note bodies are HTML
+const GAP = '(?:\\s|&nbsp;|<\\/?[a-zA-Z][^>]*>)*';
+
+// Built-in secret patterns. When a pattern has a capture group, the group
+// (a label or URL prefix) is kept and only the rest of the match is masked.
+const SECRET_PATTERNS = [
+  { name: 'private-key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { name: 'secret-key', pattern: /\b[sr]k[-_](?:live_|test_|proj-|ant-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { name: 'bearer-token', pattern: /(\bBearer\s+)[A-Za-z0-9._~+/-]{20,}=*/gi },
+  { name: 'url-credentials', pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@<>"']+:)[^\s@/<>"']+(?=@)/gi },
+  { name: 'url-parameter', pattern: /([?&;](?:access_token|api_?key|token|secret|password|auth)=)[^&#\s<>"']+/gi },
+  {
+    name: 'labelled-secret',
+    pattern: new RegExp(
+      `(\\b(?:password|passwd|pwd|passcode|pin|secret|api[ _-]?key|access[ _-]?key|auth[ _-]?token|token)${GAP}[:=]${GAP})[^\\s<>"'&]+`,
+      'gi'
+    )
+  }
+];
+
+/**
+ * Compile a pattern from the configuration file
+ * @param {Object} entry - { name, pattern, flags }
+ * @param {number} i - Position in the list, for error messages
+ * @returns {Object} { name, pattern } with a global RegExp
+ */
+function compilePattern(entry, i) {
+  if (!entry || typeof entry.pattern !== 'string') {
+    throw new Error(`redact.patterns[${i}] needs a "pattern" string`);
+  }
+  
+  const flags = [...new Set(`g${entry.flags || ''}`)].join('');
+  
+  try {
+    return { name: entry.name || `custom-${i + 1}`, pattern: new RegExp(entry.pattern, flags) };
+  } catch (error) {
+    throw new Error(`redact.patterns[${i}] is not a valid pattern: ${error.message}`);
+  }
+}
+
+/**
+ * Compile one include or exclude rule set
+ * @param {Object} rules - { folders, titles, tags } lists from the configuration
+ * @param {string} key - 'include' or 'exclude', for error messages
+ * @returns {Object|null} Compiled rules, or null when no rule is given
+ */
+function compileRules(rules, key) {
+  if (!rules) {
+    return null;
+  }
+  
+  const list = (name) => {
+    const values = rules[name] || [];
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+      throw new Error(`${key}.${name} must be a list of strings`);
+    }
+    return values;
+  };
+  
+  const compiled = {
+    folders: list('folders'),
+    titles: list('titles').map(title => {
+      try {
+        return new RegExp(title, 'i');
+      } catch (error) {
+        throw new Error(`${key}.titles contains an invalid pattern: ${error.message}`);
+      }
+    }),
+    tags: list('tags').map(tag => tag.replace(/^#/, ''))
+  };
+  
+  const empty = compiled.folders.length + compiled.titles.length + compiled.tags.length === 0;
+  return empty ? null : compiled;
+}
+
+/**
+ * Check whether a note matches any rule of a rule set
+ * @param {Object} note - Normalized note
+ * @param {Object} rules - Compiled rules
+ * @returns {boolean} True if a folder, title or tag rule matches
+ */
+function matchesRules(note, rules) {
+  return rules.folders.some(folder => matchesFolder(note, folder)) ||
+    rules.titles.some(title => title.test(note.name || '')) ||
+    rules.tags.some(wanted => (note.tags || []).some(tag => matchesTag(tag, wanted)));
+}
+
+/**
+ * Decides which notes may be indexed and masks the secrets in those that are.
+ *
+ * Configuration (the "include", "exclude" and "redact" keys of the config file):
+ *
+ *   include: { folders, titles, tags } - when given, only matching notes are indexed
+ *   exclude: { folders, titles, tags } - matching notes are never indexed
+ *   redact:  { enabled, patterns }     - enabled defaults to true; patterns adds
+ *                                        { name, pattern, flags } entries
+ *
+ * Folders match their subfolders too, titles are case-insensitive regular
+ * expressions and tags match nested tags.
+ */
+class PrivacyPolicy {
+  /**
+   * @param {Object} config - Parsed configuration file
+   * @throws {Error} If a rule or pattern is malformed
+   */
+  constructor(config = {}) {
+    const redact = config.redact || {};
+    
+    this.include = compileRules(config.include, 'include');
+    this.exclude = compileRules(config.exclude, 'exclude');
+    this.patterns = redact.enabled === false
+      ? []
+      : [...SECRET_PATTERNS, ...(redact.patterns || []).map(compilePattern)];
+    
+    // Identifies the settings, so a change re-processes every stored note
+    this.checksum = crypto.createHash('sha256')
+      .update(JSON.stringify([PRIVACY_VERSION, config.include, config.exclude, config.redact]))
+      .digest('hex');
+  }
+  
+  /**
+   * Check whether a note may be indexed
+   * @param {Object} note - Normalized note (tags are needed for tag rules)
+   * @returns {boolean} True if the note passes the include and exclude rules
+   */
+  allows(note) {
+    if (this.include && !matchesRules(note, this.include)) {
+      return false;
+    }
+    return !(this.exclude && matchesRules(note, this.exclude));
+  }
+  
+  /**
+   * Mask secrets in a piece of text
+   * @param {string} text - Text or HTML
+   * @returns {Object} { text, count } with the number of values masked
+   */
+  redactText(text) {
+    let count = 0;
+    
+    if (!text) {
+      return { text, count };
+    }
+    
+    const redacted = this.patterns.reduce((current, { pattern }) => current.replace(pattern, (match, prefix) => {
+      const kept = typeof prefix === 'string' ? prefix : '';
+      
+      // Values already masked by an earlier pattern are not counted twice
+      if (match.slice(kept.length) === REDACTION_MASK) {
+        return match;
+      }
+      
+      count++;
+      return kept + REDACTION_MASK;
+    }), text);
+    
+    return { text: redacted, count };
+  }
+  
+  /**
+   * Mask secrets in a note's title and body
+   * @param {Object} note - Note as fetched from a note source
+   * @returns {Object} { note, count } with the redacted note and the number
+   *   of values masked
+   */
+  redact(note) {
+    const name = this.redactText(note.name);
+    const body = this.redactText(note.body);
+    
+    return {
+      note: { ...note, name: name.text, body: body.text },
+      count: name.count + body.count
+    };
+  }
+}
+
+module.exports = {
+  REDACTION_MASK,
+  PrivacyPolicy
+};
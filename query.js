@@ -0,0 +1,565 @@
+// query.js - Search query language
+
+/*
+ * Grammar (operators are upper case; adjacent terms are ANDed):
+ *
+ *   query   := or
+ *   or      := and ( "OR" and )*
+ *   and     := unary ( "AND"? unary )*
+ *   unary   := ( "NOT" | "-" ) unary | primary
+ *   primary := "(" or ")" | field ":" value | "phrase" | term
+ *
+ * Terms ending in * match as prefixes. Several positive folder: filters in
+ * the same group match any of the folders. folder:Work matches the Work
+ * folder of every account and its subfolders; folder:iCloud/Work only the
+ * one in iCloud. tag:work also matches nested tags such as #work/meetings.
+ * sourced:enex selects notes by where they came from, and lang:sql the notes
+ * (or code snippets) with code in a language.
+ */
+
+const { CODE_LANGUAGES } = require('./code');
+
+// Fields searched in the index, by the name used in queries
+const SEARCH_FIELDS = {
+  title: 'name',
+  name: 'name',
+  body: 'body'
+};
+
+// Sort orders accepted by sort:, by lower-case name or alias
+const SORT_ORDERS = {
+  relevance: 'relevance',
+  datenewest: 'dateNewest',
+  newest: 'dateNewest',
+  dateoldest: 'dateOldest',
+  oldest: 'dateOldest',
+  alphabetical: 'alphabetical',
+  title: 'alphabetical'
+};
+
+// Date fields, with date: kept as an alias for modified:
+const DATE_FIELDS = {
+  created: 'creationDate',
+  modified: 'modificationDate',
+  date: 'modificationDate'
+};
+
+// Note parts has: can test for, by the name used in queries
+const HAS_VALUES = {
+  checklist: 'checklist',
+  todo: 'checklist',
+  tag: 'tags',
+  tags: 'tags',
+  mention: 'mentions',
+  mentions: 'mentions',
+  link: 'links',
+  links: 'links',
+  code: 'codeSnippets'
+};
+
+// Checklist item states todo: can test for
+const TODO_STATES = {
+  open: 'open',
+  undone: 'open',
+  done: 'done',
+  completed: 'done'
+};
+
+// Note sources sourced: can test for, by lower-case name or alias
+const NOTE_SOURCES = {
+  'apple-notes': 'apple-notes',
+  apple: 'apple-notes',
+  applenotes: 'apple-notes',
+  enex: 'enex',
+  evernote: 'enex',
+  markdown: 'markdown',
+  md: 'markdown',
+  obsidian: 'markdown',
+  filesystem: 'filesystem'
+};
+
+/**
+ * Build a filter node for a value written with an optional # or @ sigil
+ * @param {string} field - Filter field
+ * @param {string} sigil - Sigil to strip
+ * @returns {Function} Value parser for FILTER_FIELDS
+ */
+function sigilFilter(field, sigil) {
+  return (value, { position }) => {
+    const word = value.startsWith(sigil) ? value.slice(1) : value;
+    if (!word.trim()) {
+      throw new QuerySyntaxError(`Missing value for ${field}:`, position);
+    }
+    return { type: 'filter', field, value: word };
+  };
+}
+
+/**
+ * Build a filter node for a field that takes one of a fixed set of values
+ * @param {string} field - Filter field
+ * @param {Object} values - Canonical values by lower-case name
+ * @param {string} hint - Values to suggest in the error message
+ * @returns {Function} Value parser for FILTER_FIELDS
+ */
+function choiceFilter(field, values, hint) {
+  return (value, { position }) => {
+    const choice = values[value.toLowerCase()];
+    if (!choice) {
+      throw new QuerySyntaxError(`Unknown value "${value}" for ${field}:. Use ${hint}`, position);
+    }
+    return { type: 'filter', field, value: choice };
+  };
+}
+
+// Filter fields and how to parse their values
+const FILTER_FIELDS = {
+  folder: (value) => ({ type: 'filter', field: 'folder', value }),
+  account: (value) => ({ type: 'filter', field: 'account', value }),
+  tag: sigilFilter('tag', '#'),
+  mention: sigilFilter('mention', '@'),
+  has: choiceFilter('has', HAS_VALUES, 'checklist, tag, mention, link or code'),
+  todo: choiceFilter('todo', TODO_STATES, 'open or done'),
+  sourced: choiceFilter('sourced', NOTE_SOURCES, 'apple-notes, enex, markdown or filesystem'),
+  lang: choiceFilter('lang', CODE_LANGUAGES, [...new Set(Object.values(CODE_LANGUAGES))].join(', '))
+};
+
+// Relative date units in milliseconds
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  m: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Error raised for malformed queries, with the offending position
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} position - Zero-based offset into the query
+   */
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at position ${position + 1})`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * List the field names users can write before a colon
+ * @returns {Array} Field names
+ */
+function knownFields() {
+  return [...Object.keys(SEARCH_FIELDS), ...Object.keys(FILTER_FIELDS), ...Object.keys(DATE_FIELDS), 'sort'];
+}
+
+/**
+ * Split a query string into tokens
+ * @param {string} input - Query string
+ * @returns {Array} Tokens with type, value and position
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  
+  const readPhrase = (start) => {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) {
+      throw new QuerySyntaxError('Missing closing quote', start);
+    }
+    return { value: input.slice(start + 1, end), next: end + 1 };
+  };
+  
+  while (i < input.length) {
+    const char = input[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position: i });
+      i++;
+      continue;
+    }
+    
+    // A leading minus negates the token it is attached to
+    if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'not', position: i });
+      i++;
+      continue;
+    }
+    
+    if (char === '"') {
+      const phrase = readPhrase(i);
+      tokens.push({ type: 'phrase', value: phrase.value, position: i });
+      i = phrase.next;
+      continue;
+    }
+    
+    // Read a bare word up to whitespace, a parenthesis or a quote
+    const start = i;
+    while (i < input.length && !/[\s()"]/.test(input[i])) {
+      i++;
+    }
+    let word = input.slice(start, i);
+    
+    if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word.toLowerCase(), position: start });
+      continue;
+    }
+    
+    // A leading plus marks a required term, which every term already is
+    if (word.startsWith('+') && word.length > 1) {
+      word = word.slice(1);
+    }
+    
+    const colon = word.indexOf(':');
+    const field = colon > 0 ? word.slice(0, colon).toLowerCase() : null;
+    
+    // Bare URLs are terms, not fields
+    if (field && !word.slice(colon + 1).startsWith('//')) {
+      if (!knownFields().includes(field)) {
+        throw new QuerySyntaxError(
+          `Unknown field "${field}:". Use one of: ${knownFields().map(name => name + ':').join(' ')}`,
+          start
+        );
+      }
+      
+      let value = word.slice(colon + 1);
+      let quoted = false;
+      
+      if (value === '' && input[i] === '"') {
+        const phrase = readPhrase(i);
+        value = phrase.value;
+        quoted = true;
+        i = phrase.next;
+      } else if (value === '' && input[i] === '(') {
+        throw new QuerySyntaxError(`Field ${field}: cannot be applied to a group`, i);
+      }
+      
+      if (value.trim() === '') {
+        throw new QuerySyntaxError(`Missing value for ${field}:`, start);
+      }
+      
+      tokens.push({ type: 'field', field, value, quoted, position: start });
+      continue;
+    }
+    
+    tokens.push({ type: 'term', value: word, position: start });
+  }
+  
+  return tokens;
+}
+
+/**
+ * Period covered by a year, month or day (local time)
+ * @param {Array} parts - [year, month, day] with month/day optional
+ * @returns {Object} { start, end } covering the period
+ */
+function periodRange(parts) {
+  const [year, month, day] = parts;
+  
+  if (day !== undefined) {
+    return { start: new Date(year, month - 1, day), end: new Date(year, month - 1, day + 1, 0, 0, 0, -1) };
+  }
+  if (month !== undefined) {
+    return { start: new Date(year, month - 1, 1), end: new Date(year, month, 1, 0, 0, 0, -1) };
+  }
+  return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1, 0, 0, 0, -1) };
+}
+
+/**
+ * Parse one date: YYYY, YYYY-MM, YYYY-MM-DD, today, yesterday, or a
+ * relative duration such as 7d (seven days ago)
+ * @param {string} value - Date text
+ * @param {Date} now - Reference time for relative dates
+ * @returns {Object|null} { start, end } period covered, or null if invalid
+ */
+function parseDate(value, now = new Date()) {
+  const text = value.trim().toLowerCase();
+  
+  if (text === 'today' || text === 'yesterday') {
+    const offset = text === 'today' ? 0 : 1;
+    return periodRange([now.getFullYear(), now.getMonth() + 1, now.getDate() - offset]);
+  }
+  
+  const relative = text.match(/^(\d+)([hdwmy])$/);
+  if (relative) {
+    const point = new Date(now.getTime() - Number(relative[1]) * DURATION_UNITS[relative[2]]);
+    return { start: point, end: point };
+  }
+  
+  const absolute = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (absolute) {
+    const parts = absolute.slice(1).filter(part => part !== undefined).map(Number);
+    const [, month, day] = parts;
+    
+    if (month !== undefined && (month < 1 || month > 12)) return null;
+    if (day !== undefined && (day < 1 || day > new Date(parts[0], month, 0).getDate())) return null;
+    
+    return periodRange(parts);
+  }
+  
+  return null;
+}
+
+/**
+ * Parse the value of a date field into an inclusive range.
+ *
+ * Accepts a single date (the whole period), comparisons such as >2024-01-01,
+ * <=2024-03 or >7d (within the last 7 days), and ranges written as
+ * 2024-01-01..2024-02-01 or "2024-01-01 to 2024-02-01".
+ *
+ * @param {string} value - Field value
+ * @param {string} field - Field name, for error messages
+ * @param {number} position - Token position, for error messages
+ * @param {Date} now - Reference time for relative dates
+ * @returns {Object} { start, end } with Date or null bounds
+ */
+function parseDateRange(value, field, position, now = new Date()) {
+  const invalid = (text) => new QuerySyntaxError(
+    `Invalid date "${text}" for ${field}:. Use YYYY-MM-DD, YYYY-MM, YYYY, today, yesterday or a relative date like 7d`,
+    position
+  );
+  
+  const range = value.match(/^(.+?)(?:\.\.|\s+to\s+)(.+)$/i);
+  if (range) {
+    const from = parseDate(range[1], now);
+    const to = parseDate(range[2], now);
+    if (!from) throw invalid(range[1]);
+    if (!to) throw invalid(range[2]);
+    return { start: from.start, end: to.end };
+  }
+  
+  const comparison = value.match(/^(>=|<=|>|<)?(.*)$/);
+  const operator = comparison[1];
+  const period = parseDate(comparison[2], now);
+  
+  if (!period) throw invalid(comparison[2]);
+  
+  switch (operator) {
+    case '>':
+      return { start: new Date(period.end.getTime() + 1), end: null };
+    case '>=':
+      return { start: period.start, end: null };
+    case '<':
+      return { start: null, end: new Date(period.start.getTime() - 1) };
+    case '<=':
+      return { start: null, end: period.end };
+    default:
+      // A bare relative date means "since then"
+      return period.start === period.end ? { start: period.start, end: null } : period;
+  }
+}
+
+/**
+ * Build a term or phrase node from search text
+ * @param {string} value - Text
+ * @param {boolean} phrase - Whether the text must match as an exact phrase
+ * @param {Array|null} fields - Index fields to search, or null for all
+ * @returns {Object} AST node
+ */
+function textNode(value, phrase, fields = null) {
+  if (phrase) {
+    return { type: 'phrase', value, fields };
+  }
+  
+  const wildcard = value.length > 1 && value.endsWith('*');
+  return { type: 'term', value: wildcard ? value.slice(0, -1) : value, fields, wildcard };
+}
+
+/**
+ * Recursive descent parser over the token list
+ */
+class Parser {
+  /**
+   * @param {Array} tokens - Tokens from tokenize()
+   * @param {Date} now - Reference time for relative dates
+   */
+  constructor(tokens, now) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.now = now;
+    this.sortBy = null;
+  }
+  
+  peek() {
+    return this.tokens[this.pos];
+  }
+  
+  next() {
+    return this.tokens[this.pos++];
+  }
+  
+  parseOr() {
+    const children = [this.parseAnd()];
+    
+    while (this.peek() && this.peek().type === 'or') {
+      const operator = this.next();
+      if (!this.peek() || this.peek().type === 'rparen' || this.peek().type === 'or') {
+        throw new QuerySyntaxError('Expected a term after OR', operator.position);
+      }
+      children.push(this.parseAnd());
+    }
+    
+    const present = children.filter(Boolean);
+    if (present.length === 0) return null;
+    return present.length === 1 ? present[0] : { type: 'or', children: present };
+  }
+  
+  parseAnd() {
+    const children = [];
+    const first = this.peek();
+    
+    if (first && (first.type === 'and' || first.type === 'or')) {
+      throw new QuerySyntaxError(`Expected a term before ${first.type.toUpperCase()}`, first.position);
+    }
+    
+    while (this.peek() && this.peek().type !== 'or' && this.peek().type !== 'rparen') {
+      if (this.peek().type === 'and') {
+        const operator = this.next();
+        if (!this.peek() || ['and', 'or', 'rparen'].includes(this.peek().type)) {
+          throw new QuerySyntaxError('Expected a term after AND', operator.position);
+        }
+        continue;
+      }
+      children.push(this.parseUnary());
+    }
+    
+    const present = children.filter(Boolean);
+    
+    // Several folders in one group mean "any of these folders"
+    const folders = present.filter(node => node.type === 'filter' && node.field === 'folder');
+    const grouped = folders.length > 1
+      ? [...present.filter(node => !folders.includes(node)), { type: 'or', children: folders }]
+      : present;
+    
+    if (grouped.length === 0) return null;
+    return grouped.length === 1 ? grouped[0] : { type: 'and', children: grouped };
+  }
+  
+  parseUnary() {
+    const token = this.peek();
+    
+    if (token.type === 'not') {
+      this.next();
+      if (!this.peek() || ['and', 'or', 'rparen'].includes(this.peek().type)) {
+        throw new QuerySyntaxError('Expected a term after NOT', token.position);
+      }
+      if (this.peek().type === 'field' && this.peek().field === 'sort') {
+        throw new QuerySyntaxError('sort: cannot be negated', this.peek().position);
+      }
+      const child = this.parseUnary();
+      return child ? { type: 'not', child } : null;
+    }
+    
+    return this.parsePrimary();
+  }
+  
+  parsePrimary() {
+    const token = this.next();
+    
+    switch (token.type) {
+      case 'lparen': {
+        if (this.peek() && this.peek().type === 'rparen') {
+          throw new QuerySyntaxError('Empty parentheses', token.position);
+        }
+        const node = this.parseOr();
+        const closing = this.next();
+        if (!closing || closing.type !== 'rparen') {
+          throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+        }
+        return node;
+      }
+      
+      case 'rparen':
+        throw new QuerySyntaxError('Unexpected ")"', token.position);
+      
+      case 'phrase':
+        return token.value.trim() ? textNode(token.value, true) : null;
+      
+      case 'term':
+        return textNode(token.value, false);
+      
+      case 'field':
+        return this.parseField(token);
+      
+      default:
+        throw new QuerySyntaxError(`Unexpected ${token.type.toUpperCase()}`, token.position);
+    }
+  }
+  
+  parseField(token) {
+    const { field, value, quoted, position } = token;
+    
+    if (field === 'sort') {
+      const sortBy = SORT_ORDERS[value.toLowerCase()];
+      if (!sortBy) {
+        throw new QuerySyntaxError(
+          `Unknown sort order "${value}". Use relevance, dateNewest, dateOldest or alphabetical`,
+          position
+        );
+      }
+      this.sortBy = sortBy;
+      return null;
+    }
+    
+    if (SEARCH_FIELDS[field]) {
+      return textNode(value, quoted, [SEARCH_FIELDS[field]]);
+    }
+    
+    if (DATE_FIELDS[field]) {
+      return {
+        type: 'date',
+        field: DATE_FIELDS[field],
+        range: parseDateRange(value, field, position, this.now)
+      };
+    }
+    
+    return FILTER_FIELDS[field](value, { position, quoted });
+  }
+}
+
+/**
+ * Parse a query string into a boolean expression tree
+ * @param {string} input - Query string
+ * @param {Object} options - Parser options
+ * @param {Date} options.now - Reference time for relative dates
+ * @returns {Object} { ast, sortBy } where ast is null for an empty query
+ * @throws {QuerySyntaxError} If the query is malformed
+ */
+function parse(input, options = {}) {
+  const parser = new Parser(tokenize(input || ''), options.now || new Date());
+  const ast = parser.peek() ? parser.parseOr() : null;
+  
+  // parseOr stops at a stray closing parenthesis
+  if (parser.peek()) {
+    throw new QuerySyntaxError('Unexpected ")"', parser.peek().position);
+  }
+  
+  return { ast, sortBy: parser.sortBy };
+}
+
+/**
+ * Combine expression trees so that all of them must match
+ * @param {...Object} nodes - AST nodes, null entries are skipped
+ * @returns {Object|null} Combined node
+ */
+function and(...nodes) {
+  const present = nodes.filter(Boolean);
+  if (present.length === 0) return null;
+  return present.length === 1 ? present[0] : { type: 'and', children: present };
+}
+
+module.exports = {
+  QuerySyntaxError,
+  FILTER_FIELDS,
+  tokenize,
+  parse,
+  parseDateRange,
+  and
+};
@@ -0,0 +1,382 @@
+// scheduler.js - Index jobs that run one at a time, report progress and can
+// be cancelled, and an optional schedule that starts them in the background
+
+const fs = require('fs');
+const EventEmitter = require('events');
+
+// Background sync settings unless configured otherwise
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// A change starts a sync once the notes have been quiet this long...
+const CHANGE_DELAY = 5000;
+
+// ...or this long after the first change, for notes edited without a pause
+const MAX_CHANGE_DELAY = 60000;
+
+// What each phase of a sync is doing, for progress displays
+const PHASE_LABELS = {
+  fetching: 'Reading notes',
+  saving: 'Saving notes',
+  indexing: 'Building the search index'
+};
+
+/**
+ * Error raised inside a sync when its job was cancelled
+ */
+class IndexCancelledError extends Error {
+  constructor() {
+    super('Indexing was cancelled');
+    this.name = 'IndexCancelledError';
+  }
+}
+
+/**
+ * Stop a sync at a safe point when its job was cancelled
+ * @param {AbortSignal} signal - Signal of the job, if any
+ * @throws {IndexCancelledError} If the signal was aborted
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw new IndexCancelledError();
+  }
+}
+
+let nextJobId = 1;
+
+/**
+ * One requested sync, from being queued until it completes, fails or is
+ * cancelled. Emits 'progress' with { phase, current, total, note } while it
+ * runs; `done` resolves with the job once it has finished, whatever the
+ * outcome, and never rejects.
+ */
+class IndexJob extends EventEmitter {
+  /**
+   * @param {Object} options - Job options
+   * @param {string} options.trigger - What asked for the sync: 'manual',
+   *   'schedule' or 'change'
+   * @param {boolean} options.full - Rewrite every note
+   */
+  constructor(options = {}) {
+    super();
+    this.id = nextJobId++;
+    this.trigger = options.trigger || 'manual';
+    this.full = !!options.full;
+    this.state = 'queued';
+    this.progress = null;
+    this.queuedAt = new Date().toISOString();
+    this.startedAt = null;
+    this.finishedAt = null;
+    this.error = null;
+    this.result = null;
+    this.done = null;
+    this.controller = new AbortController();
+  }
+  
+  /**
+   * Signal the sync checks between notes
+   * @returns {AbortSignal} Aborted once the job is cancelled
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+  
+  /**
+   * Whether the job is still queued or running
+   * @returns {boolean} True until it finished
+   */
+  get active() {
+    return this.state === 'queued' || this.state === 'running';
+  }
+  
+  /**
+   * Ask the job to stop. A queued job never starts; a running one stops at
+   * the next note, keeping the notes it already saved, and the search index
+   * it was going to replace stays in use.
+   * @returns {boolean} False if the job had already finished
+   */
+  cancel() {
+    if (!this.active) {
+      return false;
+    }
+    
+    this.controller.abort();
+    return true;
+  }
+  
+  /**
+   * Run the sync, recording its outcome
+   * @param {Function} sync - Called with (reportProgress, signal), resolves
+   *   with the sync result
+   * @returns {Promise} Resolves with the job
+   */
+  async run(sync) {
+    this.state = 'running';
+    this.startedAt = new Date().toISOString();
+    
+    try {
+      throwIfCancelled(this.signal);
+      this.result = await sync(progress => {
+        this.progress = progress;
+        this.emit('progress', progress);
+      }, this.signal);
+      this.state = 'completed';
+    } catch (error) {
+      this.state = error instanceof IndexCancelledError ? 'cancelled' : 'failed';
+      this.error = error.message;
+    }
+    
+    this.finishedAt = new Date().toISOString();
+    return this;
+  }
+  
+  /**
+   * Plain description of the job for results and the status page
+   * @returns {Object} { id, trigger, full, state, progress, queuedAt,
+   *   startedAt, finishedAt, error, cancelRequested, changes } where changes
+   *   counts the notes a completed sync added, updated, removed and left
+   *   unchanged
+   */
+  toJSON() {
+    const { result } = this;
+    
+    return {
+      id: this.id,
+      trigger: this.trigger,
+      full: this.full,
+      state: this.state,
+      progress: this.progress,
+      queuedAt: this.queuedAt,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      error: this.error,
+      cancelRequested: this.signal.aborted,
+      changes: result
+        ? { added: result.added, updated: result.updated, removed: result.removed, unchanged: result.unchanged }
+        : null
+    };
+  }
+}
+
+/**
+ * Runs tasks one at a time in the order they were queued, so that syncs,
+ * imports and index loads never write the stores or swap the search index
+ * at the same time
+ */
+class IndexLock {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+  
+  /**
+   * Run a task once every task queued before it has finished
+   * @param {Function} task - Returns a promise
+   * @returns {Promise} Settles like the task
+   */
+  run(task) {
+    const result = this.tail.then(() => task());
+    this.tail = result.catch(() => {});
+    return result;
+  }
+  
+  /**
+   * Wait until every task queued so far has finished
+   * @returns {Promise} Resolves when the lock is free
+   */
+  idle() {
+    return this.run(() => {});
+  }
+}
+
+/**
+ * Background sync settings from the configuration file
+ * @param {Object} config - Parsed configuration file
+ * @returns {Object} { enabled, intervalMinutes, onChange } where an interval
+ *   of 0 syncs on changes only
+ * @throws {Error} If a setting has the wrong type
+ */
+function watchSettings(config = {}) {
+  const settings = config.watch || {};
+  const intervalMinutes = settings.intervalMinutes === undefined ? DEFAULT_INTERVAL_MINUTES : settings.intervalMinutes;
+  
+  if (typeof intervalMinutes !== 'number' || !(intervalMinutes >= 0)) {
+    throw new Error('watch.intervalMinutes in the configuration file must be a number of 0 or more');
+  }
+  
+  ['enabled', 'onChange'].forEach(name => {
+    if (settings[name] !== undefined && typeof settings[name] !== 'boolean') {
+      throw new Error(`watch.${name} in the configuration file must be true or false`);
+    }
+  });
+  
+  return {
+    enabled: !!settings.enabled,
+    intervalMinutes,
+    onChange: settings.onChange !== false
+  };
+}
+
+// Changes that do not mean a note changed: SQLite's shared-memory file,
+// which readers touch too, and hidden files, which sources skip
+function isIgnoredChange(filename) {
+  const name = filename ? String(filename).split(/[\\/]/).pop() : '';
+  return name.endsWith('-shm') || name.startsWith('.');
+}
+
+/**
+ * Starts syncs every few minutes and when the notes change on disk.
+ * Syncs go through the sync function, which queues an index job; a job
+ * already waiting is reused, so triggers never pile up behind a long sync.
+ */
+class IndexScheduler {
+  /**
+   * @param {Object} settings - From watchSettings
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.sync - Called with the trigger ('schedule' or
+   *   'change'), returns the IndexJob
+   * @param {Array} options.paths - { path, recursive } to watch for changes,
+   *   from the note source's watchPaths()
+   * @param {Function} options.onJob - Called with each finished job
+   */
+  constructor(settings, options) {
+    this.settings = settings;
+    this.sync = options.sync;
+    this.paths = options.paths || [];
+    this.onJob = options.onJob || (() => {});
+    this.watchers = [];
+    this.watching = [];
+    this.timer = null;
+    this.changeTimer = null;
+    this.firstChange = null;
+    this.nextRun = null;
+    this.jobs = new Set();
+  }
+  
+  /**
+   * Start the interval timer and the file watchers, and sync once now
+   */
+  start() {
+    if (this.settings.intervalMinutes > 0) {
+      const interval = this.settings.intervalMinutes * 60000;
+      
+      this.timer = setInterval(() => {
+        this.nextRun = new Date(Date.now() + interval).toISOString();
+        this.trigger('schedule');
+      }, interval);
+      this.nextRun = new Date(Date.now() + interval).toISOString();
+    }
+    
+    if (this.settings.onChange) {
+      this.paths.forEach(target => this.watch(target));
+    }
+    
+    this.trigger('schedule');
+  }
+  
+  /**
+   * Stop the timers and watchers. Jobs already queued still run.
+   */
+  stop() {
+    clearInterval(this.timer);
+    clearTimeout(this.changeTimer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.timer = null;
+    this.changeTimer = null;
+    this.watchers = [];
+    this.watching = [];
+    this.nextRun = null;
+  }
+  
+  /**
+   * Watch one path, logging rather than failing when it cannot be watched:
+   * the interval still picks up changes
+   * @param {Object} target - { path, recursive }
+   */
+  watch(target) {
+    const listener = (event, filename) => {
+      if (!isIgnoredChange(filename)) {
+        this.noteChanged();
+      }
+    };
+    
+    let watcher;
+    
+    try {
+      watcher = fs.watch(target.path, { recursive: target.recursive, persistent: true }, listener);
+    } catch (error) {
+      // Recursive watching needs macOS, Windows or Node 20 on Linux
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        console.error(`Cannot watch ${target.path} for changes:`, error.message);
+        return;
+      }
+      watcher = fs.watch(target.path, { persistent: true }, listener);
+    }
+    
+    watcher.on('error', error => {
+      console.error(`Stopped watching ${target.path}:`, error.message);
+      watcher.close();
+    });
+    
+    this.watchers.push(watcher);
+    this.watching.push(target.path);
+  }
+  
+  /**
+   * Sync once the changes settle, waiting at most MAX_CHANGE_DELAY
+   */
+  noteChanged() {
+    const now = Date.now();
+    
+    if (this.firstChange === null) {
+      this.firstChange = now;
+    }
+    
+    clearTimeout(this.changeTimer);
+    this.changeTimer = setTimeout(() => {
+      this.firstChange = null;
+      this.changeTimer = null;
+      this.trigger('change');
+    }, Math.max(0, Math.min(CHANGE_DELAY, this.firstChange + MAX_CHANGE_DELAY - now)));
+  }
+  
+  /**
+   * Queue a sync and report it once it has finished
+   * @param {string} trigger - 'schedule' or 'change'
+   * @returns {IndexJob} The queued job
+   */
+  trigger(trigger) {
+    const job = this.sync(trigger);
+    
+    if (!this.jobs.has(job)) {
+      this.jobs.add(job);
+      job.done.then(() => {
+        this.jobs.delete(job);
+        this.onJob(job);
+      });
+    }
+    
+    return job;
+  }
+  
+  /**
+   * Plain description of the schedule for results and the status page
+   * @returns {Object} { intervalMinutes, onChange, watching, nextRun }
+   */
+  toJSON() {
+    return {
+      intervalMinutes: this.settings.intervalMinutes,
+      onChange: this.settings.onChange,
+      watching: [...this.watching],
+      nextRun: this.nextRun
+    };
+  }
+}
+
+module.exports = {
+  PHASE_LABELS,
+  IndexCancelledError,
+  throwIfCancelled,
+  IndexJob,
+  IndexLock,
+  IndexScheduler,
+  watchSettings
+};
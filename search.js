@@ -1,34 +1,88 @@
 // search.js - Advanced search functionality
 
+const crypto = require('crypto');
 const lunr = require('lunr');
+const { parse } = require('./query');
+const { buildSnippets } = require('./snippets');
+const { matchesTag } = require('./content');
+const { splitPath, matchesFolder, buildFolderTree } = require('./folders');
+const { createNoteSimilarity } = require('./similarity');
+const {
+  CJK_PATTERN,
+  tokenize,
+  trimWord,
+  unicodeTrimmer,
+  languageStemmer,
+  SearchLanguages
+} = require('./languages');
+
+// Bump when index fields or pipeline functions change so persisted
+// indexes are rebuilt instead of loaded
+const INDEX_SCHEMA_VERSION = 4;
+
+// Searches with fewer hits than this also look for approximate matches and
+// suggest corrections for the words the index does not know
+const FEW_RESULTS = 3;
+
+// Share of its score an approximate match keeps, so exact matches rank first
+const FUZZY_WEIGHT = 0.5;
+
+// Spellings of a word compared when suggesting a correction
+const MAX_SPELLINGS = 20;
+
+/**
+ * Pipeline function to handle Apple Notes specific patterns
+ * @param {lunr.Token} token - Token being indexed
+ * @returns {lunr.Token} Updated token
+ */
+function appleNotesPatterns(token) {
+  // Handle checklist items formatting
+  if (token && token.toString().includes('☐') || token.toString().includes('☑')) {
+    return token.update(() => token.toString().replace(/[☐☑]/g, ''));
+  }
+  return token;
+}
+
+// Serialized indexes refer to pipeline functions by their registered label
+lunr.Pipeline.registerFunction(appleNotesPatterns, 'appleNotesPatterns');
 
 /**
  * Creates an enhanced Lunr search index with additional features
  * @param {Array} notes - Collection of notes to index
+ * @param {SearchLanguages} languages - Languages the notes are written in
  * @returns {Object} Enhanced Lunr search index
  */
-function createEnhancedSearchIndex(notes) {
+function createEnhancedSearchIndex(notes, languages = new SearchLanguages()) {
+  const noteLanguages = new Map(notes.map(note => [note.id, languages.detect(note)]));
+  
+  // Field text with the note's language, for the tokenizer
+  const inLanguage = (note, text) => ({ text, language: noteLanguages.get(note.id) });
+  
   // Create a standard lunr index
   const idx = lunr(function() {
+    // Splits Japanese text into words and tags every word with its language
+    this.tokenizer = tokenize;
+    
     // The primary search fields
-    this.field('name', { boost: 10 });
-    this.field('body');
-    this.field('folder', { boost: 5 });
+    this.field('name', { boost: 10, extractor: note => inLanguage(note, note.name) });
+    // Index the normalized plain text rather than the raw HTML body
+    this.field('body', { extractor: note => inLanguage(note, note.text) });
+    // Every folder on the path, so notes in Work/Projects match "work"
+    this.field('folder', { boost: 5, extractor: note => inLanguage(note, splitPath(note.folder).join(' ')) });
     
     // Unique identifier for each note
     this.ref('id');
     
-    // Custom pipeline functions
-    this.pipeline.add(
-      // Function to handle Apple Notes specific patterns
-      function(token) {
-        // Handle checklist items formatting
-        if (token && token.toString().includes('☐') || token.toString().includes('☑')) {
-          return token.update(() => token.toString().replace(/[☐☑]/g, ''));
-        }
-        return token;
-      }
-    );
+    // Keep term positions for match snippets
+    this.metadataWhitelist = ['position'];
+    
+    // Replace lunr's English pipeline: stop words and stems depend on the
+    // note's language
+    this.pipeline.reset();
+    this.pipeline.add(appleNotesPatterns, unicodeTrimmer, languageStemmer);
+    
+    // searchWords stems query words itself, in every language
+    this.searchPipeline.reset();
     
     // Add documents to the index
     notes.forEach(function(note) {
@@ -36,49 +90,119 @@ function createEnhancedSearchIndex(notes) {
     }, this);
   });
   
+  return enhanceIndex(idx, notes, languages, noteLanguages);
+}
+
+/**
+ * Restores an enhanced search index from its serialized form
+ * @param {Object} serialized - Output of the index's toJSON()
+ * @param {Array} notes - The notes the index was built from
+ * @param {SearchLanguages} languages - Languages the index was built with
+ * @returns {Object} Enhanced Lunr search index
+ */
+function loadEnhancedSearchIndex(serialized, notes, languages = new SearchLanguages()) {
+  return enhanceIndex(lunr.Index.load(serialized), notes, languages);
+}
+
+/**
+ * The code snippets of a note as records of their own. Each carries the
+ * fields of its note, so query filters such as folder:, tag: and modified:
+ * apply to snippets too, with the code as its text.
+ * @param {Object} note - Normalized note
+ * @returns {Array} Records with the ID `<note ID>#<n>`, noteId, kind,
+ *   language and code
+ */
+function snippetRecords(note) {
+  return (note.codeSnippets || []).map((snippet, i) => ({
+    ...note,
+    ...snippet,
+    id: `${note.id}#${i + 1}`,
+    noteId: note.id,
+    text: snippet.code,
+    codeSnippets: [snippet]
+  }));
+}
+
+/**
+ * Adds filtering, sorting and lookup helpers to a Lunr index
+ * @param {lunr.Index} idx - Built or loaded Lunr index
+ * @param {Array} notes - The notes in the index
+ * @param {SearchLanguages} languages - Languages the index was built with
+ * @param {Map} noteLanguages - Language of each note by ID, if known
+ * @returns {Object} Enhanced Lunr search index
+ */
+function enhanceIndex(idx, notes, languages, noteLanguages = null) {
+  // Look up hits by ID instead of scanning the note list
+  const notesById = new Map(notes.map(note => [note.id, note]));
+  const similarity = createNoteSimilarity(idx);
+  
+  // Code snippets are searched with an index of their own, built the first
+  // time they are searched
+  let snippetIndex = null;
+  
+  // Detected again after loading, the first time a query needs it
+  let languagesById = noteLanguages;
+  const languageOf = id => {
+    if (!languagesById) {
+      languagesById = new Map(notes.map(note => [note.id, languages.detect(note)]));
+    }
+    return languagesById.get(id);
+  };
+  
+  const context = { idx, notes, notesById, languages, languageOf, negated: false, fuzzy: false };
+  
   // Enhance the index with additional methods
   return {
+    // Serialized form for persisting the index
+    toJSON: function() {
+      return idx.toJSON();
+    },
+    
     // Original search method
     search: function(query) {
       return idx.search(query);
     },
     
-    // Search with additional filters
+    // Search with a parsed query (see parseQuery) and sort the results
+    // Returns { results, total, facets, approximate, corrections } where
+    // results is the requested page of hits, each with match snippets and
+    // title highlights, and facets counts the tags across all hits. With
+    // fuzzy, a query with few hits is run again allowing typos and word
+    // starts (approximate is then true if that found more), and corrections
+    // suggests known words for the query words no note contains.
     advancedSearch: function(options) {
-      const { query, folder, dateRange, sortBy } = options;
-      
-      // Perform the base search
-      let results = idx.search(query);
-      
-      // Map results to full note objects
-      results = results.map(result => {
-        const note = notes.find(n => n.id === result.ref);
-        return {
-          ...note,
-          score: result.score
-        };
-      });
+      const { ast, sortBy, offset = 0, limit, fuzzy = false } = options;
+      let positions = new Map();
+      let approximate = false;
+      let corrections = [];
       
-      // Apply folder filter if specified
-      if (folder) {
-        results = results.filter(note => note.folder === folder);
-      }
+      let matches = evaluateQuery(ast, { ...context, positions });
       
-      // Apply date range filter if specified
-      if (dateRange) {
-        const { start, end } = dateRange;
+      if (fuzzy && matches !== null && matches.size < FEW_RESULTS) {
+        const fuzzyPositions = new Map();
+        const fuzzyMatches = evaluateQuery(ast, { ...context, positions: fuzzyPositions, fuzzy: true });
         
-        if (start && end) {
-          const startDate = new Date(start);
-          const endDate = new Date(end);
-          
-          results = results.filter(note => {
-            const modDate = new Date(note.modificationDate);
-            return modDate >= startDate && modDate <= endDate;
-          });
+        if (fuzzyMatches.size > matches.size) {
+          matches = fuzzyMatches;
+          positions = fuzzyPositions;
+          approximate = true;
         }
+        corrections = suggestCorrections(ast, context);
+      }
+      
+      // An empty query matches every note, one made only of stop words none
+      if (matches === null) {
+        matches = ast ? new Map() : new Map(notes.map(note => [note.id, 0]));
       }
       
+      // Map results to full note objects, best matches first
+      const results = [...matches.entries()]
+        .map(([ref, score]) => ({
+          ...notesById.get(ref),
+          score
+        }))
+        .sort((a, b) => b.score - a.score);
+      
       // Apply sorting if specified
       if (sortBy) {
         switch (sortBy) {
@@ -100,12 +224,72 @@ function createEnhancedSearchIndex(notes) {
         }
       }
       
-      return results;
+      const page = results.slice(offset, limit === undefined ? undefined : offset + limit);
+      
+      return {
+        results: page.map(note => {
+          const matched = positions.get(note.id) || {};
+          
+          return {
+            ...note,
+            snippets: buildSnippets(note.text, matched.body),
+            nameHighlights: mergePositions(matched.name)
+          };
+        }),
+        total: results.length,
+        facets: {
+          tags: tagFacets(results)
+        },
+        approximate,
+        corrections
+      };
+    },
+    
+    // Search the code snippets of the notes with the same options as
+    // advancedSearch; results are snippet records (see snippetRecords)
+    searchSnippets: function(options) {
+      if (!snippetIndex) {
+        snippetIndex = createEnhancedSearchIndex(notes.flatMap(snippetRecords), languages);
+      }
+      return snippetIndex.advancedSearch(options);
+    },
+    
+    // A snippet record by ID, or null if there is no such snippet
+    getSnippet: function(id) {
+      const hash = id.lastIndexOf('#');
+      const note = hash > 0 ? notesById.get(id.slice(0, hash)) : null;
+      return (note && snippetRecords(note).find(record => record.id === id)) || null;
+    },
+    
+    // Notes most similar to one note, as { note, score, sharedTerms } best
+    // first, or null if the note is not in the index
+    relatedNotes: function(id, options = {}) {
+      const related = similarity.related(id, options);
+      
+      return related && related.map(({ ref, score, sharedTerms }) => ({
+        note: notesById.get(ref),
+        score,
+        sharedTerms
+      }));
+    },
+    
+    // Groups of near-identical notes as { notes, similarity }, optionally
+    // only among the notes in one folder
+    findDuplicates: function(options = {}) {
+      const refs = options.folder
+        ? notes.filter(note => matchesFolder(note, options.folder)).map(note => note.id)
+        : undefined;
+      
+      return similarity.duplicates({ threshold: options.threshold, refs })
+        .map(group => ({
+          notes: group.refs.map(ref => notesById.get(ref)),
+          similarity: group.similarity
+        }));
     },
     
-    // Get all unique folders in the index
+    // Get the tree of accounts and folders with note counts
     getFolders: function() {
-      return [...new Set(notes.map(note => note.folder))];
+      return buildFolderTree(notes);
     },
     
     // Get date range of all notes
@@ -122,45 +306,520 @@ function createEnhancedSearchIndex(notes) {
 }
 
 /**
- * Parse a search query string and extract any special commands
- * @param {string} queryString - Raw query string from user
- * @returns {Object} Parsed query with special commands extracted
+ * Computes a checksum identifying a set of notes, their versions and folders
+ * @param {Array} notes - Collection of notes
+ * @returns {string} Hex digest
  */
-function parseQuery(queryString) {
-  const result = {
-    query: queryString,
-    folder: null,
-    dateRange: null,
-    sortBy: 'relevance'
+function computeNoteSetChecksum(notes) {
+  const hash = crypto.createHash('sha256');
+  
+  notes
+    .map(note => [
+      note.id,
+      new Date(note.modificationDate).getTime(),
+      note.contentVersion,
+      note.account || '',
+      note.folder
+    ].join('\u0000'))
+    .sort()
+    .forEach(entry => hash.update(entry + '\n'));
+  
+  return hash.digest('hex');
+}
+
+/**
+ * Normalize text for phrase comparison: lower case, words separated by
+ * single spaces, padded so matches can be checked on word boundaries
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizePhraseText(text) {
+  return ` ${(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+}
+
+/**
+ * Text of the note fields a phrase may match
+ * @param {Object} note - Note
+ * @param {Array|null} fields - Index fields, or null for all
+ * @returns {Array} Field texts
+ */
+function phraseTargets(note, fields) {
+  const values = { name: note.name, body: note.text, folder: note.folder };
+  return (fields || Object.keys(values)).map(field => values[field]);
+}
+
+/**
+ * Check whether a note contains some text as whole words, or anywhere for
+ * Japanese, which has no spaces between words
+ * @param {Object} note - Note
+ * @param {Array|null} fields - Index fields, or null for all
+ * @param {string} text - Words to look for
+ * @returns {boolean} True if one of the fields contains the text
+ */
+function containsText(note, fields, text) {
+  const wanted = CJK_PATTERN.test(text) ? normalizePhraseText(text).trim() : normalizePhraseText(text);
+  return phraseTargets(note, fields).some(target => normalizePhraseText(target).includes(wanted));
+}
+
+/**
+ * Sort [start, length] positions and drop duplicates
+ * @param {Array} positions - Positions, possibly undefined
+ * @returns {Array} Sorted unique positions
+ */
+function mergePositions(positions = []) {
+  const seen = new Set();
+  
+  return positions
+    .filter(([start, length]) => {
+      const key = `${start}:${length}`;
+      return seen.has(key) ? false : seen.add(key);
+    })
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Record where a hit's terms matched, per field
+ * @param {Map} positions - Positions by note ID and field
+ * @param {Object} hit - lunr search result
+ */
+function recordPositions(positions, hit) {
+  const byField = positions.get(hit.ref) || {};
+  
+  Object.values(hit.matchData.metadata).forEach(fields => {
+    Object.entries(fields).forEach(([field, metadata]) => {
+      byField[field] = (byField[field] || []).concat(metadata.position || []);
+    });
+  });
+  
+  positions.set(hit.ref, byField);
+}
+
+/**
+ * Edit distance allowed when looking for approximate matches of a term:
+ * none for short terms, where one typo makes a different word
+ * @param {string} term - Index term
+ * @returns {number} 0, 1 or 2
+ */
+function fuzzyDistance(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Search the index for every word of a term or phrase
+ * @param {Object} node - Term or phrase node
+ * @param {Object} context - { idx, notes, languages, languageOf, positions,
+ *   negated, fuzzy }
+ * @returns {Map|null} Scores by note ID, or null if every word was a stop word
+ */
+function searchWords(node, context) {
+  const { idx, notes, languages, languageOf, positions, negated } = context;
+  const wildcard = node.type === 'term' && node.wildcard;
+  // Approximate matches never widen what NOT excludes
+  const fuzzy = context.fuzzy && !negated && !wildcard;
+  let result = null;
+  
+  const search = (matches, term, options, weight) => {
+    const clause = { usePipeline: false, ...options };
+    
+    // lunr searches all fields only when the option is absent
+    if (node.fields) {
+      clause.fields = node.fields;
+    }
+    
+    idx.query(q => {
+      q.term(term, clause);
+    }).forEach(hit => {
+      matches.set(hit.ref, (matches.get(hit.ref) || 0) + hit.score * weight);
+      
+      // Excluded words are not highlighted
+      if (!negated) {
+        recordPositions(positions, hit);
+      }
+    });
   };
   
-  // Extract folder: command
-  const folderMatch = queryString.match(/folder:["']([^"']+)["']/i);
-  if (folderMatch) {
-    result.folder = folderMatch[1];
-    result.query = result.query.replace(folderMatch[0], '').trim();
+  for (const word of lunr.tokenizer(node.value)) {
+    const matches = new Map();
+    
+    // Japanese is split into words by guesswork that depends on the text
+    // around them, so the query's words may differ from the note's: match
+    // the text itself, scored by the words found in the index
+    if (CJK_PATTERN.test(word.toString()) && !wildcard) {
+      const text = trimWord(word.toString());
+      
+      tokenize(text).forEach(token => search(matches, token.toString(), {}, 1));
+      notes.forEach(note => {
+        if (containsText(note, node.fields, text)) {
+          matches.set(note.id, matches.get(note.id) || 0);
+        } else {
+          matches.delete(note.id);
+        }
+      });
+      
+      result = result ? intersect(result, matches) : matches;
+      continue;
+    }
+    
+    // The word as each language would have indexed it; words every
+    // language drops (stop words) place no constraint. A prefix is looked
+    // up stemmed too, or planning* would miss the notes indexed as "plan"
+    // that planning finds, and as written for the longer words it starts.
+    const { terms, stopLanguages } = languages.queryTerms(word);
+    
+    if (wildcard && !terms.includes(word.toString())) {
+      terms.push(word.toString());
+    }
+    
+    if (terms.length === 0) {
+      continue;
+    }
+    
+    terms.forEach(term => {
+      search(matches, term, { wildcard: wildcard ? lunr.Query.wildcard.TRAILING : lunr.Query.wildcard.NONE }, 1);
+      
+      // Words with a typo or two, and longer words starting with the term
+      if (fuzzy) {
+        if (fuzzyDistance(term) > 0) {
+          search(matches, term, { editDistance: fuzzyDistance(term) }, FUZZY_WEIGHT);
+        }
+        if (term.length >= 3) {
+          search(matches, term, { wildcard: lunr.Query.wildcard.TRAILING }, FUZZY_WEIGHT);
+        }
+      }
+    });
+    
+    // Languages that drop the word as a stop word never indexed it, so
+    // look for it in the text of their notes
+    if (stopLanguages.length > 0) {
+      notes.forEach(note => {
+        if (!matches.has(note.id) && stopLanguages.includes(languageOf(note.id)) &&
+            containsText(note, node.fields, word.toString())) {
+          matches.set(note.id, 0);
+        }
+      });
+    }
+    
+    result = result ? intersect(result, matches) : matches;
+  }
+  
+  return result;
+}
+
+/**
+ * Number of single-character insertions, deletions and substitutions
+ * turning one word into another
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
   }
   
-  // Extract date: command (format: date:"2023-01-01 to 2023-12-31")
-  const dateMatch = queryString.match(/date:["'](\d{4}-\d{2}-\d{2})(?:\s+to\s+(\d{4}-\d{2}-\d{2}))?["']/i);
-  if (dateMatch) {
-    const start = dateMatch[1];
-    const end = dateMatch[2] || start;
-    result.dateRange = { start, end };
-    result.query = result.query.replace(dateMatch[0], '').trim();
+  return previous[b.length];
+}
+
+/**
+ * Words of the term and phrase nodes a query requires or allows, leaving
+ * out prefixes and excluded words
+ * @param {Object|null} node - AST node
+ * @param {Array} words - Tokens found so far
+ * @returns {Array} lunr.Token list
+ */
+function queryWords(node, words = []) {
+  if (!node) {
+    return words;
   }
   
-  // Extract sort: command
-  const sortMatch = queryString.match(/sort:(relevance|dateNewest|dateOldest|alphabetical)/i);
-  if (sortMatch) {
-    result.sortBy = sortMatch[1].toLowerCase();
-    result.query = result.query.replace(sortMatch[0], '').trim();
+  if ((node.type === 'term' && !node.wildcard) || node.type === 'phrase') {
+    words.push(...tokenize(node.value));
+  } else if (node.type === 'and' || node.type === 'or') {
+    node.children.forEach(child => queryWords(child, words));
   }
   
+  return words;
+}
+
+/**
+ * How a term reads in the notes, since index terms are stemmed ("releas"
+ * for "release"): of the first few places it occurs, the spelling closest
+ * to the word typed
+ * @param {string} term - Index term
+ * @param {string} typed - Query word being corrected
+ * @param {Object} context - { idx, notesById }
+ * @returns {string} The word in lower case, or the term if not found
+ */
+function surfaceForm(term, typed, { idx, notesById }) {
+  const posting = idx.invertedIndex[term];
+  const spellings = new Set();
+  
+  ['body', 'name'].forEach(field => {
+    Object.entries(posting[field] || {}).forEach(([ref, metadata]) => {
+      const note = notesById.get(ref);
+      const text = note && (field === 'body' ? note.text : note.name);
+      
+      (metadata.position || []).forEach(([start, length]) => {
+        if (text && spellings.size < MAX_SPELLINGS) {
+          spellings.add(trimWord(text.slice(start, start + length)).toLowerCase());
+        }
+      });
+    });
+  });
+  
+  let best = term;
+  let bestDistance = Infinity;
+  
+  spellings.forEach(spelling => {
+    const distance = editDistance(typed, spelling);
+    
+    if (spelling && distance < bestDistance) {
+      best = spelling;
+      bestDistance = distance;
+    }
+  });
+  
+  return best;
+}
+
+/**
+ * Suggest replacements for the query words no note contains: the closest
+ * word in the index, by edit distance and then by how many notes use it
+ * @param {Object|null} ast - Query expression tree
+ * @param {Object} context - { idx, notesById, languages }
+ * @returns {Array} { word, suggestion } pairs
+ */
+function suggestCorrections(ast, context) {
+  const { idx, languages } = context;
+  const corrections = new Map();
+  
+  queryWords(ast).forEach(token => {
+    const word = trimWord(token.toString());
+    const { terms } = languages.queryTerms(token);
+    
+    // Stop words, known words, words too short to tell a typo from another
+    // word (see fuzzyDistance) and Japanese, where words are guessed
+    if (corrections.has(word) || terms.length === 0 || fuzzyDistance(word) === 0 || CJK_PATTERN.test(word) ||
+        terms.some(term => term in idx.invertedIndex)) {
+      return;
+    }
+    
+    const distance = word.length > 4 ? 2 : 1;
+    let best = null;
+    
+    terms.forEach(term => {
+      idx.tokenSet.intersect(lunr.TokenSet.fromFuzzyString(term, distance)).toArray().forEach(candidate => {
+        const posting = idx.invertedIndex[candidate];
+        const notes = new Set(Object.keys(posting)
+          .filter(field => field !== '_index')
+          .flatMap(field => Object.keys(posting[field])));
+        const entry = { candidate, distance: editDistance(term, candidate), notes: notes.size };
+        
+        if (!best || entry.distance < best.distance ||
+            (entry.distance === best.distance && entry.notes > best.notes)) {
+          best = entry;
+        }
+      });
+    });
+    
+    if (best) {
+      const suggestion = surfaceForm(best.candidate, word, context);
+      
+      // Stems can be close when the words are not ("meet" and "rest")
+      if (suggestion !== word && editDistance(word, suggestion) <= distance) {
+        corrections.set(word, suggestion);
+      }
+    }
+  });
+  
+  return [...corrections].map(([word, suggestion]) => ({ word, suggestion }));
+}
+
+/**
+ * Apply suggested corrections to a query string
+ * @param {string} queryString - Query as the user wrote it
+ * @param {Array} corrections - { word, suggestion } pairs from advancedSearch
+ * @returns {string} Query with each misspelled word replaced
+ */
+function correctQuery(queryString, corrections) {
+  return corrections.reduce((query, { word, suggestion }) => {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return query.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu'), suggestion);
+  }, queryString);
+}
+
+/**
+ * Keep the entries present in both maps, adding their scores
+ * @param {Map} a - Scores by note ID
+ * @param {Map} b - Scores by note ID
+ * @returns {Map} Intersection
+ */
+function intersect(a, b) {
+  const result = new Map();
+  
+  a.forEach((score, ref) => {
+    if (b.has(ref)) {
+      result.set(ref, score + b.get(ref));
+    }
+  });
+  
   return result;
 }
 
+// Predicates for filter nodes, by field
+const FILTERS = {
+  folder: (note, node) => matchesFolder(note, node.value),
+  account: (note, node) => (note.account || '').toLowerCase() === node.value.toLowerCase(),
+  tag: (note, node) => (note.tags || []).some(tag => matchesTag(tag, node.value)),
+  mention: (note, node) => (note.mentions || []).some(name => name.toLowerCase() === node.value.toLowerCase()),
+  has: (note, node) => (note[node.value] || []).length > 0,
+  todo: (note, node) => (note.checklist || []).some(item => item.done === (node.value === 'done')),
+  // Notes stored before sources were recorded came from Apple Notes
+  sourced: (note, node) => (note.source || 'apple-notes') === node.value,
+  lang: (note, node) => (note.codeSnippets || []).some(snippet => snippet.language === node.value)
+};
+
+/**
+ * Count how many notes carry each tag
+ * @param {Array} notes - Matching notes
+ * @returns {Array} Tags as { name, count }, most used first
+ */
+function tagFacets(notes) {
+  const counts = new Map();
+  
+  notes.forEach(note => {
+    (note.tags || []).forEach(tag => {
+      // Tags differing only in case are the same tag
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { name: tag, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    });
+  });
+  
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Evaluate a query expression tree against the index
+ * @param {Object|null} node - AST node from parseQuery
+ * @param {Object} context - { idx, notes, notesById, languages, languageOf,
+ *   positions, negated, fuzzy }
+ * @returns {Map|null} Scores by note ID, or null if the node places no constraint
+ */
+function evaluateQuery(node, context) {
+  if (!node) {
+    return null;
+  }
+  
+  const { notes, notesById } = context;
+  
+  switch (node.type) {
+    case 'term':
+      return searchWords(node, context);
+      
+    case 'phrase': {
+      const matches = searchWords(node, context);
+      if (!matches) return null;
+      
+      // The index has no word positions, so check the phrase in the text
+      const result = new Map();
+      
+      matches.forEach((score, ref) => {
+        if (containsText(notesById.get(ref), node.fields, node.value)) {
+          result.set(ref, score);
+        }
+      });
+      
+      return result;
+    }
+    
+    case 'filter':
+    case 'date': {
+      const test = node.type === 'date'
+        ? (note) => {
+          const date = new Date(note[node.field]);
+          return (!node.range.start || date >= node.range.start) && (!node.range.end || date <= node.range.end);
+        }
+        : (note) => FILTERS[node.field](note, node);
+      
+      return new Map(notes.filter(test).map(note => [note.id, 0]));
+    }
+    
+    case 'not': {
+      const excluded = evaluateQuery(node.child, { ...context, negated: !context.negated });
+      if (!excluded) return null;
+      
+      return new Map(notes.filter(note => !excluded.has(note.id)).map(note => [note.id, 0]));
+    }
+    
+    case 'and': {
+      let result = null;
+      
+      node.children.forEach(child => {
+        const matches = evaluateQuery(child, context);
+        if (matches) {
+          result = result ? intersect(result, matches) : matches;
+        }
+      });
+      
+      return result;
+    }
+    
+    case 'or': {
+      let result = null;
+      
+      node.children.forEach(child => {
+        const matches = evaluateQuery(child, context);
+        if (matches) {
+          result = result || new Map();
+          matches.forEach((score, ref) => {
+            result.set(ref, (result.get(ref) || 0) + score);
+          });
+        }
+      });
+      
+      return result;
+    }
+    
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+/**
+ * Parse a search query string into an expression tree and sort order
+ * @param {string} queryString - Raw query string from user
+ * @returns {Object} Parsed query as { ast, sortBy }
+ * @throws {QuerySyntaxError} If the query is malformed
+ */
+function parseQuery(queryString) {
+  const { ast, sortBy } = parse(queryString);
+  
+  return {
+    ast,
+    sortBy: sortBy || 'relevance'
+  };
+}
+
 module.exports = {
+  INDEX_SCHEMA_VERSION,
   createEnhancedSearchIndex,
-  parseQuery
+  loadEnhancedSearchIndex,
+  computeNoteSetChecksum,
+  parseQuery,
+  correctQuery
 };
\ No newline at end of file
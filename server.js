@@ -0,0 +1,1090 @@
+#!/usr/bin/env node
+// server.js - MCP server exposing the indexer over stdio JSON-RPC
+
+const readline = require('readline');
+
+// stdout carries protocol messages only, so route all logging to stderr
+// before the indexer starts writing progress output
+console.log = console.error;
+console.info = console.error;
+
+const { configureStorage } = require('./storage');
+
+/**
+ * Read the storage options from the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} { directory, backend } for configureStorage
+ */
+function storageArguments(args) {
+  const options = {};
+  const flags = { '--storage-dir': 'directory', '--storage': 'backend' };
+  
+  args.forEach((arg, i) => {
+    const [flag, inline] = arg.split(/=(.*)/s);
+    const value = inline !== undefined ? inline : args[i + 1];
+    
+    if (flags[flag] && value) {
+      options[flags[flag]] = value;
+    }
+  });
+  
+  return options;
+}
+
+// Before the indexer opens its stores
+configureStorage(storageArguments(process.argv.slice(2)));
+
+const indexer = require('./index');
+const { qualifiedFolder } = require('./folders');
+const { loadConfig } = require('./config');
+const { PHASE_LABELS, watchSettings } = require('./scheduler');
+const {
+  NOTE_URI_PREFIX,
+  noteUri,
+  formatSearchResults,
+  formatSnippetResults,
+  formatNote,
+  formatFolderListing,
+  formatTaskList,
+  formatNoteHistory,
+  formatRelatedNotes,
+  formatDuplicates,
+  formatSavedSearches,
+  formatSavedSearch,
+  formatCancelResult,
+  formatImportResult,
+  formatWriteResult,
+  formatExportResult,
+  formatIndexStats
+} = require('./format');
+const { version } = require('./package.json');
+
+const SERVER_INFO = { name: 'apple-notes-indexer', version };
+
+// Protocol versions we can speak, newest first
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// MCP error code for an unknown resource URI
+const RESOURCE_NOT_FOUND = -32002;
+
+// Number of resources returned per resources/list page
+const RESOURCE_PAGE_SIZE = 100;
+
+/**
+ * Error raised by a handler that maps onto a JSON-RPC error response
+ */
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Note ID from a resource URI
+ * @param {string} uri - Resource URI
+ * @returns {string|null} Note ID, or null if the URI is not a note URI
+ */
+function noteIdFromUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(NOTE_URI_PREFIX)) {
+    return null;
+  }
+  
+  try {
+    return decodeURIComponent(uri.slice(NOTE_URI_PREFIX.length));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Turn a command result into an MCP tool result
+ * @param {Object} result - Command result with success/error/html fields
+ * @param {Function} format - Formats a successful result as text
+ * @returns {Object} MCP tool result
+ */
+function toToolResult(result, format) {
+  if (!result.success) {
+    return {
+      content: [{ type: 'text', text: `Error: ${result.error}` }],
+      isError: true
+    };
+  }
+  
+  // The HTML is meant for the Cursor webview, not the agent
+  const { html, success, ...data } = result;
+  
+  return {
+    content: [{ type: 'text', text: format(result) }],
+    structuredContent: JSON.parse(JSON.stringify(data))
+  };
+}
+
+/**
+ * Turn a sync's progress into MCP progress, which must increase with every
+ * notification: reading the notes counts as 0, each saved note as one step
+ * and building the search index as the last step
+ * @param {Object} progress - { phase, current, total, note } from the sync
+ * @returns {Object} { progress, total, message }
+ */
+function indexProgress({ phase, current, total, note }) {
+  if (phase === 'fetching') {
+    return { progress: 0, message: PHASE_LABELS.fetching };
+  }
+  if (phase === 'saving') {
+    return { progress: current, total: total + 1, message: note };
+  }
+  return { progress: total + 1, total: total + 1, message: PHASE_LABELS.indexing };
+}
+
+// Tools offered to the client. call receives the arguments and a context
+// with the request's abort signal and reportProgress, which sends progress
+// notifications when the client asked for them.
+const tools = [
+  {
+    name: 'indexNotes',
+    description: 'Index Apple Notes. Runs an incremental sync unless full is true. ' +
+      'Syncs run one at a time; searches use the previous index until a sync completes. ' +
+      'Set background to return at once and follow the sync with viewIndex, or stop it with cancelIndexing.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        full: {
+          type: 'boolean',
+          description: 'Rewrite every note instead of only new and changed ones'
+        },
+        background: {
+          type: 'boolean',
+          description: 'Return as soon as the sync is queued instead of when it completes'
+        }
+      },
+      additionalProperties: false
+    },
+    call: async (args, context) => toToolResult(
+      await indexer.indexNotes({
+        full: !!args.full,
+        background: !!args.background,
+        signal: context.signal,
+        onProgress: progress => context.reportProgress(indexProgress(progress))
+      }),
+      formatIndexStats
+    )
+  },
+  {
+    name: 'cancelIndexing',
+    description: 'Cancel the running sync and any sync queued behind it. A running sync stops at its next note, ' +
+      'keeping the notes saved so far; searches keep using the previous index.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    call: async () => toToolResult(await indexer.cancelIndexing(), formatCancelResult)
+  },
+  {
+    name: 'searchNotes',
+    description: 'Search indexed Apple Notes. Words are ANDed; the query also supports OR, NOT, ' +
+      '-term, "exact phrases", parentheses, title:/body: scoping, folder:"Work" (includes ' +
+      'subfolders; repeatable; -folder: excludes; folder:"iCloud/Work" for one account), ' +
+      'account:iCloud, tag:release, mention:@sam, has:checklist, todo:open, ' +
+      'created:/modified: dates such as modified:>7d or created:2024-01-01..2024-03-31, ' +
+      'and sort:dateNewest. Results include tag counts. Notes in German, French, Japanese ' +
+      'and other languages are matched in their own language. A query with few hits also ' +
+      'matches words with typos and longer words it starts (approximate is then true), and ' +
+      'didYouMean suggests the query with unknown words corrected.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search terms and operators'
+        },
+        folder: {
+          type: 'string',
+          description: 'Only return notes in this folder or its subfolders'
+        },
+        dateFrom: {
+          type: 'string',
+          format: 'date',
+          description: 'Only return notes modified on or after this date (YYYY-MM-DD)'
+        },
+        dateTo: {
+          type: 'string',
+          format: 'date',
+          description: 'Only return notes modified on or before this date (YYYY-MM-DD)'
+        },
+        sort: {
+          type: 'string',
+          enum: ['relevance', 'dateNewest', 'dateOldest', 'alphabetical'],
+          description: 'Result order'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of results to return (default 20)'
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Number of results to skip'
+        },
+        cursor: {
+          type: 'string',
+          description: 'nextCursor from a previous call, to fetch the following page'
+        },
+        exact: {
+          type: 'boolean',
+          description: 'Only match the words as written, without approximate matches'
+        }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    call: async (args) => {
+      const options = {
+        folder: args.folder,
+        sortBy: args.sort,
+        limit: args.limit,
+        offset: args.offset,
+        cursor: args.cursor,
+        exact: args.exact
+      };
+      
+      if (args.dateFrom || args.dateTo) {
+        options.dateRange = { start: args.dateFrom, end: args.dateTo };
+      }
+      
+      return toToolResult(
+        await indexer.searchNotes(args.query, options),
+        formatSearchResults
+      );
+    }
+  },
+  {
+    name: 'searchSnippets',
+    description: 'Search the code found in notes: monospaced text, fenced code and shell ' +
+      'commands, each with a guessed language. Takes the searchNotes query syntax plus ' +
+      'lang:sql (also shell, json, yaml, ini, javascript, python, html, css, dockerfile); ' +
+      'an empty query lists every snippet. Each result is the raw code, ready to insert ' +
+      'into a file, with the note it came from.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search terms, operators and filters such as lang:shell'
+        },
+        language: {
+          type: 'string',
+          description: 'Only return snippets in this language, e.g. sql or bash'
+        },
+        folder: {
+          type: 'string',
+          description: 'Only return snippets from notes in this folder or its subfolders'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of results to return (default 20)'
+        },
+        offset: {
+          type: 'integer',
+          minimum: 0,
+          description: 'Number of results to skip'
+        },
+        cursor: {
+          type: 'string',
+          description: 'nextCursor from a previous call, to fetch the following page'
+        }
+      },
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.searchSnippets(args.query, {
+        language: args.language,
+        folder: args.folder,
+        limit: args.limit,
+        offset: args.offset,
+        cursor: args.cursor
+      }),
+      formatSnippetResults
+    )
+  },
+  {
+    name: 'getNote',
+    description: 'Fetch one full note by ID, as returned by searchNotes or getNotesByFolder.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Note ID'
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'text', 'html'],
+          description: 'Body format of the text content (default markdown)'
+        }
+      },
+      required: ['id'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.getNote(args.id),
+      result => formatNote(result.note, args.format)
+    )
+  },
+  {
+    name: 'getNotesByFolder',
+    description: 'List the notes directly in a folder and its subfolders. Without a folder, ' +
+      'list every account with its folder tree and note counts.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        folder: {
+          type: 'string',
+          description: 'Folder path within the account, e.g. "Work/Projects"'
+        },
+        account: {
+          type: 'string',
+          description: 'Account name, e.g. "iCloud"; omit to list the folder in every account'
+        }
+      },
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.getNotesByFolder(args.folder, args.account),
+      formatFolderListing
+    )
+  },
+  {
+    name: 'listTasks',
+    description: 'List checklist items from indexed notes, grouped by folder and note. ' +
+      'Shows open items unless status says otherwise. query selects notes with the same ' +
+      'syntax as searchNotes, e.g. "tag:projectx" or "roadmap folder:Work".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['open', 'done', 'all'],
+          description: 'Which items to list (default open)'
+        },
+        query: {
+          type: 'string',
+          description: 'Only list tasks from notes matching this search query'
+        },
+        folder: {
+          type: 'string',
+          description: 'Only list tasks from notes in this folder or its subfolders'
+        },
+        dateFrom: {
+          type: 'string',
+          format: 'date',
+          description: 'Only list tasks from notes modified on or after this date (YYYY-MM-DD)'
+        },
+        dateTo: {
+          type: 'string',
+          format: 'date',
+          description: 'Only list tasks from notes modified on or before this date (YYYY-MM-DD)'
+        }
+      },
+      additionalProperties: false
+    },
+    call: async (args) => {
+      const options = {
+        status: args.status,
+        query: args.query,
+        folder: args.folder
+      };
+      
+      if (args.dateFrom || args.dateTo) {
+        options.dateRange = { start: args.dateFrom, end: args.dateTo };
+      }
+      
+      return toToolResult(await indexer.listTasks(options), formatTaskList);
+    }
+  },
+  {
+    name: 'noteHistory',
+    description: 'List the earlier revisions of a note kept by the indexer, and show a line diff ' +
+      'of its Markdown between two of them. Without from and to, compares the newest ' +
+      'revision with the current note.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Note ID, as returned by searchNotes'
+        },
+        from: {
+          anyOf: [{ type: 'integer', minimum: 1 }, { type: 'string', enum: ['current'] }],
+          description: 'Revision number to compare from, or "current" for the note as last ' +
+            'indexed (default the newest revision)'
+        },
+        to: {
+          anyOf: [{ type: 'integer', minimum: 1 }, { type: 'string', enum: ['current'] }],
+          description: 'Revision number to compare to, or "current" (the default)'
+        }
+      },
+      required: ['id'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.noteHistory(args.id, { from: args.from, to: args.to }),
+      formatNoteHistory
+    )
+  },
+  {
+    name: 'relatedNotes',
+    description: 'Find the notes most similar to a note, scored from 0 to 1 by the words they ' +
+      'share, with rare words counting most. Lists the shared terms (stemmed) behind each score.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Note ID, as returned by searchNotes'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of notes to return (default 10)'
+        }
+      },
+      required: ['id'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.relatedNotes(args.id, { limit: args.limit }),
+      formatRelatedNotes
+    )
+  },
+  {
+    name: 'findDuplicates',
+    description: 'Report groups of near-identical notes, such as copies of the same note kept ' +
+      'in different folders or accounts.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        threshold: {
+          type: 'number',
+          minimum: 0.5,
+          maximum: 1,
+          description: 'How similar two notes must be to be grouped, from 0.5 to 1 (default 0.9)'
+        },
+        folder: {
+          type: 'string',
+          description: 'Only compare notes in this folder and its subfolders'
+        }
+      },
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.findDuplicates({ threshold: args.threshold, folder: args.folder }),
+      formatDuplicates
+    )
+  },
+  {
+    name: 'listSavedSearches',
+    description: 'List the saved searches, pinned ones first, with the number of notes each ' +
+      'matches and how many of them are new since it was last run, and the queries searched ' +
+      'recently with how often each was used.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    call: async () => toToolResult(await indexer.listSavedSearches(), formatSavedSearches)
+  },
+  {
+    name: 'runSavedSearch',
+    description: 'Run a saved search by name. Results are paged like searchNotes, with exact ' +
+      'matches only; notes the search did not match when it was last run are marked new.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the saved search, as returned by listSavedSearches'
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Maximum number of results to return (default 20)'
+        },
+        cursor: {
+          type: 'string',
+          description: 'nextCursor from a previous call, to fetch the following page'
+        }
+      },
+      required: ['name'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.runSavedSearch(args.name, { limit: args.limit, cursor: args.cursor }),
+      formatSearchResults
+    )
+  },
+  {
+    name: 'saveSearch',
+    description: 'Save a searchNotes query under a name to run it again later, or change the ' +
+      'query of a saved search or pin it to the top of the list. Notes the query matches now ' +
+      'count as seen; later matches are reported as new.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the saved search'
+        },
+        query: {
+          type: 'string',
+          description: 'Query in searchNotes syntax; required for a new saved search'
+        },
+        pinned: {
+          type: 'boolean',
+          description: 'Whether to list the search first'
+        }
+      },
+      required: ['name'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.saveSearch(args.name, { query: args.query, pinned: args.pinned }),
+      formatSavedSearch
+    )
+  },
+  {
+    name: 'deleteSavedSearch',
+    description: 'Remove a saved search.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'Name of the saved search'
+        }
+      },
+      required: ['name'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.deleteSavedSearch(args.name),
+      () => `Deleted the saved search "${args.name}".`
+    )
+  },
+  {
+    name: 'importNotes',
+    description: 'Import notes from an Evernote export (.enex file) or a folder of Markdown ' +
+      'files such as an Obsidian vault, so they can be searched next to Apple Notes. ' +
+      'Importing the same path again updates the notes instead of duplicating them.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: {
+          type: 'string',
+          description: 'Path of the .enex file or Markdown folder'
+        },
+        type: {
+          type: 'string',
+          enum: ['enex', 'markdown'],
+          description: 'What the path holds; detected from the path by default'
+        }
+      },
+      required: ['path'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.importNotes(args.path, { type: args.type }),
+      formatImportResult
+    )
+  },
+  {
+    name: 'createNote',
+    description: 'Create an Apple Note from Markdown, e.g. a summary, a TODO list or a code snippet. ' +
+      'Called without confirm it writes nothing and returns a preview with a confirmation token. ' +
+      'Show the preview to the user and only call again with confirm set to the token once they approve.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Title of the note, its first line'
+        },
+        content: {
+          type: 'string',
+          description: 'Body of the note as Markdown; "- [ ]" items become checklist items'
+        },
+        folder: {
+          type: 'string',
+          description: 'Folder path, e.g. "Work/Projects"; created if missing (default Notes)'
+        },
+        account: {
+          type: 'string',
+          description: 'Account name, e.g. "iCloud" (default: the default account)'
+        },
+        confirm: {
+          type: 'string',
+          description: 'Confirmation token from the preview of exactly this note'
+        }
+      },
+      required: ['title', 'content'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.createNote({
+        title: args.title,
+        content: args.content,
+        folder: args.folder,
+        account: args.account,
+        confirm: args.confirm
+      }),
+      formatWriteResult
+    )
+  },
+  {
+    name: 'appendToNote',
+    description: 'Add Markdown to the end of an Apple Note. Fails rather than overwrite a note ' +
+      'changed since it was read. Called without confirm it writes nothing and returns a preview ' +
+      'with a confirmation token. Show the preview to the user and only call again with confirm ' +
+      'set to the token once they approve.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Note ID'
+        },
+        content: {
+          type: 'string',
+          description: 'Markdown to add after the current content'
+        },
+        modificationDate: {
+          type: 'string',
+          description: 'modificationDate of the note as getNote returned it (default: as last indexed)'
+        },
+        confirm: {
+          type: 'string',
+          description: 'Confirmation token from the preview of exactly this change'
+        }
+      },
+      required: ['id', 'content'],
+      additionalProperties: false
+    },
+    call: async (args) => toToolResult(
+      await indexer.appendToNote(args.id, {
+        content: args.content,
+        modificationDate: args.modificationDate,
+        confirm: args.confirm
+      }),
+      formatWriteResult
+    )
+  },
+  {
+    name: 'exportNotes',
+    description: 'Write the notes matching a search query and/or in a folder to a directory, ' +
+      'as Markdown files with YAML front matter, a single JSON bundle or a static HTML site. ' +
+      'File names are stable, so exporting again only changes the files of changed notes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        directory: {
+          type: 'string',
+          description: 'Directory to write to; created if missing'
+        },
+        query: {
+          type: 'string',
+          description: 'Export the notes matching this search query'
+        },
+        folder: {
+          type: 'string',
+          description: 'Export the notes in this folder and its subfolders'
+        },
+        format: {
+          type: 'string',
+          enum: ['markdown', 'json', 'html'],
+          description: 'Output format (default markdown)'
+        },
+        dateFrom: {
+          type: 'string',
+          format: 'date',
+          description: 'Only export notes modified on or after this date (YYYY-MM-DD)'
+        },
+        dateTo: {
+          type: 'string',
+          format: 'date',
+          description: 'Only export notes modified on or before this date (YYYY-MM-DD)'
+        }
+      },
+      required: ['directory'],
+      additionalProperties: false
+    },
+    call: async (args) => {
+      const options = {
+        directory: args.directory,
+        query: args.query,
+        folder: args.folder,
+        format: args.format
+      };
+      
+      if (args.dateFrom || args.dateTo) {
+        options.dateRange = { start: args.dateFrom, end: args.dateTo };
+      }
+      
+      return toToolResult(await indexer.exportNotes(options), formatExportResult);
+    }
+  },
+  {
+    name: 'viewIndex',
+    description: 'Show the status of the Apple Notes index.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false
+    },
+    call: async () => toToolResult(await indexer.viewIndex(), formatIndexStats)
+  }
+];
+
+/**
+ * Check an argument value against the parts of a property schema we use
+ * @param {Object} schema - Property schema
+ * @param {*} value - Argument value
+ * @returns {string|null} What the value must be, or null if it is valid
+ */
+function schemaError(schema, value) {
+  if (schema.anyOf) {
+    const errors = schema.anyOf.map(option => schemaError(option, value));
+    return errors.every(Boolean) ? errors.join(', or ') : null;
+  }
+  
+  const valid = schema.type === 'integer'
+    ? Number.isInteger(value)
+    : typeof value === schema.type;
+  
+  if (!valid) {
+    return `must be of type ${schema.type}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of: ${schema.enum.join(', ')}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `must be at least ${schema.minimum}`;
+  }
+  return null;
+}
+
+/**
+ * Check tool arguments against the parts of the input schema we use
+ * @param {Object} tool - Tool definition
+ * @param {Object} args - Arguments from the client
+ */
+function validateArguments(tool, args) {
+  const { properties, required = [], additionalProperties } = tool.inputSchema;
+  
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    throw new RpcError(INVALID_PARAMS, 'Tool arguments must be an object');
+  }
+  
+  for (const name of required) {
+    if (args[name] === undefined) {
+      throw new RpcError(INVALID_PARAMS, `Missing required argument: ${name}`);
+    }
+  }
+  
+  for (const [name, value] of Object.entries(args)) {
+    const schema = properties[name];
+    
+    if (!schema) {
+      if (additionalProperties === false) {
+        throw new RpcError(INVALID_PARAMS, `Unknown argument: ${name}`);
+      }
+      continue;
+    }
+    
+    const error = schemaError(schema, value);
+    
+    if (error) {
+      throw new RpcError(INVALID_PARAMS, `Argument ${name} ${error}`);
+    }
+  }
+}
+
+// Abort controllers of the tool calls still running, by request ID
+const runningCalls = new Map();
+
+// Request handlers by method name. Handlers receive the params and
+// { id, notify } for the request, where notify sends a notification.
+const handlers = {
+  initialize: async (params = {}) => ({
+    protocolVersion: PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : PROTOCOL_VERSIONS[0],
+    capabilities: {
+      tools: {},
+      resources: {}
+    },
+    serverInfo: SERVER_INFO
+  }),
+  
+  ping: async () => ({}),
+  
+  'tools/list': async () => ({
+    tools: tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+  }),
+  
+  'tools/call': async (params = {}, request = {}) => {
+    const tool = tools.find(t => t.name === params.name);
+    
+    if (!tool) {
+      throw new RpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+    
+    const args = params.arguments || {};
+    validateArguments(tool, args);
+    
+    const controller = new AbortController();
+    const progressToken = params._meta ? params._meta.progressToken : undefined;
+    const context = {
+      signal: controller.signal,
+      reportProgress: progress => {
+        if (progressToken !== undefined && request.notify) {
+          request.notify('notifications/progress', { progressToken, ...progress });
+        }
+      }
+    };
+    
+    runningCalls.set(request.id, controller);
+    
+    try {
+      return await tool.call(args, context);
+    } catch (error) {
+      // Tool failures are reported to the model, not as protocol errors
+      return {
+        content: [{ type: 'text', text: `Error: ${error.message}` }],
+        isError: true
+      };
+    } finally {
+      runningCalls.delete(request.id);
+    }
+  }
+};
+
+// Notification handlers by method name
+const notificationHandlers = {
+  // The client gave up on a request; abort it if it is still running
+  'notifications/cancelled': (params = {}) => {
+    const controller = runningCalls.get(params.requestId);
+    
+    if (controller) {
+      controller.abort();
+    }
+  }
+};
+
+// Resource handlers: every indexed note is a Markdown resource
+Object.assign(handlers, {
+  'resources/list': async (params = {}) => {
+    const notes = await indexer.listNotes();
+    const offset = params.cursor ? parseInt(params.cursor, 10) : 0;
+    
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new RpcError(INVALID_PARAMS, 'Invalid cursor');
+    }
+    
+    const page = notes.slice(offset, offset + RESOURCE_PAGE_SIZE);
+    const result = {
+      resources: page.map(note => ({
+        uri: noteUri(note.id),
+        name: note.name,
+        description: `Apple Note in folder "${qualifiedFolder(note)}"`,
+        mimeType: 'text/markdown'
+      }))
+    };
+    
+    if (offset + RESOURCE_PAGE_SIZE < notes.length) {
+      result.nextCursor = String(offset + RESOURCE_PAGE_SIZE);
+    }
+    
+    return result;
+  },
+  
+  'resources/templates/list': async () => ({
+    resourceTemplates: [
+      {
+        uriTemplate: `${NOTE_URI_PREFIX}{id}`,
+        name: 'Apple Note',
+        description: 'An indexed Apple Note as Markdown, by note ID',
+        mimeType: 'text/markdown'
+      }
+    ]
+  }),
+  
+  'resources/read': async (params = {}) => {
+    const id = noteIdFromUri(params.uri);
+    const result = id ? await indexer.getNote(id) : null;
+    
+    if (!result || !result.success) {
+      throw new RpcError(RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`);
+    }
+    
+    return {
+      contents: [
+        {
+          uri: params.uri,
+          mimeType: 'text/markdown',
+          text: formatNote(result.note, 'markdown')
+        }
+      ]
+    };
+  }
+});
+
+/**
+ * Check whether a message is a notification, which gets no response
+ * @param {Object} message - Parsed JSON-RPC message
+ * @returns {boolean} True for a well-formed notification
+ */
+function isNotification(message) {
+  return !!message && message.jsonrpc === '2.0' && typeof message.method === 'string' &&
+    (message.id === undefined || message.id === null);
+}
+
+/**
+ * Handle one JSON-RPC message
+ * @param {Object} message - Parsed JSON-RPC message
+ * @param {Function} notify - Sends a notification with (method, params)
+ * @returns {Promise} Resolves with the response, or null for notifications
+ */
+async function handleMessage(message, notify) {
+  const isRequest = message && message.id !== undefined && message.id !== null;
+  
+  if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    // Responses from the client (we send no requests) are ignored
+    if (message && message.jsonrpc === '2.0' && message.method === undefined) {
+      return null;
+    }
+    return errorResponse(isRequest ? message.id : null, INVALID_REQUEST, 'Invalid request');
+  }
+  
+  const handler = handlers[message.method];
+  
+  // Notifications such as notifications/initialized need no reply
+  if (!isRequest) {
+    if (notificationHandlers[message.method]) {
+      notificationHandlers[message.method](message.params);
+    }
+    return null;
+  }
+  
+  if (!handler) {
+    return errorResponse(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+  }
+  
+  try {
+    const result = await handler(message.params, { id: message.id, notify });
+    return { jsonrpc: '2.0', id: message.id, result };
+  } catch (error) {
+    const code = error instanceof RpcError ? error.code : INTERNAL_ERROR;
+    return errorResponse(message.id, code, error.message);
+  }
+}
+
+/**
+ * Build a JSON-RPC error response
+ * @param {string|number|null} id - Request ID
+ * @param {number} code - Error code
+ * @param {string} message - Error message
+ * @returns {Object} Error response
+ */
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Serve newline-delimited JSON-RPC on the given streams
+ * @param {Stream} input - Readable stream (stdin)
+ * @param {Stream} output - Writable stream (stdout)
+ */
+function startServer(input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input, terminal: false });
+  
+  // Requests run side by side, each answered by its ID when it finishes:
+  // a search or cancelIndexing must not wait for a sync to end. Syncs and
+  // imports are ordered by the index lock and scheduler, not here.
+  const outstanding = new Set();
+  
+  const send = (response) => {
+    if (response) {
+      output.write(JSON.stringify(response) + '\n');
+    }
+  };
+  
+  const notify = (method, params) => send({ jsonrpc: '2.0', method, params });
+  
+  rl.on('line', (line) => {
+    if (!line.trim()) {
+      return;
+    }
+    
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(errorResponse(null, PARSE_ERROR, 'Parse error'));
+      return;
+    }
+    
+    // Notifications need no reply, such as a cancellation reaching the
+    // request it cancels while that request is still running
+    if (isNotification(message)) {
+      handleMessage(message, notify);
+      return;
+    }
+    
+    const request = handleMessage(message, notify).then(send);
+    
+    outstanding.add(request);
+    request.finally(() => outstanding.delete(request));
+  });
+  
+  // Finish outstanding requests and stop background syncs before exiting
+  // when the client hangs up (the empty write flushes stdout, which is
+  // asynchronous for pipes)
+  rl.on('close', () => Promise.all([...outstanding])
+    .then(() => indexer.shutdown())
+    .then(() => output.write('', () => process.exit(0))));
+}
+
+/**
+ * Start syncing in the background when the configuration file asks for it
+ * (watch.enabled)
+ */
+function startBackgroundSync() {
+  try {
+    if (watchSettings(loadConfig()).enabled) {
+      indexer.startWatching();
+    }
+  } catch (error) {
+    console.error('Background sync not started:', error.message);
+  }
+}
+
+if (require.main === module) {
+  startServer();
+  startBackgroundSync();
+}
+
+module.exports = {
+  handleMessage,
+  startServer,
+  tools
+};
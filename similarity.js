@@ -0,0 +1,299 @@
+// similarity.js - Related notes and near-duplicates, compared by the terms
+// the search index holds for each note
+
+// Weight of each field when comparing notes for relatedness. The index
+// boosts title terms tenfold to rank search results; here a title term
+// counts about twice a body term. Folders are left out, or every note would
+// look related to the rest of its folder.
+const RELATED_FIELDS = { name: 0.2, body: 1 };
+
+// Fields whose words are counted when looking for duplicates
+const DUPLICATE_FIELDS = ['name', 'body'];
+
+// Related notes listed unless asked otherwise
+const DEFAULT_RELATED_LIMIT = 10;
+
+// Notes sharing less than this are not worth suggesting as related
+const MIN_RELATED_SCORE = 0.05;
+
+// Terms listed with each related note as the reason it was picked
+const SHARED_TERMS = 5;
+
+// Similarity two notes need to count as duplicates unless asked otherwise
+const DEFAULT_DUPLICATE_THRESHOLD = 0.9;
+
+/**
+ * Sparse vector from term weights
+ * @param {Map} weights - Weight by term index
+ * @returns {Object} { terms, weights, norm, length } with terms in ascending
+ *   order and length the sum of the weights
+ */
+function sparseVector(weights) {
+  const terms = [...weights.keys()].sort((a, b) => a - b);
+  const values = terms.map(term => weights.get(term));
+  
+  return {
+    terms,
+    weights: values,
+    norm: Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)),
+    length: values.reduce((sum, value) => sum + value, 0)
+  };
+}
+
+/**
+ * Terms two vectors share, with the product of their weights
+ * @param {Object} a - Sparse vector
+ * @param {Object} b - Sparse vector
+ * @returns {Array} [term, product] pairs in term order
+ */
+function sharedWeights(a, b) {
+  const shared = [];
+  let i = 0;
+  let j = 0;
+  
+  while (i < a.terms.length && j < b.terms.length) {
+    if (a.terms[i] < b.terms[j]) {
+      i++;
+    } else if (a.terms[i] > b.terms[j]) {
+      j++;
+    } else {
+      shared.push([a.terms[i], a.weights[i] * b.weights[j]]);
+      i++;
+      j++;
+    }
+  }
+  
+  return shared;
+}
+
+/**
+ * Cosine similarity of two sparse vectors
+ * @param {Object} a - Sparse vector
+ * @param {Object} b - Sparse vector
+ * @returns {number} 0 for nothing in common to 1 for the same direction
+ */
+function cosine(a, b) {
+  if (!a.norm || !b.norm) {
+    return 0;
+  }
+  
+  let dot = 0;
+  let i = 0;
+  let j = 0;
+  
+  while (i < a.terms.length && j < b.terms.length) {
+    if (a.terms[i] < b.terms[j]) {
+      i++;
+    } else if (a.terms[i] > b.terms[j]) {
+      j++;
+    } else {
+      dot += a.weights[i++] * b.weights[j++];
+    }
+  }
+  
+  // Rounding can take identical vectors a hair past 1
+  return Math.min(1, dot / (a.norm * b.norm));
+}
+
+// Field and note ID of a lunr field reference; IDs may contain slashes
+function splitFieldRef(fieldRef) {
+  const slash = fieldRef.indexOf('/');
+  return [fieldRef.slice(0, slash), fieldRef.slice(slash + 1)];
+}
+
+/**
+ * Compares the notes in a Lunr index. Vectors are worked out on first use
+ * and kept for the life of the index.
+ * @param {lunr.Index} idx - Built or loaded Lunr index
+ * @returns {Object} { related, duplicates }
+ */
+function createNoteSimilarity(idx) {
+  let relatedVectors = null;
+  let countVectors = null;
+  let termNames = null;
+  
+  // TF-IDF vectors the index scores searches with, title and body combined,
+  // so words common to many notes count for little
+  function getRelatedVectors() {
+    if (!relatedVectors) {
+      const weights = new Map();
+      
+      Object.entries(idx.fieldVectors).forEach(([fieldRef, vector]) => {
+        const [field, ref] = splitFieldRef(fieldRef);
+        const fieldWeight = RELATED_FIELDS[field];
+        
+        if (!fieldWeight) {
+          return;
+        }
+        if (!weights.has(ref)) {
+          weights.set(ref, new Map());
+        }
+        
+        const noteWeights = weights.get(ref);
+        const { elements } = vector;
+        
+        for (let i = 0; i < elements.length; i += 2) {
+          noteWeights.set(elements[i], (noteWeights.get(elements[i]) || 0) + elements[i + 1] * fieldWeight);
+        }
+      });
+      
+      relatedVectors = new Map([...weights].map(([ref, noteWeights]) => [ref, sparseVector(noteWeights)]));
+    }
+    return relatedVectors;
+  }
+  
+  // How often each word occurs in each note. Copies share their common
+  // words too, which TF-IDF would discount.
+  function getCountVectors() {
+    if (!countVectors) {
+      const counts = new Map();
+      
+      Object.values(idx.invertedIndex).forEach(posting => {
+        DUPLICATE_FIELDS.forEach(field => {
+          Object.entries(posting[field] || {}).forEach(([ref, metadata]) => {
+            if (!counts.has(ref)) {
+              counts.set(ref, new Map());
+            }
+            
+            const noteCounts = counts.get(ref);
+            const count = metadata.position ? metadata.position.length : 1;
+            noteCounts.set(posting._index, (noteCounts.get(posting._index) || 0) + count);
+          });
+        });
+      });
+      
+      countVectors = new Map([...counts].map(([ref, noteCounts]) => [ref, sparseVector(noteCounts)]));
+    }
+    return countVectors;
+  }
+  
+  function termName(term) {
+    if (!termNames) {
+      termNames = [];
+      Object.entries(idx.invertedIndex).forEach(([name, posting]) => {
+        termNames[posting._index] = name;
+      });
+    }
+    return termNames[term];
+  }
+  
+  return {
+    /**
+     * Notes most similar to one note
+     * @param {string} ref - ID of the note
+     * @param {Object} options - { limit }
+     * @returns {Array|null} { ref, score, sharedTerms } best first, where
+     *   sharedTerms are the stemmed terms contributing most to the score;
+     *   null if the note is not in the index
+     */
+    related(ref, options = {}) {
+      const vectors = getRelatedVectors();
+      const target = vectors.get(ref);
+      
+      if (!target) {
+        return null;
+      }
+      
+      const limit = options.limit || DEFAULT_RELATED_LIMIT;
+      const scored = [];
+      
+      vectors.forEach((vector, other) => {
+        if (other !== ref) {
+          const score = cosine(target, vector);
+          
+          if (score >= MIN_RELATED_SCORE) {
+            scored.push({ ref: other, score, vector });
+          }
+        }
+      });
+      
+      return scored
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ ref: other, score, vector }) => ({
+          ref: other,
+          score: Math.round(score * 1000) / 1000,
+          sharedTerms: sharedWeights(target, vector)
+            .filter(([term]) => termName(term))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, SHARED_TERMS)
+            .map(([term]) => termName(term))
+        }));
+    },
+    
+    /**
+     * Groups of notes with nearly the same words. Two notes are linked when
+     * their word counts are at least `threshold` similar and neither is much
+     * longer than the other; linked notes form a group.
+     * @param {Object} options - { threshold, refs } where refs limits the
+     *   notes compared
+     * @returns {Array} { refs, similarity } largest groups first, where
+     *   similarity is the lowest between two linked notes in the group
+     */
+    duplicates(options = {}) {
+      const threshold = options.threshold || DEFAULT_DUPLICATE_THRESHOLD;
+      const vectors = getCountVectors();
+      const refs = options.refs || [...vectors.keys()];
+      
+      // Shortest first, so each note is only compared with the notes after
+      // it up to the longest a duplicate of it can be
+      const entries = refs
+        .filter(ref => vectors.has(ref) && vectors.get(ref).norm > 0)
+        .map(ref => ({ ref, vector: vectors.get(ref) }))
+        .sort((a, b) => a.vector.length - b.vector.length);
+      
+      const parents = entries.map((entry, i) => i);
+      const find = i => {
+        while (parents[i] !== i) {
+          parents[i] = parents[parents[i]];
+          i = parents[i];
+        }
+        return i;
+      };
+      
+      const links = [];
+      
+      for (let i = 0; i < entries.length; i++) {
+        // Lengths may differ by the threshold squared, so a short note and
+        // its copy with a couple of words added still get compared
+        const longest = entries[i].vector.length / (threshold * threshold);
+        
+        for (let j = i + 1; j < entries.length && entries[j].vector.length <= longest; j++) {
+          const similarity = cosine(entries[i].vector, entries[j].vector);
+          
+          if (similarity >= threshold) {
+            links.push({ i, similarity });
+            parents[find(j)] = find(i);
+          }
+        }
+      }
+      
+      const groups = new Map();
+      
+      links.forEach(({ i, similarity }) => {
+        const root = find(i);
+        const group = groups.get(root) || { refs: [], similarity: 1 };
+        group.similarity = Math.min(group.similarity, similarity);
+        groups.set(root, group);
+      });
+      
+      entries.forEach((entry, i) => {
+        const group = groups.get(find(i));
+        
+        if (group) {
+          group.refs.push(entry.ref);
+        }
+      });
+      
+      return [...groups.values()]
+        .map(group => ({ ...group, similarity: Math.round(group.similarity * 1000) / 1000 }))
+        .sort((a, b) => b.refs.length - a.refs.length || b.similarity - a.similarity);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RELATED_LIMIT,
+  DEFAULT_DUPLICATE_THRESHOLD,
+  createNoteSimilarity
+};
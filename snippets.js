@@ -0,0 +1,164 @@
+// snippets.js - Build match snippets with highlighted terms
+
+// Default snippet window size in characters
+const SNIPPET_LENGTH = 160;
+
+// Default number of snippets per note
+const MAX_SNIPPETS = 3;
+
+/**
+ * Sort match positions and merge overlapping or touching ones
+ * @param {Array} positions - [start, length] pairs
+ * @returns {Array} Ranges as { start, end }
+ */
+function mergeRanges(positions) {
+  const sorted = positions
+    .map(([start, length]) => ({ start, end: start + length }))
+    .sort((a, b) => a.start - b.start);
+  
+  return sorted.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    
+    return merged;
+  }, []);
+}
+
+/**
+ * Move window edges onto word boundaries so words are not cut in half
+ * @param {string} text - Full text
+ * @param {number} start - Window start
+ * @param {number} end - Window end
+ * @param {Array} ranges - Match ranges that must stay inside the window
+ * @returns {Object} Adjusted { start, end }
+ */
+function snapToWords(text, start, end, ranges) {
+  const inside = ranges.filter(range => range.start >= start && range.end <= end);
+  const firstMatch = inside.length > 0 ? inside[0].start : end;
+  const lastMatch = inside.length > 0 ? inside[inside.length - 1].end : start;
+  
+  if (start > 0 && !/\s/.test(text[start - 1])) {
+    const space = text.slice(start, firstMatch).search(/\s/);
+    if (space !== -1) {
+      start += space + 1;
+    }
+  }
+  
+  if (end < text.length && !/\s/.test(text[end])) {
+    const tail = text.slice(lastMatch, end);
+    const space = tail.search(/\s\S*$/);
+    if (space !== -1) {
+      end = lastMatch + space;
+    }
+  }
+  
+  return { start, end };
+}
+
+/**
+ * Cut a snippet out of the text and record its highlights
+ * @param {string} text - Full text
+ * @param {number} start - Snippet start
+ * @param {number} end - Snippet end
+ * @param {Array} ranges - All match ranges
+ * @returns {Object} Snippet
+ */
+function makeSnippet(text, start, end, ranges) {
+  return {
+    // Whitespace is flattened one character at a time so offsets still line up
+    text: text.slice(start, end).replace(/\s/g, ' '),
+    highlights: ranges
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => [range.start - start, range.end - range.start]),
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length
+  };
+}
+
+/**
+ * Pick the windows of the text that contain the most matches
+ * @param {string} text - Note text the positions refer to
+ * @param {Array} positions - Match positions as [start, length] pairs
+ * @param {Object} options - Snippet options
+ * @param {number} options.length - Window size in characters
+ * @param {number} options.max - Maximum number of snippets
+ * @returns {Array} Snippets as { text, highlights, truncatedStart, truncatedEnd },
+ *   with highlights as [start, length] pairs relative to the snippet text
+ */
+function buildSnippets(text, positions = [], options = {}) {
+  const { length = SNIPPET_LENGTH, max = MAX_SNIPPETS } = options;
+  
+  if (!text) {
+    return [];
+  }
+  
+  const ranges = mergeRanges(positions);
+  
+  // Without matches in the text, show its beginning
+  if (ranges.length === 0) {
+    const { end } = snapToWords(text, 0, Math.min(text.length, length), []);
+    return [makeSnippet(text, 0, end, [])];
+  }
+  
+  // One candidate window per match, with the match a third of the way in
+  const candidates = ranges.map(range => {
+    const lead = Math.max(0, Math.floor((length - (range.end - range.start)) / 3));
+    const start = Math.max(0, Math.min(range.start - lead, text.length - length));
+    const end = Math.min(text.length, start + length);
+    const count = ranges.filter(other => other.start >= start && other.end <= end).length;
+    
+    return { start, end, count };
+  });
+  
+  candidates.sort((a, b) => b.count - a.count || a.start - b.start);
+  
+  const chosen = [];
+  for (const candidate of candidates) {
+    if (chosen.length >= max) break;
+    
+    const overlaps = chosen.some(window => candidate.start < window.end && candidate.end > window.start);
+    if (!overlaps) {
+      chosen.push(candidate);
+    }
+  }
+  
+  return chosen
+    .sort((a, b) => a.start - b.start)
+    .map(window => {
+      const { start, end } = snapToWords(text, window.start, window.end, ranges);
+      return makeSnippet(text, start, end, ranges);
+    });
+}
+
+/**
+ * Render a snippet with its highlights wrapped in markers
+ * @param {Object} snippet - Snippet from buildSnippets
+ * @param {string} open - Text placed before each highlight
+ * @param {string} close - Text placed after each highlight
+ * @param {Function} escape - Applied to the snippet text (not the markers)
+ * @returns {string} Rendered snippet with ellipses where it was cut
+ */
+function renderSnippet(snippet, open, close, escape = text => text) {
+  const { text, highlights } = snippet;
+  let output = snippet.truncatedStart ? '…' : '';
+  let pos = 0;
+  
+  highlights.forEach(([start, length]) => {
+    output += escape(text.slice(pos, start)) + open + escape(text.slice(start, start + length)) + close;
+    pos = start + length;
+  });
+  
+  output += escape(text.slice(pos));
+  
+  return snippet.truncatedEnd ? output + '…' : output;
+}
+
+module.exports = {
+  buildSnippets,
+  renderSnippet
+};
@@ -0,0 +1,515 @@
+// sources.js - Note sources that feed the indexer
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { isTrashFolder, splitPath } = require('./folders');
+
+// Account given to notes read from disk that do not name one
+const LOCAL_ACCOUNT = 'On My Mac';
+
+// Values of the source field of fetched notes, by source
+const APPLE_NOTES_SOURCE = 'apple-notes';
+const FILESYSTEM_SOURCE = 'filesystem';
+
+// Where Apple Notes keeps its database (NoteStore.sqlite and its journal)
+const APPLE_NOTES_CONTAINER = path.join(os.homedir(), 'Library', 'Group Containers', 'group.com.apple.notes');
+
+/**
+ * Error raised when a note about to be written changed in its source since
+ * it was read, so writing would overwrite those changes
+ */
+class NoteConflictError extends Error {
+  /**
+   * @param {Object} note - The note as it was read
+   * @param {Date|string} modificationDate - When the source last changed it
+   */
+  constructor(note, modificationDate) {
+    super(`"${note.name}" changed since it was read (modified ${new Date(modificationDate).toISOString()}). ` +
+      'Read it again before writing to it.');
+    this.name = 'NoteConflictError';
+    this.modificationDate = new Date(modificationDate);
+  }
+}
+
+// Check whether a note's source still has the version that was read
+function isSameVersion(note, modificationDate) {
+  return new Date(note.modificationDate).getTime() === new Date(modificationDate).getTime();
+}
+
+/**
+ * Drop notes in the trash unless they were asked for
+ * @param {Array} notes - Fetched notes
+ * @param {boolean} includeTrash - Keep notes in Recently Deleted
+ * @returns {Array} Notes to index
+ */
+function withoutTrash(notes, includeTrash) {
+  return includeTrash ? notes : notes.filter(note => !isTrashFolder(note.folder));
+}
+
+/**
+ * Note source backed by Apple Notes, read through JXA.
+ * Only works on macOS with Automation permission for Notes.
+ */
+class JxaNoteSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {boolean} options.includeTrash - Also index Recently Deleted
+   */
+  constructor(options = {}) {
+    this.name = 'jxa';
+    this.includeTrash = !!options.includeTrash;
+  }
+  
+  /**
+   * Retrieve all notes from Apple Notes
+   * @returns {Promise} Resolves with array of notes
+   */
+  async fetchNotes() {
+    // Loaded lazily so other sources work where node-jxa is unavailable
+    const jxa = require('node-jxa');
+    
+    try {
+      const notes = await jxa.run(() => {
+        const app = Application('Notes');
+        app.includeStandardAdditions = true;
+        
+        const allNotes = [];
+        const visited = {};
+        
+        // Full path of a folder from the top of its account
+        const folderPath = (folder) => {
+          const names = [folder.name()];
+          let parent = folder.container();
+          
+          while (parent.class() === 'folder') {
+            names.unshift(parent.name());
+            parent = parent.container();
+          }
+          
+          return names.join('/');
+        };
+        
+        // Walk every account's folders, including nested ones
+        app.accounts().forEach(account => {
+          const accountName = account.name();
+          
+          const visit = (folder) => {
+            // Nested folders may be listed both at the top and under their parent
+            if (visited[folder.id()]) return;
+            visited[folder.id()] = true;
+            
+            const path = folderPath(folder);
+            
+            folder.notes().forEach(note => {
+              allNotes.push({
+                id: note.id(),
+                name: note.name(),
+                body: note.body(),
+                creationDate: note.creationDate(),
+                modificationDate: note.modificationDate(),
+                folder: path,
+                account: accountName
+              });
+            });
+            
+            folder.folders().forEach(visit);
+          };
+          
+          account.folders().forEach(visit);
+        });
+        
+        return allNotes;
+      });
+      
+      return withoutTrash(notes.map(note => ({ ...note, source: APPLE_NOTES_SOURCE })), this.includeTrash);
+    } catch (error) {
+      // Rethrow rather than returning an empty list, which would be
+      // treated as every note having been deleted
+      console.error('Error fetching notes:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Paths whose changes mean notes changed: Apple Notes writes its
+   * database on every edit
+   * @returns {Array} { path, recursive } for the scheduler to watch
+   */
+  watchPaths() {
+    return [{ path: APPLE_NOTES_CONTAINER, recursive: false }];
+  }
+  
+  /**
+   * Create a note in Apple Notes, creating its folders if needed. Notes
+   * takes the note's name from the first line of the body.
+   * @param {Object} note - { body, folder, account }, account defaulting to
+   *   the default account
+   * @returns {Promise} Resolves with the note as fetchNotes returns it
+   */
+  async createNote({ body, folder, account }) {
+    const jxa = require('node-jxa');
+    
+    const created = await jxa.run((folderPath, accountName, html) => {
+      const app = Application('Notes');
+      const owner = accountName ? app.accounts.byName(accountName) : app.defaultAccount();
+      
+      if (!owner.exists()) {
+        throw new Error(`No Notes account named ${accountName}`);
+      }
+      
+      // Walk down the folder path, creating the folders that are missing
+      let container = owner;
+      
+      folderPath.split('/').forEach(name => {
+        if (!container.folders.byName(name).exists()) {
+          container.folders.push(app.Folder({ name }));
+        }
+        container = container.folders.byName(name);
+      });
+      
+      const note = app.Note({ body: html });
+      container.notes.push(note);
+      
+      return {
+        id: note.id(),
+        name: note.name(),
+        body: note.body(),
+        creationDate: note.creationDate(),
+        modificationDate: note.modificationDate(),
+        account: owner.name()
+      };
+    }, folder, account || null, body);
+    
+    return { ...created, folder, source: APPLE_NOTES_SOURCE };
+  }
+  
+  /**
+   * Add HTML to the end of a note, unless Apple Notes changed the note since
+   * it was read. The check and the write run in one script.
+   * @param {Object} note - The note as read, with its modificationDate
+   * @param {string} html - HTML to add
+   * @returns {Promise} Resolves with the changed note, or null if Apple
+   *   Notes no longer has it
+   * @throws {NoteConflictError} If the note changed since it was read
+   */
+  async appendToNote(note, html) {
+    const jxa = require('node-jxa');
+    
+    const result = await jxa.run((id, expected, addition) => {
+      const app = Application('Notes');
+      const target = app.notes.byId(id);
+      
+      if (!target.exists()) {
+        return null;
+      }
+      
+      const modified = target.modificationDate();
+      
+      if (modified.getTime() !== new Date(expected).getTime()) {
+        return { conflict: modified };
+      }
+      
+      target.body = target.body() + addition;
+      
+      return { name: target.name(), body: target.body(), modificationDate: target.modificationDate() };
+    }, note.id, new Date(note.modificationDate).toISOString(), html);
+    
+    if (result && result.conflict) {
+      throw new NoteConflictError(note, result.conflict);
+    }
+    
+    return result && {
+      id: note.id,
+      ...result,
+      creationDate: note.creationDate,
+      folder: note.folder,
+      account: note.account,
+      source: APPLE_NOTES_SOURCE
+    };
+  }
+}
+
+/**
+ * Note source that reads fixture notes from a directory.
+ *
+ * `.json` files hold one note or an array of notes with id, name, body,
+ * folder, account, creationDate and modificationDate. `.html` files hold a
+ * note body; the name comes from the <title> (or the file name), the folder
+ * path from the subdirectories and the dates from the file itself.
+ * Notes created through it are written as .json files, standing in for
+ * Apple Notes where JXA is unavailable.
+ */
+class FileSystemNoteSource {
+  /**
+   * @param {string} directory - Directory holding the fixture notes
+   * @param {Object} options - Source options
+   * @param {boolean} options.includeTrash - Also index Recently Deleted
+   */
+  constructor(directory, options = {}) {
+    if (!directory) {
+      throw new Error('FileSystemNoteSource requires a directory');
+    }
+    
+    this.name = 'filesystem';
+    this.directory = path.resolve(directory);
+    this.includeTrash = !!options.includeTrash;
+  }
+  
+  /**
+   * Read all notes from the fixture directory
+   * @returns {Promise} Resolves with array of notes
+   */
+  async fetchNotes() {
+    if (!fs.existsSync(this.directory)) {
+      throw new Error(`Notes directory not found: ${this.directory}`);
+    }
+    
+    const notes = [];
+    
+    for (const file of this.listFiles(this.directory)) {
+      const ext = path.extname(file).toLowerCase();
+      
+      if (ext === '.json') {
+        notes.push(...this.readJsonNotes(file));
+      } else if (ext === '.html' || ext === '.htm') {
+        notes.push(this.readHtmlNote(file));
+      }
+    }
+    
+    return withoutTrash(notes, this.includeTrash);
+  }
+  
+  /**
+   * Paths whose changes mean notes changed
+   * @returns {Array} { path, recursive } for the scheduler to watch
+   */
+  watchPaths() {
+    return [{ path: this.directory, recursive: true }];
+  }
+  
+  /**
+   * Write a new note as a .json file in the directory of its folder, named
+   * after the note and never replacing an existing file
+   * @param {Object} note - { name, body, folder, account }
+   * @returns {Promise} Resolves with the note as fetchNotes returns it
+   */
+  async createNote({ name, body, folder, account }) {
+    const names = splitPath(folder);
+    
+    if (names.some(part => part === '.' || part === '..')) {
+      throw new Error(`Invalid folder: ${folder}`);
+    }
+    
+    // Notes at the top of the directory are in the Notes folder
+    const dir = folder === 'Notes' ? this.directory : path.join(this.directory, ...names);
+    const base = name.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-').trim().slice(0, 100) || 'Untitled';
+    const now = new Date().toISOString();
+    const entry = { name, body, folder, ...(account ? { account } : {}), creationDate: now, modificationDate: now };
+    
+    fs.mkdirSync(dir, { recursive: true });
+    
+    for (let n = 1; ; n++) {
+      const file = path.join(dir, n === 1 ? `${base}.json` : `${base} ${n}.json`);
+      
+      try {
+        fs.writeFileSync(file, JSON.stringify(entry, null, 2) + '\n', { flag: 'wx' });
+      } catch (error) {
+        if (error.code === 'EEXIST') continue;
+        throw error;
+      }
+      
+      return this.readJsonNotes(file)[0];
+    }
+  }
+  
+  /**
+   * Add HTML to the end of a note, unless its file changed since the note
+   * was read. Notes in .json files get a new modification date; .html
+   * files take theirs from the file.
+   * @param {Object} note - The note as read, with its modificationDate
+   * @param {string} html - HTML to add
+   * @returns {Promise} Resolves with the changed note, or null if no file
+   *   holds it any more
+   * @throws {NoteConflictError} If the note changed since it was read
+   */
+  async appendToNote(note, html) {
+    const found = this.findNote(note.id);
+    
+    if (!found) {
+      return null;
+    }
+    if (!isSameVersion(found.note, note.modificationDate)) {
+      throw new NoteConflictError(note, found.note.modificationDate);
+    }
+    
+    const { file, index } = found;
+    
+    if (index === null) {
+      const source = fs.readFileSync(file, 'utf8');
+      const end = source.search(/<\/body>/i);
+      fs.writeFileSync(file, end >= 0 ? source.slice(0, end) + html + source.slice(end) : source + html);
+      return this.readHtmlNote(file);
+    }
+    
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const entry = Array.isArray(data) ? data[index] : data;
+    entry.body = (entry.body || '') + html;
+    entry.modificationDate = new Date().toISOString();
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    
+    return this.readJsonNotes(file)[index];
+  }
+  
+  /**
+   * Find the file a note is read from
+   * @param {string} id - Note ID
+   * @returns {Object|null} { file, index, note } where index is the note's
+   *   position in a .json file and null for an .html file
+   */
+  findNote(id) {
+    if (!fs.existsSync(this.directory)) {
+      return null;
+    }
+    
+    for (const file of this.listFiles(this.directory)) {
+      const ext = path.extname(file).toLowerCase();
+      
+      if (ext === '.json') {
+        const notes = this.readJsonNotes(file);
+        const index = notes.findIndex(note => note.id === id);
+        
+        if (index >= 0) {
+          return { file, index, note: notes[index] };
+        }
+      } else if ((ext === '.html' || ext === '.htm') && path.relative(this.directory, file) === id) {
+        return { file, index: null, note: this.readHtmlNote(file) };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Recursively list files below a directory in a stable order
+   * @param {string} dir - Directory to walk
+   * @returns {Array} Absolute file paths
+   */
+  listFiles(dir) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+    
+    return entries.flatMap(entry => {
+      const fullPath = path.join(dir, entry.name);
+      
+      if (entry.isDirectory()) {
+        return this.listFiles(fullPath);
+      }
+      
+      return entry.isFile() && !entry.name.startsWith('.') ? [fullPath] : [];
+    });
+  }
+  
+  /**
+   * Folder path for a file, taken from its path below the fixture directory
+   * @param {string} file - Absolute file path
+   * @returns {string} Folder path
+   */
+  folderFor(file) {
+    const relativeDir = path.relative(this.directory, path.dirname(file));
+    return relativeDir ? relativeDir.split(path.sep).join('/') : 'Notes';
+  }
+  
+  /**
+   * Read one or more notes from a JSON file
+   * @param {string} file - Absolute file path
+   * @returns {Array} Notes
+   */
+  readJsonNotes(file) {
+    let data;
+    
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid note file ${file}: ${error.message}`);
+    }
+    
+    const stat = fs.statSync(file);
+    const relativePath = path.relative(this.directory, file);
+    const entries = Array.isArray(data) ? data : [data];
+    
+    return entries.map((entry, i) => ({
+      id: entry.id || (entries.length > 1 ? `${relativePath}#${i}` : relativePath),
+      name: entry.name || path.basename(file, path.extname(file)),
+      body: entry.body || '',
+      creationDate: new Date(entry.creationDate || stat.birthtime),
+      modificationDate: new Date(entry.modificationDate || stat.mtime),
+      folder: entry.folder || this.folderFor(file),
+      account: entry.account || LOCAL_ACCOUNT,
+      source: FILESYSTEM_SOURCE
+    }));
+  }
+  
+  /**
+   * Read a note from an HTML file
+   * @param {string} file - Absolute file path
+   * @returns {Object} Note
+   */
+  readHtmlNote(file) {
+    const body = fs.readFileSync(file, 'utf8');
+    const stat = fs.statSync(file);
+    const titleMatch = body.match(/<title>([^<]*)<\/title>/i);
+    
+    return {
+      id: path.relative(this.directory, file),
+      name: titleMatch ? titleMatch[1].trim() : path.basename(file, path.extname(file)),
+      body,
+      creationDate: stat.birthtime,
+      modificationDate: stat.mtime,
+      folder: this.folderFor(file),
+      account: LOCAL_ACCOUNT,
+      source: FILESYSTEM_SOURCE
+    };
+  }
+}
+
+/**
+ * Create the note source selected by configuration.
+ *
+ * `NOTES_SOURCE=filesystem` together with `NOTES_DIR=<path>` reads fixture
+ * notes from disk; by default notes come from Apple Notes. Notes in
+ * Recently Deleted are skipped unless `NOTES_INCLUDE_TRASH=1`.
+ *
+ * @param {Object} config - Source configuration
+ * @param {string} config.type - 'jxa' or 'filesystem'
+ * @param {string} config.directory - Fixture directory for the filesystem source
+ * @param {boolean} config.includeTrash - Also index Recently Deleted
+ * @returns {Object} Note source with fetchNotes(), watchPaths(), createNote()
+ *   and appendToNote() methods
+ */
+function createNoteSource(config = {}) {
+  const type = config.type || process.env.NOTES_SOURCE || 'jxa';
+  const options = {
+    includeTrash: config.includeTrash !== undefined
+      ? config.includeTrash
+      : process.env.NOTES_INCLUDE_TRASH === '1'
+  };
+  
+  switch (type) {
+    case 'jxa':
+      return new JxaNoteSource(options);
+    
+    case 'filesystem':
+      return new FileSystemNoteSource(config.directory || process.env.NOTES_DIR, options);
+    
+    default:
+      throw new Error(`Unknown note source: ${type}`);
+  }
+}
+
+module.exports = {
+  NoteConflictError,
+  JxaNoteSource,
+  FileSystemNoteSource,
+  createNoteSource
+};
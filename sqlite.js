@@ -0,0 +1,556 @@
+// sqlite.js - SQLite storage backend for large libraries
+//
+// Notes are stored as JSON documents (dates become ISO strings) alongside the columns that queries
+// filter on, and their titles and plain text are kept in the notes_fts FTS5
+// table for full-text queries through searchText() or any SQLite client.
+// Encrypted stores hold only the note ID and the encrypted document: the
+// other columns stay empty and notes_fts is not filled.
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const { buildFolderTree } = require('./folders');
+const { noteVersion, defaultMetadata, SearchListStore } = require('./storage');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS notes (
+    key INTEGER PRIMARY KEY,
+    id TEXT NOT NULL UNIQUE,
+    folder TEXT,
+    account TEXT,
+    modification_date TEXT,
+    content_version INTEGER,
+    source TEXT,
+    doc TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS notes_folder ON notes (folder, account);
+  CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5 (
+    name,
+    text,
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+  CREATE TABLE IF NOT EXISTS metadata (
+    type TEXT PRIMARY KEY,
+    doc TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS revisions (
+    note_id TEXT NOT NULL,
+    number INTEGER NOT NULL,
+    doc TEXT NOT NULL,
+    PRIMARY KEY (note_id, number)
+  );
+  CREATE TABLE IF NOT EXISTS searches (
+    type TEXT PRIMARY KEY,
+    doc TEXT NOT NULL
+  );
+`;
+
+/**
+ * Serialize documents to JSON, encrypting them when a codec is given
+ */
+class DocumentCodec {
+  /**
+   * @param {Object} codec - Cipher from encryption.js, or null
+   */
+  constructor(codec) {
+    this.codec = codec || null;
+  }
+  
+  // JSON text (encrypted if there is a codec) for a document
+  encode(doc) {
+    const json = JSON.stringify(doc);
+    return this.codec ? this.codec.encrypt(json) : json;
+  }
+  
+  // Document from text written by encode()
+  decode(text) {
+    return JSON.parse(this.codec ? this.codec.decrypt(text) : text);
+  }
+}
+
+/**
+ * Database class to handle note storage (SQLite backend). Same methods as
+ * NotesDatabase, plus searchText().
+ */
+class SqliteNotesDatabase {
+  /**
+   * @param {Database} db - Open database with the schema applied
+   * @param {Object} options - Store options (see createStorage)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.docs = new DocumentCodec(options.codec);
+    this.encrypted = !!options.codec;
+    this.rewrite = !!options.rewrite;
+    
+    this.statements = {
+      find: db.prepare('SELECT key FROM notes WHERE id = ?'),
+      get: db.prepare('SELECT doc FROM notes WHERE id = ?'),
+      all: db.prepare('SELECT doc FROM notes'),
+      versions: db.prepare('SELECT id, folder, account, modification_date, content_version, source FROM notes'),
+      count: db.prepare('SELECT COUNT(*) AS count FROM notes'),
+      inFolder: db.prepare('SELECT doc FROM notes WHERE folder = ?'),
+      inAccountFolder: db.prepare('SELECT doc FROM notes WHERE folder = ? AND account = ?'),
+      folders: db.prepare('SELECT folder, account FROM notes'),
+      upsert: db.prepare(`
+        INSERT INTO notes (id, folder, account, modification_date, content_version, source, doc)
+        VALUES (@id, @folder, @account, @modificationDate, @contentVersion, @source, @doc)
+        ON CONFLICT (id) DO UPDATE SET
+          folder = excluded.folder,
+          account = excluded.account,
+          modification_date = excluded.modification_date,
+          content_version = excluded.content_version,
+          source = excluded.source,
+          doc = excluded.doc
+        RETURNING key
+      `),
+      remove: db.prepare('DELETE FROM notes WHERE key = ?'),
+      removeText: db.prepare('DELETE FROM notes_fts WHERE rowid = ?'),
+      insertText: db.prepare('INSERT INTO notes_fts (rowid, name, text) VALUES (?, ?, ?)'),
+      search: db.prepare(`
+        SELECT notes.id FROM notes_fts
+        JOIN notes ON notes.key = notes_fts.rowid
+        WHERE notes_fts MATCH ?
+        ORDER BY bm25(notes_fts)
+        LIMIT ?
+      `)
+    };
+  }
+  
+  /**
+   * Check the stored notes, re-encoding all of them if the store was opened
+   * with rewrite
+   * @returns {Promise} Resolves when done
+   */
+  async load() {
+    if (!this.rewrite) {
+      return;
+    }
+    
+    const docs = this.statements.all.all().map(row => this.docs.decode(row.doc));
+    
+    // Deleted FTS5 entries linger in its segments, so start a new table
+    this.db.transaction(() => {
+      this.db.exec('DROP TABLE notes_fts');
+      this.db.exec(SCHEMA);
+      docs.forEach(doc => this.write(doc));
+    })();
+    
+    // Drop the pages that held the previous encoding
+    this.db.exec('VACUUM');
+  }
+  
+  // Insert or replace a note and its full-text entry
+  write(note) {
+    const plain = this.encrypted ? {} : note;
+    const { key } = this.statements.upsert.get({
+      id: note.id,
+      folder: plain.folder ?? null,
+      account: plain.account ?? null,
+      modificationDate: plain.modificationDate ? new Date(plain.modificationDate).toISOString() : null,
+      contentVersion: plain.contentVersion ?? null,
+      source: plain.source ?? null,
+      doc: this.docs.encode(note)
+    });
+    
+    this.statements.removeText.run(key);
+    
+    if (!this.encrypted) {
+      this.statements.insertText.run(key, note.name || '', note.text || '');
+    }
+  }
+  
+  /**
+   * Save or update a note in the database
+   * @param {Object} note - Note to save
+   * @returns {Promise} Resolves with the saved note
+   */
+  async saveNote(note) {
+    const existed = !!this.statements.find.get(note.id);
+    
+    this.db.transaction(() => this.write(note))();
+    
+    return { ...note, _updated: existed, _new: !existed };
+  }
+  
+  /**
+   * Save multiple notes at once
+   * @param {Array} notes - Array of notes to save
+   * @returns {Promise} Resolves when all notes are saved
+   */
+  saveNotes(notes) {
+    return Promise.all(notes.map(note => this.saveNote(note)));
+  }
+  
+  /**
+   * Get a note by ID
+   * @param {string} id - Note ID
+   * @returns {Promise} Resolves with the note or null
+   */
+  async getNote(id) {
+    const row = this.statements.get.get(id);
+    return row ? this.docs.decode(row.doc) : null;
+  }
+  
+  /**
+   * Get all notes
+   * @returns {Promise} Resolves with array of all notes
+   */
+  async getAllNotes() {
+    return this.statements.all.all().map(row => this.docs.decode(row.doc));
+  }
+  
+  /**
+   * Get the version and location of every stored note
+   * @returns {Promise} Resolves with a Map of note ID to
+   *   { modificationDate, contentVersion, folder, account, source }
+   */
+  async getNoteVersions() {
+    if (this.encrypted) {
+      const notes = await this.getAllNotes();
+      return new Map(notes.map(doc => [doc.id, noteVersion(doc)]));
+    }
+    
+    return new Map(this.statements.versions.all().map(row => [row.id, noteVersion({
+      modificationDate: row.modification_date,
+      contentVersion: row.content_version,
+      folder: row.folder,
+      account: row.account ?? undefined,
+      source: row.source ?? undefined
+    })]));
+  }
+  
+  /**
+   * Count all notes in the database
+   * @returns {Promise} Resolves with the count
+   */
+  async countNotes() {
+    return this.statements.count.get().count;
+  }
+  
+  /**
+   * Get the notes directly in a folder (not its subfolders)
+   * @param {string} folder - Folder path
+   * @param {string} account - Account name, or undefined for every account
+   * @returns {Promise} Resolves with array of notes
+   */
+  async getNotesByFolder(folder, account) {
+    if (this.encrypted) {
+      const notes = await this.getAllNotes();
+      return notes.filter(doc => doc.folder === folder && (account === undefined || doc.account === account));
+    }
+    
+    const rows = account === undefined
+      ? this.statements.inFolder.all(folder)
+      : this.statements.inAccountFolder.all(folder, account);
+    
+    return rows.map(row => this.docs.decode(row.doc));
+  }
+  
+  /**
+   * Delete a note by ID
+   * @param {string} id - Note ID
+   * @returns {Promise} Resolves with the number of notes removed
+   */
+  async deleteNote(id) {
+    const row = this.statements.find.get(id);
+    
+    if (!row) {
+      return 0;
+    }
+    
+    this.db.transaction(() => {
+      this.statements.removeText.run(row.key);
+      this.statements.remove.run(row.key);
+    })();
+    
+    return 1;
+  }
+  
+  /**
+   * Get the folder tree of all stored notes
+   * @returns {Promise} Resolves with account nodes holding nested folders
+   *   and their note counts (see buildFolderTree)
+   */
+  async getFolders() {
+    const notes = this.encrypted ? await this.getAllNotes() : this.statements.folders.all();
+    return buildFolderTree(notes);
+  }
+  
+  /**
+   * Full-text search over note titles and plain text with the FTS5 query
+   * syntax, ranked by BM25
+   * @param {string} query - FTS5 query, e.g. 'roadmap AND q3*'
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise} Resolves with the IDs of matching notes, best first
+   * @throws {Error} If the store is encrypted, since it has no full-text table
+   */
+  async searchText(query, limit = 20) {
+    if (this.encrypted) {
+      throw new Error('Full-text search is not available in encrypted stores');
+    }
+    
+    return this.statements.search.all(query, limit).map(row => row.id);
+  }
+}
+
+/**
+ * Class to handle index metadata (SQLite backend). Same methods as
+ * IndexMetadata.
+ */
+class SqliteIndexMetadata {
+  /**
+   * @param {Database} db - Open database with the schema applied
+   * @param {Object} options - Store options (see createStorage)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.docs = new DocumentCodec(options.codec);
+    this.rewrite = !!options.rewrite;
+    
+    this.statements = {
+      get: db.prepare("SELECT doc FROM metadata WHERE type = 'index_metadata'"),
+      put: db.prepare("INSERT OR REPLACE INTO metadata (type, doc) VALUES ('index_metadata', ?)")
+    };
+  }
+  
+  /**
+   * Re-encode the stored metadata if the store was opened with rewrite
+   * @returns {Promise} Resolves when done
+   */
+  async load() {
+    const row = this.rewrite && this.statements.get.get();
+    
+    if (row) {
+      this.statements.put.run(this.docs.encode(this.docs.decode(row.doc)));
+      this.db.exec('VACUUM');
+    }
+  }
+  
+  /**
+   * Save index metadata
+   * @param {Object} metadata - Index metadata
+   * @returns {Promise} Resolves when complete
+   */
+  async saveMetadata(metadata) {
+    this.statements.put.run(this.docs.encode({
+      ...metadata,
+      type: 'index_metadata',
+      updatedAt: new Date().toISOString()
+    }));
+  }
+  
+  /**
+   * Update some index metadata fields, keeping the others
+   * @param {Object} fields - Fields to set
+   * @returns {Promise} Resolves when complete
+   */
+  async updateMetadata(fields) {
+    const row = this.statements.get.get();
+    
+    this.statements.put.run(this.docs.encode({
+      ...(row ? this.docs.decode(row.doc) : { type: 'index_metadata' }),
+      ...fields,
+      updatedAt: new Date().toISOString()
+    }));
+  }
+  
+  /**
+   * Get index metadata
+   * @returns {Promise} Resolves with metadata or default values
+   */
+  async getMetadata() {
+    const row = this.statements.get.get();
+    return row ? this.docs.decode(row.doc) : defaultMetadata();
+  }
+}
+
+/**
+ * Class to handle earlier revisions of notes (SQLite backend). Same methods
+ * as RevisionHistory.
+ */
+class SqliteRevisionHistory {
+  /**
+   * @param {Database} db - Open database with the schema applied
+   * @param {Object} options - Store options (see createStorage)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.docs = new DocumentCodec(options.codec);
+    this.rewrite = !!options.rewrite;
+    
+    this.statements = {
+      all: db.prepare('SELECT note_id, number, doc FROM revisions'),
+      forNote: db.prepare('SELECT doc FROM revisions WHERE note_id = ? ORDER BY number'),
+      insert: db.prepare('INSERT OR REPLACE INTO revisions (note_id, number, doc) VALUES (?, ?, ?)'),
+      prune: db.prepare(`
+        DELETE FROM revisions WHERE note_id = @noteId AND number NOT IN (
+          SELECT number FROM revisions WHERE note_id = @noteId ORDER BY number DESC LIMIT @keep
+        )
+      `),
+      remove: db.prepare('DELETE FROM revisions WHERE note_id = ?'),
+      clear: db.prepare('DELETE FROM revisions')
+    };
+  }
+  
+  /**
+   * Re-encode every stored revision if the store was opened with rewrite
+   * @returns {Promise} Resolves when done
+   */
+  async load() {
+    if (!this.rewrite) {
+      return;
+    }
+    
+    const rows = this.statements.all.all();
+    
+    this.db.transaction(() => {
+      rows.forEach(row => this.statements.insert.run(row.note_id, row.number, this.docs.encode(this.docs.decode(row.doc))));
+    })();
+    
+    if (rows.length > 0) {
+      this.db.exec('VACUUM');
+    }
+  }
+  
+  /**
+   * Store a revision
+   * @param {Object} revision - Revision to store
+   * @returns {Promise} Resolves when complete
+   */
+  async saveRevision(revision) {
+    this.statements.insert.run(revision.noteId, revision.number, this.docs.encode(revision));
+  }
+  
+  /**
+   * Get the stored revisions of a note
+   * @param {string} noteId - Note ID
+   * @returns {Promise} Resolves with the revisions, oldest first
+   */
+  async getRevisions(noteId) {
+    return this.statements.forNote.all(noteId).map(row => this.docs.decode(row.doc));
+  }
+  
+  /**
+   * Remove all but the newest revisions of a note
+   * @param {string} noteId - Note ID
+   * @param {number} keep - Number of revisions to keep
+   * @returns {Promise} Resolves with the number of revisions removed
+   */
+  async pruneRevisions(noteId, keep) {
+    return this.statements.prune.run({ noteId, keep }).changes;
+  }
+  
+  /**
+   * Remove every revision of a note
+   * @param {string} noteId - Note ID
+   * @returns {Promise} Resolves with the number of revisions removed
+   */
+  async deleteRevisions(noteId) {
+    return this.statements.remove.run(noteId).changes;
+  }
+  
+  /**
+   * Remove the revisions of every note
+   * @returns {Promise} Resolves when complete
+   */
+  async clearRevisions() {
+    this.statements.clear.run();
+  }
+}
+
+/**
+ * Class to handle saved searches and recent queries (SQLite backend). Same
+ * methods as SearchHistory, with each list kept as one row.
+ */
+class SqliteSearchHistory extends SearchListStore {
+  /**
+   * @param {Database} db - Open database with the schema applied
+   * @param {Object} options - Store options (see createStorage)
+   */
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.docs = new DocumentCodec(options.codec);
+    this.rewrite = !!options.rewrite;
+    
+    this.statements = {
+      all: db.prepare('SELECT type, doc FROM searches'),
+      get: db.prepare('SELECT doc FROM searches WHERE type = ?'),
+      put: db.prepare('INSERT OR REPLACE INTO searches (type, doc) VALUES (?, ?)')
+    };
+  }
+  
+  /**
+   * Re-encode the stored lists if the store was opened with rewrite
+   * @returns {Promise} Resolves when done
+   */
+  async load() {
+    if (!this.rewrite) {
+      return;
+    }
+    
+    const rows = this.statements.all.all();
+    
+    this.db.transaction(() => {
+      rows.forEach(row => this.statements.put.run(row.type, this.docs.encode(this.docs.decode(row.doc))));
+    })();
+    
+    if (rows.length > 0) {
+      this.db.exec('VACUUM');
+    }
+  }
+  
+  /**
+   * Get a stored list
+   * @param {string} name - 'saved_searches' or 'recent_queries'
+   * @returns {Promise} Resolves with the items, empty if none were stored
+   */
+  async getList(name) {
+    const row = this.statements.get.get(name);
+    return row ? this.docs.decode(row.doc) : [];
+  }
+  
+  /**
+   * Replace a stored list
+   * @param {string} name - 'saved_searches' or 'recent_queries'
+   * @param {Array} items - Items to store
+   * @returns {Promise} Resolves when complete
+   */
+  async putList(name, items) {
+    this.statements.put.run(name, this.docs.encode(items));
+  }
+}
+
+/**
+ * Open the SQLite database in the storage directory
+ * @param {Object} options - Store options (see createStorage), with the
+ *   storage directory
+ * @returns {Object} { notesDb, metadataDb, historyDb, searchesDb }
+ */
+function openSqliteStorage(options) {
+  const db = new Database(path.join(options.directory, 'notes.sqlite'));
+  
+  // Overwrite deleted content instead of leaving it in free pages
+  db.pragma('secure_delete = ON');
+  db.exec(SCHEMA);
+  
+  // Databases created before notes recorded their source
+  if (!db.pragma('table_info(notes)').some(column => column.name === 'source')) {
+    db.exec('ALTER TABLE notes ADD COLUMN source TEXT');
+  }
+  
+  return {
+    notesDb: new SqliteNotesDatabase(db, options),
+    metadataDb: new SqliteIndexMetadata(db, options),
+    historyDb: new SqliteRevisionHistory(db, options),
+    searchesDb: new SqliteSearchHistory(db, options)
+  };
+}
+
+module.exports = {
+  SqliteNotesDatabase,
+  SqliteIndexMetadata,
+  SqliteRevisionHistory,
+  SqliteSearchHistory,
+  openSqliteStorage
+};
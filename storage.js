@@ -1,32 +1,241 @@
 // storage.js - Handle local storage of notes and indexes
+//
+// Every storage backend provides the same five stores (see createStorage):
+//
+//   notesDb    - load, saveNote, getNote, getAllNotes, getNoteVersions,
+//                countNotes, getNotesByFolder, deleteNote, getFolders
+//   metadataDb - load, saveMetadata, updateMetadata, getMetadata
+//   historyDb  - load, saveRevision, getRevisions, pruneRevisions,
+//                deleteRevisions, clearRevisions
+//   searchesDb - load, getSavedSearches, saveSearch, deleteSearch,
+//                getRecentQueries, recordQuery
+//   indexFile  - save, load
+//
+// All of their methods return promises. Backends:
+//
+//   nedb   - NeDB files in the storage directory (the default)
+//   sqlite - One SQLite database with an FTS5 full-text table, for large
+//            libraries; needs the optional better-sqlite3 package
+//   memory - Nothing is written to disk; for tests and one-off runs
 
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
-const { app } = require('electron');
+const crypto = require('crypto');
 const Datastore = require('nedb');
+const { buildFolderTree } = require('./folders');
+const { resolvePath } = require('./config');
 
-// Set up the storage directory
-const getStorageDir = () => {
-  const storageDir = path.join(app.getPath('userData'), 'apple-notes-indexer');
+const BACKENDS = ['nedb', 'sqlite', 'memory'];
+
+// Settings given on the command line, which win over the environment and
+// the configuration file
+let overrides = {};
+
+/**
+ * Set the storage location or backend from the command line. Call before
+ * the indexer first opens its stores.
+ * @param {Object} options - { directory, backend }; unset keys keep their
+ *   environment or configuration value
+ */
+function configureStorage(options = {}) {
+  overrides = { ...overrides, ...options };
+}
+
+/**
+ * Storage directory used when none is configured: the Electron app's user
+ * data directory when running inside Electron, else ~/.apple-notes-indexer
+ * @returns {string} Absolute path
+ */
+function defaultStorageDir() {
+  try {
+    // Outside Electron this is either missing or the path of its binary
+    const { app } = require('electron');
+    
+    if (app && typeof app.getPath === 'function') {
+      return path.join(app.getPath('userData'), 'apple-notes-indexer');
+    }
+  } catch (error) {
+    // Not running inside Electron
+  }
   
-  if (!fs.existsSync(storageDir)) {
-    fs.mkdirSync(storageDir, { recursive: true });
+  return path.join(os.homedir(), '.apple-notes-indexer');
+}
+
+/**
+ * Work out the storage backend and directory. Each comes from, in order:
+ * configureStorage(), the NOTES_INDEXER_STORAGE and NOTES_INDEXER_STORAGE_DIR
+ * environment variables, the "storage" key of the configuration file
+ * ({ backend, directory }), and the defaults.
+ * @param {Object} config - Parsed configuration file
+ * @returns {Object} { backend, directory } where directory is null for the
+ *   memory backend
+ * @throws {Error} If the backend is unknown
+ */
+function storageSettings(config = {}) {
+  const settings = config.storage || {};
+  const backend = overrides.backend || process.env.NOTES_INDEXER_STORAGE || settings.backend || 'nedb';
+  
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend "${backend}". Use ${BACKENDS.join(', ')}`);
+  }
+  
+  if (backend === 'memory') {
+    return { backend, directory: null };
   }
   
-  return storageDir;
-};
+  const directory = overrides.directory || process.env.NOTES_INDEXER_STORAGE_DIR || settings.directory;
+  
+  return { backend, directory: directory ? resolvePath(directory) : defaultStorageDir() };
+}
 
 /**
- * Database class to handle note storage
+ * Create the storage directory if needed
+ * @param {string} directory - Storage directory
+ * @returns {string} The directory
  */
-class NotesDatabase {
-  constructor() {
-    const storageDir = getStorageDir();
+function ensureStorageDir(directory) {
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+  }
+  
+  return directory;
+}
+
+// SHA-256 checksum of a serialized index
+function checksumOf(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// What getNoteVersions reports for a stored note
+function noteVersion(doc) {
+  return {
+    modificationDate: doc.modificationDate,
+    contentVersion: doc.contentVersion,
+    folder: doc.folder,
+    account: doc.account,
+    source: doc.source
+  };
+}
+
+// What getMetadata reports before anything was indexed
+function defaultMetadata() {
+  return {
+    type: 'index_metadata',
+    lastIndexed: null,
+    noteCount: 0,
+    indexed: false,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Saved searches and recent queries: the shared methods of the searchesDb
+ * stores, which keep each of the two as a list. Backends extend this with
+ * load(), getList(name) and putList(name, items). Saved searches are
+ * { name, query, pinned, createdAt, lastRunAt, seenIds, newIds }; recent
+ * queries are { query, count, lastUsed }, most recently used first.
+ */
+class SearchListStore {
+  /**
+   * Get the saved searches
+   * @returns {Promise} Resolves with the saved searches
+   */
+  getSavedSearches() {
+    return this.getList('saved_searches');
+  }
+  
+  /**
+   * Save a search, replacing the saved search with the same name
+   * @param {Object} search - Saved search
+   * @returns {Promise} Resolves when complete
+   */
+  async saveSearch(search) {
+    const searches = await this.getSavedSearches();
+    await this.putList('saved_searches', [...searches.filter(other => other.name !== search.name), search]);
+  }
+  
+  /**
+   * Remove a saved search
+   * @param {string} name - Name of the search
+   * @returns {Promise} Resolves with the number of searches removed
+   */
+  async deleteSearch(name) {
+    const searches = await this.getSavedSearches();
+    const kept = searches.filter(search => search.name !== name);
     
-    this.db = new Datastore({
-      filename: path.join(storageDir, 'notes.db'),
-      autoload: true
-    });
+    await this.putList('saved_searches', kept);
+    return searches.length - kept.length;
+  }
+  
+  /**
+   * Get the recent queries
+   * @returns {Promise} Resolves with the queries, most recently used first
+   */
+  getRecentQueries() {
+    return this.getList('recent_queries');
+  }
+  
+  /**
+   * Count one more use of a query, keeping only the most recent queries
+   * @param {string} query - Query string
+   * @param {number} keep - Number of queries to keep
+   * @returns {Promise} Resolves when complete
+   */
+  async recordQuery(query, keep) {
+    const queries = await this.getRecentQueries();
+    const previous = queries.find(entry => entry.query === query);
+    const entry = { query, count: previous ? previous.count + 1 : 1, lastUsed: new Date().toISOString() };
+    
+    await this.putList('recent_queries', [entry, ...queries.filter(other => other !== previous)].slice(0, keep));
+  }
+}
+
+/**
+ * Create an NeDB datastore in the storage directory
+ * @param {string} name - File name
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Storage directory
+ * @param {Object} options.codec - Cipher from encryption.js; when given,
+ *   every line of the file is encrypted
+ * @returns {Datastore} Datastore, loaded by calling load() on its store
+ */
+function createDatastore(name, options = {}) {
+  const { codec } = options;
+  
+  return new Datastore({
+    filename: path.join(options.directory, name),
+    ...(codec && {
+      afterSerialization: codec.encrypt,
+      beforeDeserialization: codec.decrypt,
+      // A line that fails to decrypt means the wrong key or tampering, so
+      // refuse to load rather than silently dropping it
+      corruptAlertThreshold: 0
+    })
+  });
+}
+
+/**
+ * Load a datastore's file. NeDB rewrites the file while loading, so this
+ * also re-encrypts it with the current codec.
+ * @param {Datastore} db - Datastore
+ * @returns {Promise} Resolves when the data is loaded
+ */
+function loadDatastore(db) {
+  return new Promise((resolve, reject) => {
+    db.loadDatabase(err => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Database class to handle note storage (NeDB backend)
+ */
+class NotesDatabase {
+  /**
+   * @param {Object} options - Store options (see createDatastore)
+   */
+  constructor(options = {}) {
+    this.db = createDatastore('notes.db', options);
     
     // Create indexes for faster queries
     this.db.ensureIndex({ fieldName: 'id', unique: true });
@@ -34,6 +243,14 @@ class NotesDatabase {
     this.db.ensureIndex({ fieldName: 'modificationDate' });
   }
   
+  /**
+   * Load the stored notes. Queries made before this wait for it.
+   * @returns {Promise} Resolves when loaded
+   */
+  load() {
+    return loadDatastore(this.db);
+  }
+  
   /**
    * Save or update a note in the database
    * @param {Object} note - Note to save
@@ -98,6 +315,25 @@ class NotesDatabase {
     });
   }
   
+  /**
+   * Get the version and location of every stored note
+   * @returns {Promise} Resolves with a Map of note ID to
+   *   { modificationDate, contentVersion, folder, account, source }
+   */
+  getNoteVersions() {
+    return new Promise((resolve, reject) => {
+      const fields = { id: 1, modificationDate: 1, contentVersion: 1, folder: 1, account: 1, source: 1, _id: 0 };
+      
+      this.db.find({}).projection(fields).exec((err, docs) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(new Map(docs.map(doc => [doc.id, noteVersion(doc)])));
+        }
+      });
+    });
+  }
+  
   /**
    * Count all notes in the database
    * @returns {Promise} Resolves with the count
@@ -115,13 +351,16 @@ class NotesDatabase {
   }
   
   /**
-   * Get notes by folder
-   * @param {string} folder - Folder name
+   * Get the notes directly in a folder (not its subfolders)
+   * @param {string} folder - Folder path
+   * @param {string} account - Account name, or undefined for every account
    * @returns {Promise} Resolves with array of notes
    */
-  getNotesByFolder(folder) {
+  getNotesByFolder(folder, account) {
+    const query = account === undefined ? { folder } : { folder, account };
+    
     return new Promise((resolve, reject) => {
-      this.db.find({ folder }, (err, docs) => {
+      this.db.find(query, (err, docs) => {
         if (err) {
           reject(err);
         } else {
@@ -149,17 +388,17 @@ class NotesDatabase {
   }
   
   /**
-   * Get all unique folders
-   * @returns {Promise} Resolves with array of folder names
+   * Get the folder tree of all stored notes
+   * @returns {Promise} Resolves with account nodes holding nested folders
+   *   and their note counts (see buildFolderTree)
    */
   getFolders() {
     return new Promise((resolve, reject) => {
-      this.db.find({}).projection({ folder: 1, _id: 0 }).exec((err, docs) => {
+      this.db.find({}).projection({ folder: 1, account: 1, _id: 0 }).exec((err, docs) => {
         if (err) {
           reject(err);
         } else {
-          const folders = [...new Set(docs.map(doc => doc.folder))];
-          resolve(folders);
+          resolve(buildFolderTree(docs));
         }
       });
     });
@@ -167,16 +406,22 @@ class NotesDatabase {
 }
 
 /**
- * Class to handle index metadata
+ * Class to handle index metadata (NeDB backend)
  */
 class IndexMetadata {
-  constructor() {
-    const storageDir = getStorageDir();
-    
-    this.db = new Datastore({
-      filename: path.join(storageDir, 'metadata.db'),
-      autoload: true
-    });
+  /**
+   * @param {Object} options - Store options (see createDatastore)
+   */
+  constructor(options = {}) {
+    this.db = createDatastore('metadata.db', options);
+  }
+  
+  /**
+   * Load the stored metadata. Queries made before this wait for it.
+   * @returns {Promise} Resolves when loaded
+   */
+  load() {
+    return loadDatastore(this.db);
   }
   
   /**
@@ -201,6 +446,28 @@ class IndexMetadata {
     });
   }
   
+  /**
+   * Update some index metadata fields, keeping the others
+   * @param {Object} fields - Fields to set
+   * @returns {Promise} Resolves when complete
+   */
+  updateMetadata(fields) {
+    return new Promise((resolve, reject) => {
+      this.db.update(
+        { type: 'index_metadata' },
+        { $set: { ...fields, updatedAt: new Date().toISOString() } },
+        { upsert: true },
+        (err) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+  
   /**
    * Get index metadata
    * @returns {Promise} Resolves with metadata or default values
@@ -211,21 +478,468 @@ class IndexMetadata {
         if (err) {
           reject(err);
         } else {
-          resolve(doc || {
-            type: 'index_metadata',
-            lastIndexed: null,
-            noteCount: 0,
-            indexed: false,
-            updatedAt: new Date().toISOString()
-          });
+          resolve(doc || defaultMetadata());
         }
       });
     });
   }
 }
 
+/**
+ * Class to handle earlier revisions of notes (NeDB backend). A revision is
+ * { noteId, number, name, body, folder, account, modificationDate, savedAt }
+ * where number counts up from 1 for each note.
+ */
+class RevisionHistory {
+  /**
+   * @param {Object} options - Store options (see createDatastore)
+   */
+  constructor(options = {}) {
+    this.db = createDatastore('history.db', options);
+    this.db.ensureIndex({ fieldName: 'noteId' });
+  }
+  
+  /**
+   * Load the stored revisions. Queries made before this wait for it.
+   * @returns {Promise} Resolves when loaded
+   */
+  load() {
+    return loadDatastore(this.db);
+  }
+  
+  /**
+   * Store a revision
+   * @param {Object} revision - Revision to store
+   * @returns {Promise} Resolves when complete
+   */
+  saveRevision(revision) {
+    return new Promise((resolve, reject) => {
+      this.db.insert(revision, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+  
+  /**
+   * Get the stored revisions of a note
+   * @param {string} noteId - Note ID
+   * @returns {Promise} Resolves with the revisions, oldest first
+   */
+  getRevisions(noteId) {
+    return new Promise((resolve, reject) => {
+      this.db.find({ noteId }).sort({ number: 1 }).projection({ _id: 0 }).exec((err, docs) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(docs);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Remove all but the newest revisions of a note
+   * @param {string} noteId - Note ID
+   * @param {number} keep - Number of revisions to keep
+   * @returns {Promise} Resolves with the number of revisions removed
+   */
+  async pruneRevisions(noteId, keep) {
+    const revisions = await this.getRevisions(noteId);
+    
+    if (revisions.length <= keep) {
+      return 0;
+    }
+    
+    const cutoff = keep > 0 ? revisions[revisions.length - keep].number : Infinity;
+    
+    return new Promise((resolve, reject) => {
+      this.db.remove({ noteId, number: { $lt: cutoff } }, { multi: true }, (err, count) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(count);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Remove every revision of a note
+   * @param {string} noteId - Note ID
+   * @returns {Promise} Resolves with the number of revisions removed
+   */
+  deleteRevisions(noteId) {
+    return new Promise((resolve, reject) => {
+      this.db.remove({ noteId }, { multi: true }, (err, count) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(count);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Remove the revisions of every note
+   * @returns {Promise} Resolves when complete
+   */
+  clearRevisions() {
+    return new Promise((resolve, reject) => {
+      this.db.remove({}, { multi: true }, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Class to handle saved searches and recent queries (NeDB backend), with
+ * each list kept as one document
+ */
+class SearchHistory extends SearchListStore {
+  /**
+   * @param {Object} options - Store options (see createDatastore)
+   */
+  constructor(options = {}) {
+    super();
+    this.db = createDatastore('searches.db', options);
+  }
+  
+  /**
+   * Load the stored searches. Queries made before this wait for it.
+   * @returns {Promise} Resolves when loaded
+   */
+  load() {
+    return loadDatastore(this.db);
+  }
+  
+  /**
+   * Get a stored list
+   * @param {string} name - 'saved_searches' or 'recent_queries'
+   * @returns {Promise} Resolves with the items, empty if none were stored
+   */
+  getList(name) {
+    return new Promise((resolve, reject) => {
+      this.db.findOne({ type: name }, (err, doc) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(doc ? doc.items : []);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Replace a stored list
+   * @param {string} name - 'saved_searches' or 'recent_queries'
+   * @param {Array} items - Items to store
+   * @returns {Promise} Resolves when complete
+   */
+  putList(name, items) {
+    return new Promise((resolve, reject) => {
+      this.db.update({ type: name }, { type: name, items }, { upsert: true }, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Class to handle the serialized search index file (NeDB and SQLite backends)
+ */
+class SearchIndexFile {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Storage directory
+   * @param {Object} options.codec - Cipher from encryption.js; when given,
+   *   the file is encrypted
+   */
+  constructor(options = {}) {
+    this.filename = path.join(options.directory, 'search-index.json');
+    this.codec = options.codec || null;
+  }
+  
+  /**
+   * Write the serialized index, replacing any previous one atomically
+   * @param {string} data - Serialized index
+   * @returns {Promise} Resolves with the SHA-256 checksum of the data
+   *   (before encryption)
+   */
+  save(data) {
+    const tempFile = `${this.filename}.tmp`;
+    const checksum = checksumOf(data);
+    const contents = this.codec ? this.codec.encrypt(data) : data;
+    
+    return fs.promises.writeFile(tempFile, contents)
+      .then(() => fs.promises.rename(tempFile, this.filename))
+      .then(() => checksum);
+  }
+  
+  /**
+   * Read the serialized index
+   * @returns {Promise} Resolves with { data, checksum }, or null if there is no saved index
+   */
+  load() {
+    return fs.promises.readFile(this.filename, 'utf8')
+      .then(contents => (this.codec ? this.codec.decrypt(contents) : contents))
+      .then(data => ({
+        data,
+        checksum: checksumOf(data)
+      }))
+      .catch(err => {
+        if (err.code === 'ENOENT') {
+          return null;
+        }
+        throw err;
+      });
+  }
+}
+
+// Copy a document so callers never share objects with the store
+function copyDoc(doc) {
+  return doc ? JSON.parse(JSON.stringify(doc)) : null;
+}
+
+/**
+ * Note storage kept in memory (memory backend). Same methods as NotesDatabase.
+ */
+class MemoryNotesDatabase {
+  constructor() {
+    this.notes = new Map();
+  }
+  
+  async load() {}
+  
+  async saveNote(note) {
+    const existed = this.notes.has(note.id);
+    this.notes.set(note.id, copyDoc(note));
+    return { ...note, _updated: existed, _new: !existed };
+  }
+  
+  saveNotes(notes) {
+    return Promise.all(notes.map(note => this.saveNote(note)));
+  }
+  
+  async getNote(id) {
+    return copyDoc(this.notes.get(id));
+  }
+  
+  async getAllNotes() {
+    return [...this.notes.values()].map(copyDoc);
+  }
+  
+  async getNoteVersions() {
+    return new Map([...this.notes.values()].map(doc => [doc.id, noteVersion(doc)]));
+  }
+  
+  async countNotes() {
+    return this.notes.size;
+  }
+  
+  async getNotesByFolder(folder, account) {
+    return [...this.notes.values()]
+      .filter(doc => doc.folder === folder && (account === undefined || doc.account === account))
+      .map(copyDoc);
+  }
+  
+  async deleteNote(id) {
+    return this.notes.delete(id) ? 1 : 0;
+  }
+  
+  async getFolders() {
+    return buildFolderTree([...this.notes.values()]);
+  }
+}
+
+/**
+ * Index metadata kept in memory (memory backend). Same methods as IndexMetadata.
+ */
+class MemoryIndexMetadata {
+  constructor() {
+    this.metadata = null;
+  }
+  
+  async load() {}
+  
+  async saveMetadata(metadata) {
+    this.metadata = copyDoc({ ...metadata, type: 'index_metadata', updatedAt: new Date().toISOString() });
+  }
+  
+  async updateMetadata(fields) {
+    this.metadata = copyDoc({
+      ...(this.metadata || { type: 'index_metadata' }),
+      ...fields,
+      updatedAt: new Date().toISOString()
+    });
+  }
+  
+  async getMetadata() {
+    return copyDoc(this.metadata) || defaultMetadata();
+  }
+}
+
+/**
+ * Revisions kept in memory (memory backend). Same methods as RevisionHistory.
+ */
+class MemoryRevisionHistory {
+  constructor() {
+    this.revisions = new Map();
+  }
+  
+  async load() {}
+  
+  async saveRevision(revision) {
+    const revisions = this.revisions.get(revision.noteId) || [];
+    revisions.push(copyDoc(revision));
+    revisions.sort((a, b) => a.number - b.number);
+    this.revisions.set(revision.noteId, revisions);
+  }
+  
+  async getRevisions(noteId) {
+    return (this.revisions.get(noteId) || []).map(copyDoc);
+  }
+  
+  async pruneRevisions(noteId, keep) {
+    const revisions = this.revisions.get(noteId) || [];
+    const removed = Math.max(0, revisions.length - keep);
+    
+    if (removed > 0) {
+      this.revisions.set(noteId, revisions.slice(removed));
+    }
+    return removed;
+  }
+  
+  async deleteRevisions(noteId) {
+    const count = (this.revisions.get(noteId) || []).length;
+    this.revisions.delete(noteId);
+    return count;
+  }
+  
+  async clearRevisions() {
+    this.revisions.clear();
+  }
+}
+
+/**
+ * Saved searches and recent queries kept in memory (memory backend). Same
+ * methods as SearchHistory.
+ */
+class MemorySearchHistory extends SearchListStore {
+  constructor() {
+    super();
+    this.lists = new Map();
+  }
+  
+  async load() {}
+  
+  async getList(name) {
+    return copyDoc(this.lists.get(name) || []);
+  }
+  
+  async putList(name, items) {
+    this.lists.set(name, copyDoc(items));
+  }
+}
+
+/**
+ * Serialized search index kept in memory (memory backend). Same methods as
+ * SearchIndexFile.
+ */
+class MemoryIndexFile {
+  constructor() {
+    this.data = null;
+  }
+  
+  async save(data) {
+    this.data = data;
+    return checksumOf(data);
+  }
+  
+  async load() {
+    return this.data === null ? null : { data: this.data, checksum: checksumOf(this.data) };
+  }
+}
+
+/**
+ * Create the stores of a storage backend
+ * @param {Object} settings - { backend, directory } from storageSettings
+ * @param {Object} options - Store options
+ * @param {Object} options.codec - Cipher from encryption.js for encrypted
+ *   stores (ignored by the memory backend)
+ * @param {boolean} options.rewrite - Re-encode every stored record while
+ *   loading, e.g. to encrypt plaintext stores or change keys
+ * @returns {Object} { notesDb, metadataDb, historyDb, searchesDb, indexFile },
+ *   to be loaded with the load() method of the databases before use
+ */
+function createStorage(settings, options = {}) {
+  switch (settings.backend) {
+    case 'nedb': {
+      const storeOptions = { ...options, directory: ensureStorageDir(settings.directory) };
+      
+      return {
+        notesDb: new NotesDatabase(storeOptions),
+        metadataDb: new IndexMetadata(storeOptions),
+        historyDb: new RevisionHistory(storeOptions),
+        searchesDb: new SearchHistory(storeOptions),
+        indexFile: new SearchIndexFile(storeOptions)
+      };
+    }
+    
+    case 'sqlite': {
+      // Loaded lazily so the other backends work without better-sqlite3
+      const { openSqliteStorage } = require('./sqlite');
+      const storeOptions = { ...options, directory: ensureStorageDir(settings.directory) };
+      
+      return {
+        ...openSqliteStorage(storeOptions),
+        indexFile: new SearchIndexFile(storeOptions)
+      };
+    }
+    
+    case 'memory':
+      return {
+        notesDb: new MemoryNotesDatabase(),
+        metadataDb: new MemoryIndexMetadata(),
+        historyDb: new MemoryRevisionHistory(),
+        searchesDb: new MemorySearchHistory(),
+        indexFile: new MemoryIndexFile()
+      };
+    
+    default:
+      throw new Error(`Unknown storage backend: ${settings.backend}`);
+  }
+}
+
 module.exports = {
   NotesDatabase,
   IndexMetadata,
-  getStorageDir
+  RevisionHistory,
+  SearchListStore,
+  SearchHistory,
+  SearchIndexFile,
+  MemoryNotesDatabase,
+  MemoryIndexMetadata,
+  MemoryRevisionHistory,
+  MemorySearchHistory,
+  MemoryIndexFile,
+  configureStorage,
+  storageSettings,
+  createStorage,
+  checksumOf,
+  noteVersion,
+  defaultMetadata
 };
\ No newline at end of file
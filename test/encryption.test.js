@@ -0,0 +1,156 @@
+// At-rest encryption: the NeDB stores and the search index file must round
+// trip through the cipher, refuse to load with the wrong key instead of
+// dropping records, and reload with the new key after a rotation.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  EncryptionKeyError,
+  Cipher,
+  generateKeyFile,
+  unlockStorage,
+  prepareKeyRotation,
+  saveEncryptionState
+} = require('../encryption');
+const { createStorage } = require('../storage');
+
+const NOTE = {
+  id: 'note-1',
+  name: 'Bank',
+  body: '<div>Account 12345678</div>',
+  text: 'Account 12345678',
+  folder: 'Notes',
+  modificationDate: '2024-01-02T00:00:00.000Z'
+};
+
+const INDEX = JSON.stringify({ version: 'test', words: ['account'] });
+
+let storageDir;
+
+beforeEach(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-'));
+});
+
+afterEach(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+// Open the stores the way index.js does: load them with the cipher, write
+// the index file again and record the key once a pending state is rewritten
+async function open({ cipher, pending }) {
+  const stores = createStorage({ backend: 'nedb', directory: storageDir }, { codec: cipher, rewrite: !!pending });
+  
+  await stores.notesDb.load();
+  
+  if (pending) {
+    const stored = await stores.indexFile.load();
+    if (stored) {
+      await stores.indexFile.save(stored.data);
+    }
+    saveEncryptionState(storageDir, pending);
+  }
+  
+  return stores;
+}
+
+// Configuration using a key file, which is created when missing
+function keyConfig(name) {
+  const keyFile = path.join(storageDir, name);
+  if (!fs.existsSync(keyFile)) {
+    generateKeyFile(keyFile);
+  }
+  return { encryption: { enabled: true, keyFile } };
+}
+
+// Contents of the files holding notes and the index
+function storedText() {
+  return ['notes.db', 'search-index.json']
+    .map(file => fs.readFileSync(path.join(storageDir, file), 'utf8'))
+    .join('\n');
+}
+
+test('the cipher round trips and rejects other keys and tampering', () => {
+  const cipher = new Cipher(crypto.randomBytes(32));
+  const encrypted = cipher.encrypt('secret text');
+  
+  assert.notStrictEqual(encrypted, cipher.encrypt('secret text'), 'a new IV for each value');
+  assert.ok(!encrypted.includes('secret'));
+  assert.strictEqual(cipher.decrypt(encrypted), 'secret text');
+  
+  assert.throws(() => new Cipher(crypto.randomBytes(32)).decrypt(encrypted), EncryptionKeyError);
+  assert.throws(() => cipher.decrypt(encrypted.slice(0, -4) + 'AAA='), EncryptionKeyError);
+  assert.throws(() => cipher.decrypt('plain text'), EncryptionKeyError);
+});
+
+test('encrypted stores round trip and hold no plaintext', async () => {
+  const config = keyConfig('key');
+  const stores = await open(unlockStorage(storageDir, config));
+  
+  await stores.notesDb.saveNote(NOTE);
+  await stores.indexFile.save(INDEX);
+  
+  assert.ok(!storedText().includes('12345678'));
+  
+  const reopened = await open(unlockStorage(storageDir, config));
+  assert.strictEqual((await reopened.notesDb.getNote(NOTE.id)).text, NOTE.text);
+  assert.strictEqual((await reopened.indexFile.load()).data, INDEX);
+});
+
+test('the wrong key fails instead of dropping records', async () => {
+  const stores = await open(unlockStorage(storageDir, keyConfig('key')));
+  await stores.notesDb.saveNote(NOTE);
+  await stores.indexFile.save(INDEX);
+  
+  assert.throws(() => unlockStorage(storageDir, keyConfig('other-key')), EncryptionKeyError);
+  assert.throws(() => unlockStorage(storageDir, {}), EncryptionKeyError, 'encrypted stores always need a key');
+  
+  // Past the key check, NeDB must refuse the lines it cannot decrypt
+  const wrong = createStorage({ backend: 'nedb', directory: storageDir }, { codec: new Cipher(crypto.randomBytes(32)) });
+  await assert.rejects(wrong.notesDb.load());
+  await assert.rejects(wrong.indexFile.load(), EncryptionKeyError);
+});
+
+test('plaintext stores are encrypted when encryption is enabled', async () => {
+  const plain = await open(unlockStorage(storageDir, {}));
+  await plain.notesDb.saveNote(NOTE);
+  await plain.indexFile.save(INDEX);
+  assert.ok(storedText().includes('12345678'));
+  
+  const config = keyConfig('key');
+  const migrated = await open(unlockStorage(storageDir, config));
+  
+  assert.ok(!storedText().includes('12345678'));
+  assert.strictEqual((await migrated.notesDb.getNote(NOTE.id)).text, NOTE.text);
+  assert.strictEqual(unlockStorage(storageDir, config).pending, null);
+});
+
+test('rotating the key rewrites the stores for the new key only', async () => {
+  const oldConfig = keyConfig('old-key');
+  const stores = await open(unlockStorage(storageDir, oldConfig));
+  await stores.notesDb.saveNote(NOTE);
+  await stores.indexFile.save(INDEX);
+  
+  const newConfig = keyConfig('new-key');
+  await open(prepareKeyRotation(storageDir, oldConfig, { keyFile: newConfig.encryption.keyFile }));
+  
+  const reloaded = await open(unlockStorage(storageDir, newConfig));
+  assert.strictEqual((await reloaded.notesDb.getNote(NOTE.id)).text, NOTE.text);
+  assert.strictEqual((await reloaded.indexFile.load()).data, INDEX);
+  assert.ok(!storedText().includes('12345678'));
+  
+  assert.throws(() => unlockStorage(storageDir, oldConfig), EncryptionKeyError);
+});
+
+test('rotation needs encrypted stores and a new key', async () => {
+  await open(unlockStorage(storageDir, {}));
+  assert.throws(() => prepareKeyRotation(storageDir, {}, { keyFile: keyConfig('key').encryption.keyFile }), EncryptionKeyError);
+  
+  const config = keyConfig('key');
+  await open(unlockStorage(storageDir, config));
+  assert.throws(() => prepareKeyRotation(storageDir, config, {}), EncryptionKeyError);
+});
@@ -0,0 +1,171 @@
+// Revision history: a sync keeps the version a changed note replaces,
+// history.maxRevisions caps how many are kept, and noteHistory diffs any two
+// versions, including the current note, also through the MCP tool.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const notesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-notes-'));
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-config-'));
+const configFile = path.join(configDir, 'config.json');
+
+process.env.NOTES_SOURCE = 'filesystem';
+process.env.NOTES_DIR = notesDir;
+process.env.NOTES_INDEXER_CONFIG = configFile;
+
+require('../storage').configureStorage({ backend: 'memory' });
+
+const indexer = require('../index');
+const { handleMessage } = require('../server');
+const { historySettings, diffLines, diffHunks } = require('../history');
+
+// Version n of the plan note: one line changes each time
+function plan(n, options = {}) {
+  return {
+    id: 'plan-1',
+    name: options.name || 'Plan',
+    body: ['Goals', `Step ${n}`, 'Owner: Sam'].map(line => `<div>${line}</div>`).join(''),
+    folder: 'Notes',
+    creationDate: '2024-01-01T00:00:00.000Z',
+    modificationDate: new Date(Date.UTC(2024, 0, 1 + (options.day || n))).toISOString()
+  };
+}
+
+// Write the notes and sync them
+async function sync(notes) {
+  fs.writeFileSync(path.join(notesDir, 'notes.json'), JSON.stringify(notes));
+  const result = await indexer.indexNotes();
+  assert.strictEqual(result.success, true, result.error);
+  return result;
+}
+
+// Revision numbers listed for the plan note, without 'current'
+async function revisionNumbers() {
+  const history = await indexer.noteHistory('plan-1');
+  assert.strictEqual(history.success, true, history.error);
+  return history.revisions.map(revision => revision.revision).filter(number => number !== 'current');
+}
+
+// Call the noteHistory tool
+function callTool(args) {
+  return handleMessage({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'tools/call',
+    params: { name: 'noteHistory', arguments: { id: 'plan-1', ...args } }
+  }, () => {});
+}
+
+before(async () => {
+  fs.writeFileSync(configFile, JSON.stringify({ history: { maxRevisions: 2 } }));
+  
+  for (let n = 1; n <= 4; n++) {
+    await sync([plan(n)]);
+  }
+});
+
+after(async () => {
+  await indexer.shutdown();
+  fs.rmSync(notesDir, { recursive: true, force: true });
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+test('each change keeps a revision, pruned to history.maxRevisions', async () => {
+  assert.deepStrictEqual(await revisionNumbers(), [2, 3]);
+  
+  // A new modification date alone is not a change
+  await sync([plan(4, { day: 9 })]);
+  assert.deepStrictEqual(await revisionNumbers(), [2, 3]);
+});
+
+test('the newest revision is compared with the current note by default', async () => {
+  const { diff } = await indexer.noteHistory('plan-1');
+  
+  assert.strictEqual(diff.from, 3);
+  assert.strictEqual(diff.to, 'current');
+  assert.strictEqual(diff.added, 1);
+  assert.strictEqual(diff.removed, 1);
+  assert.deepStrictEqual(diff.hunks[0].lines.filter(line => line.type !== ' '), [
+    { type: '-', text: 'Step 3' },
+    { type: '+', text: 'Step 4' }
+  ]);
+});
+
+test('any two versions can be compared, in either direction', async () => {
+  const { diff } = await indexer.noteHistory('plan-1', { from: 'current', to: 2 });
+  
+  assert.strictEqual(diff.from, 'current');
+  assert.strictEqual(diff.to, 2);
+  assert.deepStrictEqual(diff.hunks[0].lines.filter(line => line.type !== ' '), [
+    { type: '-', text: 'Step 4' },
+    { type: '+', text: 'Step 2' }
+  ]);
+  
+  const pruned = await indexer.noteHistory('plan-1', { from: 1 });
+  assert.strictEqual(pruned.success, false);
+  assert.match(pruned.error, /no revision 1 \(revisions: 2, 3\)/);
+});
+
+test('the noteHistory tool accepts revision numbers and "current"', async () => {
+  const numbers = await callTool({ from: 2, to: 3 });
+  assert.ok(!numbers.error && !numbers.result.isError, JSON.stringify(numbers));
+  
+  const current = await callTool({ from: 'current', to: 2 });
+  assert.ok(!current.error && !current.result.isError, JSON.stringify(current));
+  
+  const invalid = await callTool({ from: 'latest' });
+  assert.match(invalid.error.message, /from must be of type integer, or must be one of: current/);
+  
+  const zero = await callTool({ to: 0 });
+  assert.match(zero.error.message, /to must be at least 1/);
+});
+
+test('renaming a note keeps a revision too', async () => {
+  await sync([plan(4, { day: 10, name: 'Project plan' })]);
+  
+  const history = await indexer.noteHistory('plan-1');
+  assert.deepStrictEqual(history.revisions.map(revision => [revision.revision, revision.name]), [
+    [3, 'Plan'],
+    [4, 'Plan'],
+    ['current', 'Project plan']
+  ]);
+  assert.strictEqual(history.diff.fromName, 'Plan');
+  assert.strictEqual(history.diff.toName, 'Project plan');
+});
+
+test('revisions are removed with their note', async () => {
+  await sync([]);
+  assert.strictEqual((await indexer.noteHistory('plan-1')).notFound, true);
+  
+  await sync([plan(1)]);
+  assert.deepStrictEqual(await revisionNumbers(), []);
+});
+
+test('diffLines and diffHunks', () => {
+  const oldText = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+  const newText = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k'].join('\n');
+  const lines = diffLines(oldText, newText);
+  
+  assert.deepStrictEqual(lines.filter(line => line.type !== ' '), [
+    { type: '-', text: 'b' },
+    { type: '+', text: 'B' },
+    { type: '+', text: 'k' }
+  ]);
+  
+  const hunks = diffHunks(lines, 1);
+  assert.deepStrictEqual(hunks.map(({ oldStart, oldLines, newStart, newLines }) => [oldStart, oldLines, newStart, newLines]), [
+    [1, 3, 1, 3],
+    [10, 1, 10, 2]
+  ]);
+  assert.deepStrictEqual(diffLines('', 'x'), [{ type: '+', text: 'x' }]);
+});
+
+test('historySettings', () => {
+  assert.deepStrictEqual(historySettings({}), { maxRevisions: 20, maxQueries: 50 });
+  assert.deepStrictEqual(historySettings({ history: { maxRevisions: 0 } }), { maxRevisions: 0, maxQueries: 50 });
+  assert.throws(() => historySettings({ history: { maxRevisions: -1 } }), /maxRevisions/);
+  assert.throws(() => historySettings({ history: { maxQueries: 1.5 } }), /maxQueries/);
+});
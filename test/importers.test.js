@@ -0,0 +1,148 @@
+// Importers read the example exports in fixtures/import into notes shaped
+// like the note sources' notes: titles, folders and dates from the export,
+// bodies as HTML that content.js normalizes like Apple Notes HTML.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createImporter, markdownToHtml } = require('../importers');
+const { normalizeNote } = require('../content');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'import');
+
+// Notes an importer reads from a fixture, normalized as a sync would
+async function importFixture(name) {
+  const notes = await createImporter(path.join(FIXTURES, name)).fetchNotes();
+  return notes.map(note => normalizeNote(note));
+}
+
+// Note with the given title
+function titled(notes, name) {
+  const note = notes.find(candidate => candidate.name === name);
+  assert.ok(note, `no note titled ${name}`);
+  return note;
+}
+
+test('ENEX notes keep their titles, notebook and dates', async () => {
+  const notes = await importFixture('Travel.enex');
+  
+  assert.deepStrictEqual(notes.map(note => note.name), ['Lisbon packing list', 'Tram 28 & viewpoints']);
+  notes.forEach(note => {
+    assert.strictEqual(note.folder, 'Travel');
+    assert.strictEqual(note.account, 'Evernote');
+    assert.strictEqual(note.source, 'enex');
+    assert.match(note.id, /^enex:Travel\/[0-9a-f]{16}$/);
+  });
+  
+  const packing = titled(notes, 'Lisbon packing list');
+  assert.strictEqual(new Date(packing.creationDate).toISOString(), '2023-05-12T08:15:00.000Z');
+  assert.strictEqual(new Date(packing.modificationDate).toISOString(), '2023-05-14T19:30:00.000Z');
+});
+
+test('ENEX markup becomes note HTML with checklists and tags', async () => {
+  const notes = await importFixture('Travel.enex');
+  const packing = titled(notes, 'Lisbon packing list');
+  const tram = titled(notes, 'Tram 28 & viewpoints');
+  
+  assert.ok(!/<en-|<\?xml|DOCTYPE/.test(packing.body), 'ENML wrappers are removed');
+  assert.deepStrictEqual(packing.checklist, [
+    { text: 'Passport', done: true },
+    { text: 'Travel adapter', done: false },
+    { text: 'Sunscreen', done: false }
+  ]);
+  assert.deepStrictEqual(packing.tags, ['travel', 'lisbon-2023']);
+  
+  assert.deepStrictEqual(tram.checklist, [
+    { text: 'Miradouro da Graça', done: true },
+    { text: 'Miradouro de Santa Luzia', done: false }
+  ]);
+  assert.deepStrictEqual(tram.links, [{ url: 'https://www.carris.pt/', text: 'carris.pt' }]);
+});
+
+test('importing the same export again gives the same IDs', async () => {
+  const first = await importFixture('Travel.enex');
+  const second = await importFixture('Travel.enex');
+  
+  assert.deepStrictEqual(second.map(note => note.id), first.map(note => note.id));
+  assert.strictEqual(new Set(first.map(note => note.id)).size, first.length);
+});
+
+test('Markdown notes take titles, folders and dates from front matter and paths', async () => {
+  const notes = await importFixture('Garden');
+  
+  // .obsidian is skipped
+  assert.deepStrictEqual(notes.map(note => note.id), ['markdown:Garden/Plants/Tomatoes.md', 'markdown:Garden/Seed swap.md']);
+  
+  const swap = titled(notes, 'Seed swap 2024');
+  assert.strictEqual(swap.folder, 'Garden');
+  assert.strictEqual(swap.account, 'Markdown');
+  assert.strictEqual(new Date(swap.creationDate).toISOString(), '2024-02-03T00:00:00.000Z');
+  assert.strictEqual(new Date(swap.modificationDate).toISOString(), '2024-02-10T18:30:00.000Z');
+  
+  // Without front matter dates, the file's dates are used
+  const tomatoes = titled(notes, 'Tomatoes');
+  const stat = fs.statSync(path.join(FIXTURES, 'Garden', 'Plants', 'Tomatoes.md'));
+  assert.strictEqual(tomatoes.folder, 'Garden/Plants');
+  assert.strictEqual(new Date(tomatoes.modificationDate).getTime(), stat.mtime.getTime());
+});
+
+test('Markdown becomes note HTML with checklists, tags, links and code', async () => {
+  const notes = await importFixture('Garden');
+  const swap = titled(notes, 'Seed swap 2024');
+  const tomatoes = titled(notes, 'Tomatoes');
+  
+  assert.ok(swap.body.includes('<strong>labelled</strong>'));
+  assert.ok(swap.text.includes('the tomato seeds'), 'wiki links keep their label');
+  assert.deepStrictEqual(swap.checklist.map(item => [item.text, item.done]), [
+    ['Sort seeds by family', true],
+    ['Print labels', false],
+    ['Ask @robin for the printer', false],
+    ['Book the hall', false]
+  ]);
+  assert.deepStrictEqual(swap.tags, ['garden', 'events']);
+  assert.deepStrictEqual(swap.mentions, ['robin']);
+  assert.deepStrictEqual(swap.links, [{ url: 'https://example.org/seed-swap', text: 'the club site' }]);
+  
+  assert.ok(tomatoes.body.includes('<th>Variety</th>'), 'tables are kept');
+  assert.ok(tomatoes.text.includes('Sungold\tMarch\tSweet, early'));
+  assert.deepStrictEqual(tomatoes.tags, ['tomatoes', 'garden/vegetables']);
+  assert.deepStrictEqual(tomatoes.codeSnippets.map(snippet => snippet.code), ['echo "water at 7am" | crontab -']);
+});
+
+test('markdownToHtml escapes markup in the text', () => {
+  const html = markdownToHtml('Hi <script>alert(1)</script> and `a<b`');
+  
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes('&lt;script&gt;'));
+  assert.ok(html.includes('<code>a&lt;b</code>'));
+});
+
+test('imports of the wrong kind are refused', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-'));
+  const file = path.join(dir, 'notes.txt');
+  fs.writeFileSync(file, 'text');
+  
+  try {
+    assert.throws(() => createImporter(path.join(dir, 'missing.enex')), /Nothing to import/);
+    assert.throws(() => createImporter(file), /Cannot import/);
+    assert.throws(() => createImporter(dir, 'enex'), /Expected an \.enex file/);
+    assert.throws(() => createImporter(path.join(FIXTURES, 'Travel.enex'), 'markdown'), /Expected a folder/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('files that are not ENEX exports are rejected', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-'));
+  const file = path.join(dir, 'notes.enex');
+  fs.writeFileSync(file, '<html><body>not an export</body></html>');
+  
+  try {
+    await assert.rejects(createImporter(file).fetchNotes(), /Not an Evernote export/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
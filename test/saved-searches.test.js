@@ -0,0 +1,85 @@
+// Saved searches count the notes a query newly matches since it was last
+// run. The counts must not drift with the approximate matches searchNotes
+// adds when only a few notes match exactly.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const notesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-searches-'));
+
+process.env.NOTES_SOURCE = 'filesystem';
+process.env.NOTES_DIR = notesDir;
+process.env.NOTES_INDEXER_CONFIG = path.join(notesDir, 'no-config.json');
+
+require('../storage').configureStorage({ backend: 'memory' });
+
+const indexer = require('../index');
+
+function note(id, text) {
+  return {
+    id,
+    name: id,
+    body: `<div>${text}</div>`,
+    folder: 'Notes',
+    creationDate: '2024-01-01T00:00:00.000Z',
+    modificationDate: '2024-01-02T00:00:00.000Z'
+  };
+}
+
+// Write the notes and sync them
+async function sync(notes) {
+  fs.writeFileSync(path.join(notesDir, 'notes.json'), JSON.stringify(notes));
+  const result = await indexer.indexNotes();
+  assert.strictEqual(result.success, true, result.error);
+}
+
+// The listed saved search called name
+async function listed(name) {
+  const result = await indexer.listSavedSearches();
+  assert.strictEqual(result.success, true, result.error);
+  return result.searches.find(search => search.name === name);
+}
+
+after(async () => {
+  await indexer.shutdown();
+  fs.rmSync(notesDir, { recursive: true, force: true });
+});
+
+test('new matches are counted from exact matches only', async () => {
+  const notes = [
+    note('work-1', 'Work on the roadmap'),
+    note('work-2', 'Work items for Friday'),
+    // Only an approximate match: a longer word starting with the query
+    note('workshop-1', 'Workshop agenda')
+  ];
+  
+  await sync(notes);
+  
+  const saved = await indexer.saveSearch('Work', { query: 'work' });
+  assert.strictEqual(saved.success, true, saved.error);
+  assert.strictEqual(saved.search.total, 2);
+  assert.strictEqual(saved.search.newMatches, 0);
+  
+  await sync([...notes, note('work-3', 'Work from home on Monday')]);
+  const changed = await listed('Work');
+  assert.strictEqual(changed.total, 3);
+  assert.strictEqual(changed.newMatches, 1);
+  
+  const run = await indexer.runSavedSearch('Work');
+  assert.strictEqual(run.success, true, run.error);
+  assert.deepStrictEqual(run.results.map(result => [result.id, result.isNew]).sort(), [
+    ['work-1', false],
+    ['work-2', false],
+    ['work-3', true]
+  ]);
+  assert.strictEqual((await listed('Work')).newMatches, 0);
+  
+  // Back under the few-results threshold, the approximate match is not new
+  await sync(notes);
+  const restored = await listed('Work');
+  assert.strictEqual(restored.total, 2);
+  assert.strictEqual(restored.newMatches, 0);
+});
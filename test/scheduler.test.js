@@ -0,0 +1,228 @@
+// Index jobs run one at a time: a sync requested during another waits its
+// turn, cancelling stops a queued or running sync, and searches keep using
+// the last complete index while a sync runs.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const notesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+
+process.env.NOTES_SOURCE = 'filesystem';
+process.env.NOTES_DIR = notesDir;
+process.env.NOTES_INDEXER_CONFIG = path.join(notesDir, 'no-config.json');
+
+require('../storage').configureStorage({ backend: 'memory' });
+
+const indexer = require('../index');
+const { IndexCancelledError, IndexJob, IndexLock, IndexScheduler, throwIfCancelled, watchSettings } = require('../scheduler');
+
+// Notes in a sync, enough that it takes many turns of the event loop
+const NOTE_COUNT = 200;
+
+// Write NOTE_COUNT notes mentioning word, dated by day
+function writeNotes(word, day) {
+  const notes = Array.from({ length: NOTE_COUNT }, (unused, i) => ({
+    id: `note-${i}`,
+    name: `Note ${i}`,
+    body: `<div>Note ${i}</div><div>About ${word}</div>`,
+    folder: 'Notes',
+    creationDate: '2024-01-01T00:00:00.000Z',
+    modificationDate: new Date(Date.UTC(2024, 0, day)).toISOString()
+  }));
+  
+  fs.writeFileSync(path.join(notesDir, 'notes.json'), JSON.stringify(notes));
+}
+
+// Number of notes a query finds
+async function total(query) {
+  const result = await indexer.searchNotes(query, { limit: 1 });
+  assert.strictEqual(result.success, true, result.error);
+  return result.total;
+}
+
+// Call once the sync reaches the given note of the saving phase
+function atNote(number, callback) {
+  let called = false;
+  
+  return progress => {
+    if (!called && progress.phase === 'saving' && progress.current === number) {
+      called = true;
+      callback();
+    }
+  };
+}
+
+before(async () => {
+  writeNotes('alpha', 2);
+  const result = await indexer.indexNotes();
+  assert.strictEqual(result.success, true, result.error);
+});
+
+after(async () => {
+  await indexer.shutdown();
+  fs.rmSync(notesDir, { recursive: true, force: true });
+});
+
+test('a sync requested during another runs after it', async () => {
+  writeNotes('bravo', 3);
+  
+  let queued;
+  let waiting;
+  const first = await indexer.indexNotes({
+    onProgress: atNote(1, () => {
+      queued = indexer.indexNotes({ background: true });
+      waiting = indexer.indexNotes();
+    })
+  });
+  
+  assert.strictEqual(first.success, true, first.error);
+  assert.strictEqual(first.updated, NOTE_COUNT);
+  
+  const { job } = await queued;
+  const second = await waiting;
+  
+  assert.strictEqual(job.state, 'queued');
+  assert.notStrictEqual(job.id, first.job.id);
+  assert.strictEqual(second.job.id, job.id, 'requests made while a sync waits share it');
+  assert.ok(second.job.startedAt >= first.job.finishedAt, 'the second sync started after the first finished');
+  assert.strictEqual(second.unchanged, NOTE_COUNT);
+});
+
+test('cancelling a queued sync leaves the running one alone', async () => {
+  writeNotes('charlie', 4);
+  
+  const controller = new AbortController();
+  let waiting;
+  const first = await indexer.indexNotes({
+    onProgress: atNote(1, () => {
+      waiting = indexer.indexNotes({ signal: controller.signal });
+      controller.abort();
+    })
+  });
+  const second = await waiting;
+  
+  assert.strictEqual(first.success, true, first.error);
+  assert.strictEqual(second.cancelled, true);
+  assert.strictEqual(second.job.progress, null, 'the cancelled sync never started');
+  assert.strictEqual(await total('charlie'), NOTE_COUNT);
+});
+
+test('cancelling a running sync keeps the previous index', async () => {
+  writeNotes('delta', 5);
+  
+  let cancelled;
+  const result = await indexer.indexNotes({
+    onProgress: atNote(10, () => {
+      cancelled = indexer.cancelIndexing();
+    })
+  });
+  
+  assert.strictEqual(result.cancelled, true);
+  assert.strictEqual(result.job.progress.current, 10, 'the sync stopped at the next note');
+  assert.deepStrictEqual((await cancelled).cancelled.map(job => job.id), [result.job.id]);
+  
+  assert.strictEqual(await total('delta'), 0);
+  assert.strictEqual(await total('charlie'), NOTE_COUNT);
+  
+  // The ten notes saved before it stopped are kept; the next sync saves the rest
+  const next = await indexer.indexNotes();
+  assert.strictEqual(next.updated, NOTE_COUNT - 10);
+  assert.strictEqual(await total('delta'), NOTE_COUNT);
+});
+
+test('searches answer from the last index while a sync runs', async () => {
+  writeNotes('echo', 6);
+  
+  const order = [];
+  let searching;
+  const result = await indexer.indexNotes({
+    onProgress: atNote(1, () => {
+      searching = Promise.all([total('delta'), total('echo')]).then(totals => {
+        order.push('search');
+        return totals;
+      });
+    })
+  });
+  order.push('sync');
+  
+  assert.strictEqual(result.success, true, result.error);
+  assert.deepStrictEqual(await searching, [NOTE_COUNT, 0]);
+  assert.deepStrictEqual(order, ['search', 'sync']);
+  assert.strictEqual(await total('echo'), NOTE_COUNT);
+});
+
+test('IndexLock runs tasks in order, past failures', async () => {
+  const lock = new IndexLock();
+  const order = [];
+  const slow = () => new Promise(resolve => setTimeout(resolve, 20));
+  
+  const results = await Promise.allSettled([
+    lock.run(async () => { await slow(); order.push(1); }),
+    lock.run(async () => { order.push(2); throw new Error('failed'); }),
+    lock.run(async () => { order.push(3); return 3; })
+  ]);
+  
+  assert.deepStrictEqual(order, [1, 2, 3]);
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+});
+
+test('IndexJob records progress, cancellation and failure', async () => {
+  const queued = new IndexJob({ trigger: 'schedule' });
+  assert.strictEqual(queued.cancel(), true);
+  let ran = false;
+  await queued.run(async () => { ran = true; });
+  assert.strictEqual(ran, false);
+  assert.strictEqual(queued.state, 'cancelled');
+  assert.strictEqual(queued.cancel(), false, 'a finished job cannot be cancelled');
+  
+  const running = new IndexJob();
+  await running.run(async (report, signal) => {
+    report({ phase: 'saving', current: 1, total: 2, note: 'One' });
+    running.cancel();
+    throwIfCancelled(signal);
+  });
+  assert.strictEqual(running.state, 'cancelled');
+  assert.deepStrictEqual(running.toJSON().progress, { phase: 'saving', current: 1, total: 2, note: 'One' });
+  assert.strictEqual(running.toJSON().cancelRequested, true);
+  
+  const failing = new IndexJob();
+  await failing.run(async () => { throw new Error('disk full'); });
+  assert.strictEqual(failing.state, 'failed');
+  assert.strictEqual(failing.error, 'disk full');
+  assert.ok(new IndexCancelledError() instanceof Error);
+});
+
+test('IndexScheduler reports a shared job once', async () => {
+  const job = new IndexJob({ trigger: 'schedule' });
+  const triggers = [];
+  const finished = [];
+  const scheduler = new IndexScheduler(watchSettings({ watch: { intervalMinutes: 0, onChange: false } }), {
+    sync: trigger => {
+      triggers.push(trigger);
+      return job;
+    },
+    onJob: done => finished.push(done)
+  });
+  
+  let release;
+  job.done = new Promise(resolve => { release = resolve; }).then(() => job);
+  
+  assert.strictEqual(scheduler.trigger('schedule'), job);
+  assert.strictEqual(scheduler.trigger('change'), job);
+  release();
+  await job.done;
+  await new Promise(setImmediate);
+  
+  assert.deepStrictEqual(triggers, ['schedule', 'change']);
+  assert.deepStrictEqual(finished, [job]);
+  assert.deepStrictEqual(scheduler.toJSON(), { intervalMinutes: 0, onChange: false, watching: [], nextRun: null });
+});
+
+test('watchSettings', () => {
+  assert.deepStrictEqual(watchSettings({}), { enabled: false, intervalMinutes: 15, onChange: true });
+  assert.throws(() => watchSettings({ watch: { intervalMinutes: -1 } }), /intervalMinutes/);
+  assert.throws(() => watchSettings({ watch: { onChange: 'yes' } }), /onChange/);
+});
@@ -0,0 +1,61 @@
+// Word matching of the search index: prefixes must find every note the
+// whole word finds, in whatever form each language stemmed it, and only
+// words long enough to hold a typo get corrections.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeNote } = require('../content');
+const { createEnhancedSearchIndex, parseQuery } = require('../search');
+
+const notes = [
+  ['plan-1', 'Quarterly planning', 'Planning the release with the team.'],
+  ['release-1', 'Release checklist', 'Tag the release and publish the notes.'],
+  ['release-2', 'Releases', 'Older releases are archived.'],
+  ['meeting-1', 'Meeting', 'We discussed the roadmap.']
+].map(([id, name, text]) => normalizeNote({
+  id,
+  name,
+  body: `<div>${name}</div><div>${text}</div>`,
+  folder: 'Notes',
+  creationDate: '2024-01-01T00:00:00.000Z',
+  modificationDate: '2024-01-02T00:00:00.000Z'
+}));
+
+const searchIndex = createEnhancedSearchIndex(notes);
+
+// IDs of the notes a query finds, without approximate matches
+function ids(query) {
+  return searchIndex.advancedSearch({ ast: parseQuery(query).ast }).results.map(note => note.id).sort();
+}
+
+test('a prefix finds every note the whole word finds', () => {
+  ['planning', 'release', 'releases', 'discussed', 'notes'].forEach(word => {
+    const whole = ids(word);
+    const prefix = ids(`${word}*`);
+    
+    assert.ok(whole.length > 0, `${word} finds notes`);
+    whole.forEach(id => assert.ok(prefix.includes(id), `${word}* misses ${id}`));
+  });
+});
+
+test('a prefix also finds the longer words it starts', () => {
+  assert.deepStrictEqual(ids('rel*'), ['plan-1', 'release-1', 'release-2']);
+  assert.deepStrictEqual(ids('discuss*'), ['meeting-1']);
+});
+
+// Suggested corrections of a query, allowing approximate matches
+function corrections(query) {
+  return searchIndex.advancedSearch({ ast: parseQuery(query).ast, fuzzy: true }).corrections;
+}
+
+test('short words get no corrections', () => {
+  ['a', 'x', 'm', 'ab', 'tem'].forEach(word => {
+    assert.deepStrictEqual(corrections(word), [], `${word} was corrected`);
+  });
+});
+
+test('a misspelled word gets a correction', () => {
+  assert.deepStrictEqual(corrections('relese'), [{ word: 'relese', suggestion: 'release' }]);
+  assert.deepStrictEqual(corrections('roadmpa'), [{ word: 'roadmpa', suggestion: 'roadmap' }]);
+});
@@ -0,0 +1,255 @@
+// Hostile notes, queries and names must render inertly on every page of the
+// webview and in exported HTML: no scripts or embedded content, no event
+// handlers other than the ones ui.js writes itself, and no javascript: URLs.
+//
+// The notes in fixtures/hostile are synced from a copy of that directory
+// into memory storage, so every page is built from what the commands return.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const notesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hostile-notes-'));
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hostile-export-'));
+fs.copyFileSync(path.join(__dirname, '..', 'fixtures', 'hostile', 'notes.json'), path.join(notesDir, 'notes.json'));
+
+process.env.NOTES_SOURCE = 'filesystem';
+process.env.NOTES_DIR = notesDir;
+process.env.NOTES_INDEXER_CONFIG = path.join(notesDir, 'no-config.json');
+
+require('../storage').configureStorage({ backend: 'memory' });
+
+const indexer = require('../index');
+const ui = require('../ui');
+const { sanitizeHtml } = require('../content');
+const hostileNotes = require('../fixtures/hostile/notes.json');
+
+// Markup that would run if it were not escaped
+const HOSTILE = '<img src=x onerror=alert(1)>"\'><script>alert(1)</script>';
+
+// Elements that run code or embed other documents
+const FORBIDDEN_TAGS = ['script', 'iframe', 'frame', 'object', 'embed', 'svg', 'math', 'base', 'form', 'link'];
+
+// Event handlers ui.js writes without message data
+const FIXED_HANDLERS = [
+  'window.history.back(); return false;',
+  "vscode.postMessage({command: 'indexNotes'})"
+];
+
+// Decode the character references of an attribute value, as the browser
+// does before running or following it
+function decodeAttribute(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Tags of an HTML string as { tag, attrs } with decoded attribute values
+function tagsOf(html) {
+  const tags = [];
+  const tagPattern = /<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*\/?>/g;
+  const attrPattern = /([^\s=>/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g;
+  
+  for (const [, tag, attrText] of html.matchAll(tagPattern)) {
+    const attrs = [...attrText.matchAll(attrPattern)].map(([, name, value = '']) => ({
+      name: name.toLowerCase(),
+      value: decodeAttribute(value.replace(/^["']|["']$/g, ''))
+    }));
+    
+    tags.push({ tag: tag.toLowerCase(), attrs });
+  }
+  
+  return tags;
+}
+
+/**
+ * Fail unless HTML is inert: no forbidden elements, only ui.js's own event
+ * handlers, and no URL with a scheme that runs code
+ * @param {string} html - Rendered HTML
+ * @param {string} label - Page name for failure messages
+ */
+function assertInert(html, label) {
+  assert.strictEqual(typeof html, 'string', `${label}: no HTML`);
+  
+  tagsOf(html).forEach(({ tag, attrs }) => {
+    assert.ok(!FORBIDDEN_TAGS.includes(tag), `${label}: <${tag}> survived`);
+    
+    attrs.forEach(({ name, value }) => {
+      if (name.startsWith('on')) {
+        const message = value.match(/^vscode\.postMessage\((.*)\); return false;$/s);
+        
+        assert.ok(
+          FIXED_HANDLERS.includes(value) || (message && JSON.parse(message[1])),
+          `${label}: unexpected ${name} handler ${value}`
+        );
+
+        // The message is data, which may quote hostile text
+        return;
+      }
+
+      // Browsers ignore whitespace and control characters in schemes
+      const url = value.replace(/[\u0000- ]/g, '').toLowerCase();
+      assert.ok(!/^(javascript|vbscript|data:text\/html)/.test(url) && !url.includes('javascript:'),
+        `${label}: script URL in ${name}="${value}"`);
+    });
+  });
+  
+  // Escaped note markup never turns back into tags
+  assert.ok(!/<img src=x onerror/i.test(html), `${label}: hostile title rendered as markup`);
+}
+
+// Pages built along the way, checked together at the end
+const pages = [];
+function page(label, result) {
+  assert.ok(result && result.html, `${label}: ${result && result.error}`);
+  pages.push([label, String(result.html)]);
+  return result;
+}
+
+before(async () => {
+  page('indexNotes', await indexer.indexNotes());
+});
+
+after(async () => {
+  await indexer.shutdown();
+  fs.rmSync(notesDir, { recursive: true, force: true });
+  fs.rmSync(exportDir, { recursive: true, force: true });
+});
+
+test('hostile notes are indexed', async () => {
+  const result = await indexer.searchNotes('hostile OR quote');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.total, hostileNotes.length);
+  page('searchNotes', result);
+});
+
+test('queries with markup are shown as text', async () => {
+  page('searchNotes with markup', await indexer.searchNotes(HOSTILE));
+  page('searchNotes with a quoted query', await indexer.searchNotes('"><script>alert(1)</script>'));
+  page('searchNotes without results', await indexer.searchNotes('nothing-matches-this <b onmouseover=alert(1)>'));
+});
+
+test('note pages sanitize note bodies', async () => {
+  for (const note of hostileNotes) {
+    const result = page(`getNote ${note.id}`, await indexer.getNote(note.id));
+    assert.strictEqual(result.success, true);
+  }
+  
+  page('getNote unknown', await indexer.getNote(HOSTILE));
+  
+  const detail = await indexer.getNote('hostile-1');
+  assert.ok(detail.html.includes('href="https://example.com"'), 'safe links are kept');
+});
+
+test('folder pages escape folder names', async () => {
+  page('getNotesByFolder', await indexer.getNotesByFolder());
+  page('getNotesByFolder hostile', await indexer.getNotesByFolder(hostileNotes[0].folder));
+  page('getNotesByFolder unknown', await indexer.getNotesByFolder(HOSTILE, HOSTILE));
+});
+
+test('index status, related notes and duplicates pages', async () => {
+  page('viewIndex', await indexer.viewIndex());
+  page('relatedNotes', await indexer.relatedNotes(hostileNotes[1].id));
+  page('findDuplicates', await indexer.findDuplicates({ threshold: 0.5 }));
+});
+
+test('written notes, tasks, snippets and history', async () => {
+  const options = {
+    title: HOSTILE,
+    content: `- [ ] ${HOSTILE}\n\n<script>alert(1)</script>\n\n[click](javascript:alert(1))\n\n\`\`\`sh\necho "${HOSTILE}"\n\`\`\``,
+    folder: 'Notes'
+  };
+  
+  const preview = page('createNote preview', await indexer.createNote(options));
+  const created = page('createNote', await indexer.createNote({ ...options, confirm: preview.confirm }));
+  assert.strictEqual(created.success, true, created.error);
+  
+  const id = created.note.id;
+  const append = page('appendToNote preview', await indexer.appendToNote(id, { content: HOSTILE }));
+  assert.strictEqual(append.success, true, append.error);
+  page('appendToNote', await indexer.appendToNote(id, { content: HOSTILE, confirm: append.confirm }));
+  
+  page('getNote written', await indexer.getNote(id));
+  page('noteHistory', await indexer.noteHistory(id));
+  page('listTasks', await indexer.listTasks({ status: 'all' }));
+  page('listTasks filtered', await indexer.listTasks({ status: 'open', query: HOSTILE, folder: HOSTILE }));
+  page('searchSnippets', await indexer.searchSnippets(''));
+  page('searchSnippets with markup', await indexer.searchSnippets(HOSTILE));
+});
+
+test('saved searches pages', async () => {
+  page('saveSearch', await indexer.saveSearch(HOSTILE, { query: 'hostile OR quote', pinned: true }));
+  page('listSavedSearches', await indexer.listSavedSearches());
+  page('runSavedSearch', await indexer.runSavedSearch(HOSTILE));
+  page('runSavedSearch unknown', await indexer.runSavedSearch(`${HOSTILE} missing`));
+});
+
+test('exported HTML', async () => {
+  const result = await indexer.exportNotes({ format: 'html', directory: exportDir, query: 'hostile OR quote' });
+  assert.strictEqual(result.success, true, result.error);
+  
+  const files = fs.readdirSync(exportDir, { recursive: true }).filter(file => file.endsWith('.html'));
+  assert.ok(files.length > hostileNotes.length, 'an index page and a page per note');
+  files.forEach(file => pages.push([`export ${file}`, fs.readFileSync(path.join(exportDir, file), 'utf8')]));
+});
+
+test('message, error and note fragments', () => {
+  pages.push(['createMessagePage', ui.createMessagePage(HOSTILE)]);
+  pages.push(['createErrorPage', ui.createErrorPage(HOSTILE)]);
+  hostileNotes.forEach(note => {
+    pages.push([`formatNote ${note.id}`, ui.formatNote({ ...note, text: HOSTILE })]);
+    pages.push([`formatNote detailed ${note.id}`, ui.formatNote(note, true)]);
+  });
+});
+
+test('every page renders hostile content inertly', () => {
+  assert.ok(pages.length > 0);
+  pages.forEach(([label, html]) => assertInert(html, label));
+});
+
+test('sanitizeHtml removes scripts, handlers and script URLs', () => {
+  const vectors = [
+    ...hostileNotes.map(note => note.body),
+    '<a href=" javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href="java&#x09;script:alert(1)">x</a>',
+    '<a href="&#x6A;avascript:alert(1)">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    '<img src="javascript:alert(1)">',
+    '<div onmouseover="alert(1)">x</div>',
+    '<DIV ONCLICK=alert(1)>x</DIV>',
+    '<svg><script>alert(1)</script></svg>',
+    '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+    '<object data="javascript:alert(1)"></object><embed src="x.swf">',
+    '<form action="javascript:alert(1)"><button>go</button></form>',
+    '<scr<script>ipt>alert(1)</script>',
+    '<!--><script>alert(1)</script>-->',
+    '<style>body { background: url(javascript:alert(1)) }</style>',
+    '<base href="javascript:alert(1)//">',
+    '<p style="background:url(javascript:alert(1))">x</p>',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>'
+  ];
+  
+  vectors.forEach(vector => {
+    const sanitized = sanitizeHtml(vector);
+    assertInert(sanitized, `sanitizeHtml(${vector})`);
+    assert.ok(!/<script/i.test(sanitized), `sanitizeHtml(${vector}) kept a script`);
+  });
+});
+
+test('sanitizeHtml keeps formatting and safe links', () => {
+  const sanitized = sanitizeHtml('<div><b>bold</b> <i>it</i> <a href="https://example.com/a?b=1&amp;c=2">link</a></div>');
+  
+  assert.ok(sanitized.includes('<b>bold</b>'));
+  assert.ok(sanitized.includes('<i>it</i>'));
+  assert.ok(sanitized.includes('href="https://example.com/a?b=1&amp;c=2"'));
+  assert.strictEqual(sanitizeHtml(''), '');
+});
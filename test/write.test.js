@@ -0,0 +1,169 @@
+// Writing notes through the filesystem note source: nothing is written
+// without the confirmation token of a preview, each token confirms its own
+// write once, and appending refuses notes changed since they were read.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const notesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-'));
+const notesFile = path.join(notesDir, 'notes.json');
+
+process.env.NOTES_SOURCE = 'filesystem';
+process.env.NOTES_DIR = notesDir;
+process.env.NOTES_INDEXER_CONFIG = path.join(notesDir, 'no-config.json');
+
+require('../storage').configureStorage({ backend: 'memory' });
+
+const indexer = require('../index');
+
+const NOTES = [
+  { id: 'groceries-1', name: 'Groceries', body: '<div>Groceries</div><div>Apples</div>' },
+  { id: 'errands-1', name: 'Errands', body: '<div>Errands</div><div>Post office</div>' }
+].map(note => ({
+  ...note,
+  folder: 'Notes',
+  creationDate: '2024-01-01T00:00:00.000Z',
+  modificationDate: '2024-01-02T00:00:00.000Z'
+}));
+
+// Files in the notes directory
+function files() {
+  return fs.readdirSync(notesDir, { recursive: true }).sort();
+}
+
+// Number of notes a query finds
+async function total(query) {
+  return (await indexer.searchNotes(query)).total;
+}
+
+// Change a note in notes.json behind the indexer's back
+function editOutside(id, change) {
+  const notes = JSON.parse(fs.readFileSync(notesFile, 'utf8'));
+  Object.assign(notes.find(note => note.id === id), change);
+  fs.writeFileSync(notesFile, JSON.stringify(notes));
+}
+
+before(async () => {
+  fs.writeFileSync(notesFile, JSON.stringify(NOTES));
+  const result = await indexer.indexNotes();
+  assert.strictEqual(result.success, true, result.error);
+});
+
+after(async () => {
+  await indexer.shutdown();
+  fs.rmSync(notesDir, { recursive: true, force: true });
+});
+
+test('a note is only created with its preview\'s token, once', async () => {
+  const options = { title: 'Packing list', content: '- [ ] Passport\n- [ ] Charger', folder: 'Travel' };
+  const preview = await indexer.createNote(options);
+  
+  assert.strictEqual(preview.success, true, preview.error);
+  assert.strictEqual(preview.written, false);
+  assert.strictEqual(preview.preview.folder, 'Travel');
+  assert.match(preview.preview.markdown, /Passport/);
+  assert.deepStrictEqual(files(), ['notes.json'], 'the preview wrote nothing');
+  
+  // The token of one write does not confirm another
+  const other = await indexer.createNote({ ...options, title: 'Shopping list', confirm: preview.confirm });
+  assert.strictEqual(other.success, false);
+  assert.match(other.error, /does not match/);
+  
+  const created = await indexer.createNote({ ...options, confirm: preview.confirm });
+  assert.strictEqual(created.success, true, created.error);
+  assert.strictEqual(created.written, true);
+  assert.strictEqual(created.indexed, true);
+  assert.strictEqual(created.note.folder, 'Travel');
+  assert.deepStrictEqual(files(), ['Travel', path.join('Travel', 'Packing list.json'), 'notes.json']);
+  assert.strictEqual(await total('passport'), 1, 'indexed without a sync');
+  
+  const replayed = await indexer.createNote({ ...options, confirm: preview.confirm });
+  assert.strictEqual(replayed.success, false);
+  assert.match(replayed.error, /already used/);
+  assert.strictEqual(files().length, 3, 'no second note');
+  
+  // A new preview confirms the same write again
+  const again = await indexer.createNote(options);
+  const second = await indexer.createNote({ ...options, confirm: again.confirm });
+  assert.strictEqual(second.success, true, second.error);
+  assert.ok(files().includes(path.join('Travel', 'Packing list 2.json')));
+});
+
+test('appending needs the token for that note and text', async () => {
+  const preview = await indexer.appendToNote('groceries-1', { content: 'Bananas' });
+  
+  assert.strictEqual(preview.success, true, preview.error);
+  assert.strictEqual(preview.written, false);
+  assert.strictEqual(preview.preview.title, 'Groceries');
+  assert.strictEqual(preview.preview.modificationDate, NOTES[0].modificationDate);
+  assert.strictEqual(await total('bananas'), 0);
+  
+  const wrongNote = await indexer.appendToNote('errands-1', { content: 'Bananas', confirm: preview.confirm });
+  assert.strictEqual(wrongNote.success, false);
+  assert.match(wrongNote.error, /does not match/);
+  
+  const wrongText = await indexer.appendToNote('groceries-1', { content: 'Cherries', confirm: preview.confirm });
+  assert.strictEqual(wrongText.success, false);
+  assert.match(wrongText.error, /does not match/);
+  
+  const appended = await indexer.appendToNote('groceries-1', { content: 'Bananas', confirm: preview.confirm });
+  assert.strictEqual(appended.success, true, appended.error);
+  assert.strictEqual(appended.written, true);
+  assert.strictEqual(await total('bananas'), 1);
+  
+  const stored = JSON.parse(fs.readFileSync(notesFile, 'utf8')).find(note => note.id === 'groceries-1');
+  assert.match(stored.body, /Apples.*Bananas/s);
+  assert.deepStrictEqual((await indexer.noteHistory('groceries-1')).revisions.map(revision => revision.revision), [1, 'current']);
+  
+  // Replayed for the version it was issued for, not the new one
+  const replayed = await indexer.appendToNote('groceries-1', {
+    content: 'Bananas',
+    modificationDate: NOTES[0].modificationDate,
+    confirm: preview.confirm
+  });
+  assert.strictEqual(replayed.success, false);
+  assert.match(replayed.error, /already used/);
+  assert.strictEqual((JSON.parse(fs.readFileSync(notesFile, 'utf8'))[0].body.match(/Bananas/g) || []).length, 1);
+});
+
+test('a note changed since it was read is not appended to', async () => {
+  const { note } = await indexer.getNote('errands-1');
+  const options = { content: 'Pharmacy', modificationDate: note.modificationDate };
+  const preview = await indexer.appendToNote('errands-1', options);
+  
+  editOutside('errands-1', { body: '<div>Errands</div><div>Bank</div>', modificationDate: '2024-03-01T00:00:00.000Z' });
+  
+  const result = await indexer.appendToNote('errands-1', { ...options, confirm: preview.confirm });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.conflict, true);
+  assert.match(result.error, /changed since it was read \(modified 2024-03-01T00:00:00.000Z\)/);
+  
+  const stored = JSON.parse(fs.readFileSync(notesFile, 'utf8')).find(candidate => candidate.id === 'errands-1');
+  assert.strictEqual(stored.body, '<div>Errands</div><div>Bank</div>');
+  assert.strictEqual(await total('pharmacy'), 0);
+});
+
+test('appending against an older version than the indexed one conflicts', async () => {
+  await indexer.indexNotes();
+  
+  const options = { content: 'Pharmacy', modificationDate: NOTES[1].modificationDate };
+  const preview = await indexer.appendToNote('errands-1', options);
+  const result = await indexer.appendToNote('errands-1', { ...options, confirm: preview.confirm });
+  
+  assert.strictEqual(result.conflict, true);
+  
+  const current = await indexer.appendToNote('errands-1', { content: 'Pharmacy' });
+  const appended = await indexer.appendToNote('errands-1', { content: 'Pharmacy', confirm: current.confirm });
+  assert.strictEqual(appended.success, true, appended.error);
+  assert.strictEqual(await total('pharmacy'), 1);
+});
+
+test('unknown notes and empty writes', async () => {
+  assert.strictEqual((await indexer.appendToNote('missing-1', { content: 'x' })).notFound, true);
+  assert.match((await indexer.appendToNote('groceries-1', { content: ' ' })).error, /Markdown to append/);
+  assert.match((await indexer.createNote({ content: 'x' })).error, /title/);
+  assert.match((await indexer.createNote({ title: 'x', folder: 'Recently Deleted' })).error, /Recently Deleted/);
+});
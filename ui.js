@@ -1,4 +1,76 @@
 // UI.js - UI helpers for displaying notes in Cursor
+//
+// Every page is built with the html`` template tag, which escapes all
+// interpolated values. Markup is only inserted unescaped when it is wrapped
+// in SafeHtml: the output of html`` itself, raw() for trusted constants, or
+// note HTML that went through sanitizeHtml().
+
+const { renderSnippet } = require('./snippets');
+const { escapeHtml, sanitizeHtml } = require('./content');
+const { qualifiedFolder } = require('./folders');
+const { PHASE_LABELS } = require('./scheduler');
+const { countOf } = require('./format');
+
+/**
+ * HTML that is already safe to insert into a page
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+  
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Mark a trusted string as HTML
+ * @param {string} value - Markup written by this module
+ * @returns {SafeHtml} Unescaped HTML
+ */
+function raw(value) {
+  return new SafeHtml(String(value));
+}
+
+/**
+ * Convert an interpolated value to HTML
+ * @param {*} value - Value to insert
+ * @returns {string} Escaped HTML
+ */
+function toHtml(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(toHtml).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes every interpolated value
+ * @returns {SafeHtml} Resulting HTML
+ */
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? toHtml(values[i]) : ''), ''));
+}
+
+/**
+ * Inline click handler that sends a message to the extension
+ * @param {Object} message - Message for vscode.postMessage
+ * @returns {SafeHtml} Attribute value for onclick
+ */
+function postMessageHandler(message) {
+  // Escaped as an attribute value; the browser decodes it back to JSON
+  return html`vscode.postMessage(${JSON.stringify(message)}); return false;`;
+}
+
+/**
+ * Render a snippet with <mark> around the matched words
+ * @param {Object} snippet - Snippet with text and highlights
+ * @returns {SafeHtml} Highlighted HTML
+ */
+function highlight(snippet) {
+  return raw(renderSnippet(snippet, '<mark>', '</mark>', escapeHtml));
+}
 
 /**
  * Format a note for display in Cursor's UI
@@ -7,71 +79,228 @@
  * @returns {string} Formatted note HTML
  */
 function formatNote(note, detailed = false) {
+  return noteHtml(note, detailed).toString();
+}
+
+/**
+ * Build the HTML for a note
+ * @param {Object} note - Note object
+ * @param {boolean} detailed - Whether to include detailed content
+ * @param {Object} options - Optional { href, formatDate } for static pages:
+ *   href is the title's link target instead of opening the note in Cursor,
+ *   formatDate replaces the viewer's locale date format
+ * @returns {SafeHtml} Note HTML
+ */
+function noteHtml(note, detailed = false, options = {}) {
   // Format the date
-  const formatDate = (dateString) => {
+  const formatDate = options.formatDate || ((dateString) => {
     const date = new Date(dateString);
     return date.toLocaleString();
-  };
-
-  // Create note preview (first 150 chars)
-  const preview = note.body ? note.body.substring(0, 150) + (note.body.length > 150 ? '...' : '') : '';
+  });
   
-  // Basic note info
-  let noteHtml = `
-    <div class="note-item" style="margin-bottom: 10px; padding: 10px; border: 1px solid #ccc; border-radius: 5px;">
-      <h3 style="margin: 0 0 5px 0;">${note.name}</h3>
-      <div style="font-size: 0.8em; color: #666; margin-bottom: 5px;">
-        <span>Folder: ${note.folder}</span> · 
-        <span>Modified: ${formatDate(note.modificationDate)}</span>
-      </div>
-  `;
+  // Create note preview (first 150 chars of the plain text)
+  const text = note.text || '';
+  const preview = text.substring(0, 150) + (text.length > 150 ? '...' : '');
+  
+  // Search results highlight the matched words in the title
+  const name = note.nameHighlights && note.nameHighlights.length > 0
+    ? highlight({ text: note.name, highlights: note.nameHighlights })
+    : note.name;
+  
+  // In listings the title opens the full note
+  let title = name;
+  if (!detailed && options.href) {
+    title = html`<a href="${options.href}" style="text-decoration: none; color: inherit;">${name}</a>`;
+  } else if (!detailed) {
+    title = html`<a href="#" onclick="${postMessageHandler({ command: 'getNote', id: note.id })}" style="text-decoration: none; color: inherit;">${name}</a>`;
+  }
   
   // Add preview or full content based on detail level
+  let content;
   if (detailed) {
-    noteHtml += `
-      <div style="margin-top: 10px; white-space: pre-wrap;">${note.body}</div>
+    // Note HTML is untrusted: only allowlisted formatting survives
+    content = note.body
+      ? html`
+      <div style="margin-top: 10px;">${raw(sanitizeHtml(note.body))}</div>
+    `
+      : html`
+      <div style="margin-top: 10px; white-space: pre-wrap;">${text}</div>
     `;
+  } else if (note.snippets && note.snippets.length > 0) {
+    // Show where the query matched
+    content = note.snippets.map(snippet => html`
+      <div style="margin-top: 5px; color: #333;">${highlight(snippet)}</div>
+    `);
   } else {
-    noteHtml += `
+    content = html`
       <div style="margin-top: 5px; color: #333;">${preview}</div>
     `;
   }
   
-  // Close the container
-  noteHtml += `</div>`;
+  return html`
+    <div class="note-item" style="margin-bottom: 10px; padding: 10px; border: 1px solid #ccc; border-radius: 5px;">
+      <h3 style="margin: 0 0 5px 0;">${title}${note.isNew ? html` <span style="font-size: 0.7em; padding: 1px 6px; border-radius: 8px; background: #28a745; color: white;">New</span>` : ''}</h3>
+      <div style="font-size: 0.8em; color: #666; margin-bottom: 5px;">
+        <span>Folder: ${qualifiedFolder(note)}</span> ·
+        <span>Modified: ${formatDate(note.modificationDate)}</span>
+        ${note.tags && note.tags.length > 0 ? html` · <span>${note.tags.map(tag => '#' + tag).join(' ')}</span>` : ''}
+      </div>
+      ${content}
+    </div>`;
+}
+
+/**
+ * Create previous/next links for a page of search results
+ * @param {string} query - The search query
+ * @param {Object} pagination - { offset, limit, total }
+ * @param {Object} message - Message the links send, with the page's offset
+ *   added; searches the notes by default
+ * @returns {SafeHtml} HTML for the page links
+ */
+function formatPagination(query, pagination, message = { command: 'searchNotes', query }) {
+  const { offset, limit, total } = pagination;
+  
+  if (total <= limit) {
+    return html``;
+  }
+  
+  const link = (label, pageOffset) => html`<a href="#" onclick="${postMessageHandler({ ...message, offset: pageOffset })}" style="text-decoration: none; color: #0366d6;">${raw(label)}</a>`;
+  
+  const links = [];
+  if (offset > 0) {
+    links.push(link('&larr; Previous', Math.max(0, offset - limit)));
+  }
+  if (offset + limit < total) {
+    links.push(link('Next &rarr;', offset + limit));
+  }
   
-  return noteHtml;
+  return html`
+      <div style="display: flex; justify-content: space-between; margin-top: 15px;">
+        ${links}
+      </div>
+  `;
+}
+
+/**
+ * Create the tag facet list shown next to search results
+ * @param {string} query - The search query
+ * @param {Array} tags - Tags as { name, count }
+ * @returns {SafeHtml} HTML for the facet list
+ */
+function formatTagFacets(query, tags) {
+  return html`
+      <div style="flex: 0 0 180px; margin-top: 15px;">
+        <h3 style="margin: 0 0 10px 0;">Tags</h3>
+        ${tags.map(tag => html`
+        <div style="display: flex; justify-content: space-between; padding: 4px 0;">
+          <a href="#" onclick="${postMessageHandler({ command: 'searchNotes', query: `${query} tag:${tag.name}` })}" style="text-decoration: none; color: #0366d6;">#${tag.name}</a>
+          <span style="color: #666;">${tag.count}</span>
+        </div>
+        `)}
+      </div>
+  `;
 }
 
 /**
  * Create a search results page
  * @param {Array} results - Array of note results
  * @param {string} query - The search query
+ * @param {Object} pagination - Optional { offset, limit, total } for paged results
+ * @param {Object} facets - Optional { tags } counted across all results
+ * @param {Object} options - Optional { approximate, didYouMean } from
+ *   searchNotes, and savedSearch for the results of a saved search
  * @returns {string} HTML content for display
  */
-function createSearchResultsPage(results, query) {
-  let html = `
+function createSearchResultsPage(results, query, pagination = null, facets = null, options = {}) {
+  const { approximate, didYouMean, savedSearch } = options;
+  const total = pagination ? pagination.total : results.length;
+  const offset = pagination ? pagination.offset : 0;
+  const range = results.length > 0 && results.length < total
+    ? html` Showing ${offset + 1}&ndash;${offset + results.length}.`
+    : '';
+  
+  const items = results.length === 0
+    ? html`<p>No results found. Try a different search term.</p>`
+    : results.map(note => noteHtml(note));
+  
+  return html`
     <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      ${savedSearch ? html`
+      <h2>${savedSearch.name}</h2>
+      <p style="color: #666;">Saved search for "${query}" · ${savedSearch.newMatches} new since the last run ·
+        <a href="#" onclick="${postMessageHandler({ command: 'listSavedSearches' })}" style="text-decoration: none; color: #0366d6;">All saved searches</a>
+      </p>
+      ` : html`
       <h2>Search Results for "${query}"</h2>
-      <p>Found ${results.length} notes.</p>
-      <div style="margin-top: 15px;">
-  `;
+      `}
+      <p>Found ${countOf(total, 'note')}.${range}${approximate ? ' Few notes matched exactly, so similar words are included.' : ''}</p>
+      ${didYouMean ? html`
+      <p>
+        Did you mean
+        <a href="#" onclick="${postMessageHandler({ command: 'searchNotes', query: didYouMean })}" style="text-decoration: none; color: #0366d6;"><strong>${didYouMean}</strong></a>?
+      </p>
+      ` : ''}
+      <div style="display: flex; gap: 20px;">
+        <div style="flex: 1; margin-top: 15px;">
+          ${items}
+        </div>
+        ${facets && facets.tags.length > 0 ? formatTagFacets(query, facets.tags) : ''}
+      </div>
+      ${pagination ? formatPagination(query, pagination, savedSearch ? { command: 'runSavedSearch', name: savedSearch.name } : undefined) : ''}
+    </div>
+  `.toString();
+}
+
+/**
+ * Create the page listing the saved searches, each run with one click and
+ * showing how many notes it newly matches, and the recent queries
+ * @param {Object} result - listSavedSearches result: { searches, recentQueries }
+ * @returns {string} HTML content for display
+ */
+function createSavedSearchesPage(result) {
+  const link = (label, message) => html`<a href="#" onclick="${postMessageHandler(message)}" style="text-decoration: none; color: #0366d6;">${label}</a>`;
   
-  if (results.length === 0) {
-    html += `<p>No results found. Try a different search term.</p>`;
-  } else {
-    // Add each note to the results
-    results.forEach(note => {
-      html += formatNote(note);
-    });
-  }
+  const searches = result.searches.length === 0
+    ? html`<p>No saved searches yet. Save one of the recent queries below, or use the saveSearch command.</p>`
+    : result.searches.map(search => html`
+        <div class="note-item" style="margin-bottom: 10px; padding: 10px; border: 1px solid #ccc; border-radius: 5px;">
+          <div style="display: flex; justify-content: space-between;">
+            <a href="#" onclick="${postMessageHandler({ command: 'runSavedSearch', name: search.name })}" style="text-decoration: none; color: inherit; font-weight: bold;">${search.pinned ? '📌 ' : ''}${search.name}</a>
+            ${search.newMatches > 0
+              ? html`<span style="padding: 1px 8px; border-radius: 8px; background: #28a745; color: white;">${search.newMatches} new</span>`
+              : ''}
+          </div>
+          <div style="font-size: 0.8em; color: #666; margin-top: 5px;">
+            <code>${search.query}</code> · ${countOf(search.total, 'note')} ·
+            ${search.lastRunAt ? `Last run: ${new Date(search.lastRunAt).toLocaleString()}` : 'Not run yet'} ·
+            ${link(search.pinned ? 'Unpin' : 'Pin', { command: 'saveSearch', name: search.name, pinned: !search.pinned })} ·
+            ${link('Delete', { command: 'deleteSavedSearch', name: search.name })}
+          </div>
+        </div>
+      `);
   
-  html += `
+  const recent = result.recentQueries.length === 0
+    ? html`<p>No recent queries.</p>`
+    : result.recentQueries.map(entry => html`
+        <div style="display: flex; justify-content: space-between; padding: 4px 0;">
+          <span>
+            ${link(entry.query, { command: 'searchNotes', query: entry.query })}
+            <span style="font-size: 0.8em; color: #666;">· ${entry.count}&times; · ${new Date(entry.lastUsed).toLocaleString()}</span>
+          </span>
+          ${link('Save', { command: 'saveSearch', name: entry.query, query: entry.query })}
+        </div>
+      `);
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <h2>Saved Searches</h2>
+      <div style="margin-top: 15px;">
+        ${searches}
       </div>
+      <h3 style="margin: 20px 0 10px 0;">Recent Queries</h3>
+      ${recent}
     </div>
-  `;
-  
-  return html;
+  `.toString();
 }
 
 /**
@@ -80,14 +309,227 @@ function createSearchResultsPage(results, query) {
  * @returns {string} HTML content for display
  */
 function createNoteDetailPage(note) {
-  return `
+  return html`
     <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
       <div style="margin-bottom: 15px;">
         <a href="#" onclick="window.history.back(); return false;" style="text-decoration: none; color: #0366d6;">
           &larr; Back to results
         </a>
+        ·
+        <a href="#" onclick="${postMessageHandler({ command: 'noteHistory', id: note.id })}" style="text-decoration: none; color: #0366d6;">
+          History
+        </a>
+        ·
+        <a href="#" onclick="${postMessageHandler({ command: 'relatedNotes', id: note.id })}" style="text-decoration: none; color: #0366d6;">
+          Related notes
+        </a>
       </div>
-      ${formatNote(note, true)}
+      ${noteHtml(note, true)}
+    </div>
+  `.toString();
+}
+
+/**
+ * Link that opens a folder page
+ * @param {Object} folder - Folder tree node
+ * @param {*} label - Link content
+ * @returns {SafeHtml} Link HTML
+ */
+function folderLink(folder, label) {
+  return html`<a href="#" onclick="${postMessageHandler({ command: 'getNotesByFolder', folder: folder.path, account: folder.account })}" style="text-decoration: none; color: #0366d6;">${label}</a>`;
+}
+
+/**
+ * Render folder tree nodes as nested rows
+ * @param {Array} folders - Folder tree nodes
+ * @param {number} depth - Nesting depth for indentation
+ * @returns {Array} Row HTML
+ */
+function folderRows(folders, depth = 0) {
+  return folders.map(folder => html`
+        <div style="display: flex; justify-content: space-between; padding: 8px 10px 8px ${10 + depth * 20}px; border-bottom: 1px solid #eee;">
+          ${folderLink(folder, folder.name)}
+          <span style="color: #666;">${folder.total}</span>
+        </div>
+        ${folderRows(folder.children, depth + 1)}
+      `);
+}
+
+/**
+ * Create a page listing the notes in one folder
+ * @param {string} folder - Folder path
+ * @param {Array} notes - Notes directly in the folder
+ * @param {Object} options - Optional { account, subfolders } where
+ *   subfolders are folder tree nodes to browse into
+ * @returns {string} HTML content for display
+ */
+function createFolderPage(folder, notes, options = {}) {
+  const { account, subfolders = [] } = options;
+  
+  const items = notes.length === 0
+    ? html`<p>${subfolders.length > 0 ? 'No notes directly in this folder.' : 'This folder is empty.'}</p>`
+    : notes.map(note => noteHtml(note));
+  
+  const subfolderList = subfolders.length > 0
+    ? html`
+      <div style="margin-top: 15px;">
+        <h3 style="margin: 0 0 10px 0;">Subfolders</h3>
+        ${folderRows(subfolders)}
+      </div>
+    `
+    : '';
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <div style="margin-bottom: 15px;">
+        <a href="#" onclick="${postMessageHandler({ command: 'getNotesByFolder' })}" style="text-decoration: none; color: #0366d6;">
+          &larr; All folders
+        </a>
+      </div>
+      <h2>${account ? `${account}/${folder}` : folder}</h2>
+      <p>${countOf(notes.length, 'note')}.</p>
+      ${subfolderList}
+      <div style="margin-top: 15px;">
+        ${items}
+      </div>
+    </div>
+  `.toString();
+}
+
+/**
+ * Create a page listing all accounts and their folders
+ * @param {Array} folders - Account nodes from the folder tree
+ * @returns {string} HTML content for display
+ */
+function createFolderListPage(folders) {
+  const items = folders.length === 0
+    ? html`<p>No notes indexed yet.</p>`
+    : folders.map(account => html`
+      <div style="margin-top: 15px;">
+        <h3 style="margin: 0 0 5px 0;">${account.name || 'Notes'} <span style="font-weight: normal; color: #666;">(${account.total})</span></h3>
+        ${folderRows(account.children)}
+      </div>
+    `);
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <h2>Folders</h2>
+      ${items}
+    </div>
+  `.toString();
+}
+
+/**
+ * List the notes the last sync added, updated or removed
+ * @param {Array} changedNotes - { id, name, change, revision } entries
+ * @param {Object} counts - { added, updated, removed } of the last sync
+ * @returns {SafeHtml} List HTML, empty when nothing changed
+ */
+function changedNotesHtml(changedNotes, counts) {
+  if (!changedNotes || changedNotes.length === 0) {
+    return html``;
+  }
+  
+  const total = counts.added + counts.updated + counts.removed;
+  
+  return html`
+    <div style="margin-top: 15px;">
+      <strong>Changed Notes:</strong>
+      <ul style="margin: 5px 0 0 0; padding-left: 20px;">
+        ${changedNotes.map(note => html`
+        <li>
+          ${note.change === 'removed'
+            ? html`<span style="color: #666; text-decoration: line-through;">${note.name}</span>`
+            : html`<a href="#" onclick="${postMessageHandler({ command: 'getNote', id: note.id })}" style="text-decoration: none; color: #0366d6;">${note.name}</a>`}
+          <span style="font-size: 0.8em; color: #666;">${note.change}</span>
+          ${note.revision ? html`· <a href="#" onclick="${postMessageHandler({ command: 'noteHistory', id: note.id })}" style="font-size: 0.8em; text-decoration: none; color: #0366d6;">show changes</a>` : ''}
+        </li>
+        `)}
+      </ul>
+      ${total > changedNotes.length ? html`<p style="font-size: 0.8em; color: #666;">and ${total - changedNotes.length} more</p>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render the running index job with its progress and a cancel button, the
+ * job queued behind it, and a sync that was cancelled or failed
+ * @param {Object} jobs - { running, queued, last } from the index stats
+ * @returns {SafeHtml} Indexing HTML, empty when no job needs mentioning
+ */
+function indexingHtml(jobs) {
+  const { running, queued, last } = jobs || {};
+  const button = (label, command) => html`<button onclick="${postMessageHandler({ command })}" style="padding: 4px 12px; margin-right: 8px; border: 1px solid #ccc; border-radius: 4px; background: white; cursor: pointer;">${label}</button>`;
+  
+  if (running || queued) {
+    const progress = running ? running.progress : null;
+    const percent = progress && progress.total > 0 ? Math.round((progress.current / progress.total) * 100) : 0;
+    const cancelling = [running, queued].some(job => job && job.cancelRequested);
+    
+    let status = 'Waiting for the current task to finish';
+    if (cancelling) {
+      status = 'Cancelling…';
+    } else if (progress && progress.phase === 'saving') {
+      status = `${PHASE_LABELS.saving}: ${progress.current} of ${progress.total} (${progress.note})`;
+    } else if (progress) {
+      status = PHASE_LABELS[progress.phase];
+    }
+    
+    return html`
+      <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin-top: 15px;">
+        <h3 style="margin: 0 0 10px 0;">Indexing</h3>
+        <div style="background: #ddd; border-radius: 3px; height: 8px; margin-bottom: 8px;">
+          <div style="background: #0366d6; border-radius: 3px; height: 8px; width: ${percent}%;"></div>
+        </div>
+        <p style="margin: 0 0 10px 0;">${status}</p>
+        ${running && queued ? html`<p style="margin: 0 0 10px 0;">Another sync is queued to run next.</p>` : ''}
+        <p style="margin: 0 0 10px 0; color: #666;">Searches use the previous index until this sync completes.</p>
+        ${cancelling ? '' : button('Cancel', 'cancelIndexing')}
+        ${button('Refresh', 'viewIndex')}
+      </div>
+    `;
+  }
+  
+  if (last && (last.state === 'cancelled' || last.state === 'failed')) {
+    return html`
+      <div style="background: #fff8e1; padding: 15px; border-radius: 5px; margin-top: 15px;">
+        <strong>The last sync ${last.state === 'cancelled' ? 'was cancelled' : `failed: ${last.error}`}</strong>
+        <span style="color: #666;"> · ${new Date(last.finishedAt).toLocaleString()}</span>
+      </div>
+    `;
+  }
+  
+  return html``;
+}
+
+/**
+ * Render the background sync settings with a button to start or stop it
+ * @param {Object} watch - Schedule from the index stats, null when stopped
+ * @returns {SafeHtml} Background sync HTML
+ */
+function watchHtml(watch) {
+  const link = (label, command) => html`<a href="#" onclick="${postMessageHandler({ command })}" style="text-decoration: none; color: #0366d6;">${label}</a>`;
+  
+  if (!watch) {
+    return html`
+      <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin-top: 15px;">
+        <h3 style="margin: 0 0 10px 0;">Background Sync</h3>
+        <p style="margin: 0;">Off · ${link('Start', 'startWatching')}</p>
+      </div>
+    `;
+  }
+  
+  const when = [
+    watch.intervalMinutes > 0 ? `every ${countOf(watch.intervalMinutes, 'minute')}` : '',
+    watch.watching.length > 0 ? 'when notes change' : ''
+  ].filter(Boolean).join(' and ');
+  
+  return html`
+    <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin-top: 15px;">
+      <h3 style="margin: 0 0 10px 0;">Background Sync</h3>
+      <p style="margin: 0 0 10px 0;">On, syncing ${when || 'on request only'} · ${link('Stop', 'stopWatching')}</p>
+      ${watch.nextRun ? html`<div style="font-size: 0.9em; color: #666;">Next scheduled sync: ${new Date(watch.nextRun).toLocaleString()}</div>` : ''}
+      ${watch.watching.map(path => html`<div style="font-size: 0.9em; color: #666;">Watching ${path}</div>`)}
     </div>
   `;
 }
@@ -101,7 +543,83 @@ function createIndexStatusPage(stats) {
   const statusClass = stats.isIndexed ? 'text-success' : 'text-warning';
   const statusText = stats.isIndexed ? 'Indexed' : 'Not Indexed';
   
-  return `
+  // Summary of what the last sync changed
+  let changesHtml = '';
+  if (stats.lastChanges) {
+    const { added, updated, removed, unchanged } = stats.lastChanges;
+    changesHtml = html`
+      <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin-top: 15px;">
+        <h3 style="margin: 0 0 10px 0;">Last Sync</h3>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+          <strong>Added:</strong>
+          <span>${added}</span>
+        </div>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+          <strong>Updated:</strong>
+          <span>${updated}</span>
+        </div>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+          <strong>Removed:</strong>
+          <span>${removed}</span>
+        </div>
+        <div style="display: flex; justify-content: space-between;">
+          <strong>Unchanged:</strong>
+          <span>${unchanged}</span>
+        </div>
+        ${changedNotesHtml(stats.changedNotes, stats.lastChanges)}
+      </div>
+    `;
+  }
+  
+  // Counts only; excluded notes and redacted values are never shown
+  let privacyHtml = '';
+  if (stats.privacy) {
+    const { excluded, redacted, redactedNotes } = stats.privacy;
+    privacyHtml = html`
+      <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin-top: 15px;">
+        <h3 style="margin: 0 0 10px 0;">Privacy</h3>
+        <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+          <strong>Excluded Notes:</strong>
+          <span>${excluded}</span>
+        </div>
+        <div style="display: flex; justify-content: space-between;">
+          <strong>Redacted Values:</strong>
+          <span>${redacted} in ${countOf(redactedNotes, 'note')}</span>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Where the indexed notes came from, shown once notes were imported
+  let sourcesHtml = '';
+  const sources = Object.entries(stats.sources || {});
+  if (sources.length > 1 || sources.some(([source]) => source !== 'apple-notes')) {
+    const labels = { 'apple-notes': 'Apple Notes', enex: 'Evernote', markdown: 'Markdown', filesystem: 'Files' };
+    sourcesHtml = html`
+      <div style="background: #f5f5f5; padding: 15px; border-radius: 5px; margin-top: 15px;">
+        <h3 style="margin: 0 0 10px 0;">Sources</h3>
+        ${sources.map(([source, count]) => html`
+          <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
+            <strong>${labels[source] || source}:</strong>
+            <span>${count}</span>
+          </div>
+        `)}
+      </div>
+    `;
+  }
+  
+  // Whether the stored notes and index are encrypted at rest
+  let storageHtml = '';
+  if (stats.encrypted !== undefined) {
+    storageHtml = html`
+        <div style="display: flex; justify-content: space-between; margin-bottom: 10px;">
+          <strong>Storage:</strong>
+          <span>${stats.encrypted ? 'Encrypted' : 'Not encrypted'}</span>
+        </div>
+    `;
+  }
+  
+  return html`
     <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
       <h2>Apple Notes Index Status</h2>
       
@@ -115,25 +633,402 @@ function createIndexStatusPage(stats) {
           <strong>Total Notes:</strong>
           <span>${stats.totalNotes}</span>
         </div>
-        
+        ${storageHtml}
         <div style="display: flex; justify-content: space-between;">
           <strong>Indexed Notes:</strong>
           <span>${stats.indexed}</span>
         </div>
       </div>
-      
+      ${indexingHtml(stats.jobs)}
+      ${changesHtml}
+      ${stats.jobs ? watchHtml(stats.watch) : ''}
+      ${sourcesHtml}
+      ${privacyHtml}
       <div style="margin-top: 20px;">
         <button onclick="vscode.postMessage({command: 'indexNotes'})" style="padding: 8px 16px; background: #0366d6; color: white; border: none; border-radius: 4px; cursor: pointer;">
           ${stats.isIndexed ? 'Re-index Notes' : 'Index Notes'}
         </button>
       </div>
     </div>
+  `.toString();
+}
+
+/**
+ * Create a page listing checklist items grouped by folder and note
+ * @param {Object} tasks - listTasks result: { folders, count, open, done }
+ * @param {Object} options - Filters the tasks were listed with
+ *   ({ status, query, folder, dateRange })
+ * @returns {string} HTML content for display
+ */
+function createTaskListPage(tasks, options) {
+  const titles = { open: 'Open Tasks', done: 'Completed Tasks', all: 'All Tasks' };
+  const scope = [
+    options.query ? `matching "${options.query}"` : '',
+    options.folder ? `in ${options.folder}` : ''
+  ].filter(Boolean).join(' ');
+  
+  // Switch between open, done and all while keeping the other filters
+  const statusLinks = Object.keys(titles).map(status => status === options.status
+    ? html`<strong>${status}</strong>`
+    : html`<a href="#" onclick="${postMessageHandler({ ...options, command: 'listTasks', status })}" style="text-decoration: none; color: #0366d6;">${status}</a>`);
+  
+  const items = tasks.folders.length === 0
+    ? html`<p>No tasks found.</p>`
+    : tasks.folders.map(folder => html`
+        <h3 style="margin: 20px 0 10px 0;">${folder.name}</h3>
+        ${folder.notes.map(note => html`
+        <div class="note-item" style="margin-bottom: 10px; padding: 10px; border: 1px solid #ccc; border-radius: 5px;">
+          <div style="margin-bottom: 5px;">
+            <a href="#" onclick="${postMessageHandler({ command: 'getNote', id: note.id })}" style="text-decoration: none; color: inherit; font-weight: bold;">${note.name}</a>
+            <span style="font-size: 0.8em; color: #666;"> · Modified: ${new Date(note.modificationDate).toLocaleString()}</span>
+          </div>
+          ${note.tasks.map(task => html`
+          <div style="padding: 2px 0;${task.done ? ' color: #666; text-decoration: line-through;' : ''}">${task.done ? '☑' : '☐'} ${task.text}</div>
+          `)}
+        </div>
+        `)}
+      `);
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <h2>${titles[options.status]}${scope ? ' ' + scope : ''}</h2>
+      <p>${tasks.open} open · ${tasks.done} done · Show: ${statusLinks.map((link, i) => html`${i > 0 ? ' | ' : ''}${link}`)}</p>
+      <div style="margin-top: 15px;">
+        ${items}
+      </div>
+    </div>
+  `.toString();
+}
+
+/**
+ * Render the hunks of a line diff, removed lines in red and added in green
+ * @param {Array} hunks - Hunks from diffHunks
+ * @returns {SafeHtml} Diff HTML
+ */
+function diffHtml(hunks) {
+  const styles = {
+    '+': 'background: #e6ffed; color: #22863a;',
+    '-': 'background: #ffeef0; color: #b31d28;',
+    ' ': ''
+  };
+  
+  return html`
+    <pre style="font-size: 0.9em; border: 1px solid #ccc; border-radius: 5px; padding: 10px; overflow-x: auto;">${hunks.map(hunk => html`<div style="color: #666;">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</div>${hunk.lines.map(line => html`<div style="${styles[line.type]}">${line.type} ${line.text}</div>`)}`)}</pre>
   `;
 }
 
+/**
+ * Create a page listing a note's revisions, with the changes between two
+ * of them
+ * @param {Object} history - noteHistory result: { id, name, revisions, diff }
+ * @returns {string} HTML content for display
+ */
+function createNoteHistoryPage(history) {
+  const label = revision => (revision === 'current' ? 'Current' : `Revision ${revision}`);
+  const compare = (from, to) => postMessageHandler({ command: 'noteHistory', id: history.id, from, to });
+  const { diff } = history;
+  
+  let diffSection = html`<p>No earlier revisions yet. A revision is kept each time the note is edited between syncs.</p>`;
+  if (diff) {
+    diffSection = html`
+      <h3 style="margin: 20px 0 10px 0;">${label(diff.from)} &rarr; ${label(diff.to)}</h3>
+      ${diff.fromName !== diff.toName ? html`<p>Title changed from "${diff.fromName}" to "${diff.toName}".</p>` : ''}
+      <p>Lines added: ${diff.added}, removed: ${diff.removed}</p>
+      ${diff.hunks.length > 0 ? diffHtml(diff.hunks) : html`<p>The text is the same.</p>`}
+    `;
+  }
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <div style="margin-bottom: 15px;">
+        <a href="#" onclick="${postMessageHandler({ command: 'getNote', id: history.id })}" style="text-decoration: none; color: #0366d6;">
+          &larr; Back to note
+        </a>
+      </div>
+      <h2>History of ${history.name}</h2>
+      <table style="border-collapse: collapse;">
+        ${history.revisions.map((revision, i) => html`
+        <tr>
+          <td style="padding: 4px 15px 4px 0;"><strong>${label(revision.revision)}</strong></td>
+          <td style="padding: 4px 15px 4px 0;">${new Date(revision.modificationDate).toLocaleString()}</td>
+          <td style="padding: 4px 15px 4px 0;">${revision.name}</td>
+          <td style="padding: 4px 0;">
+            ${revision.revision !== 'current' ? html`<a href="#" onclick="${compare(revision.revision, 'current')}" style="text-decoration: none; color: #0366d6;">compare with current</a>` : ''}
+            ${i > 0 && revision.revision !== 'current' ? ' · ' : ''}
+            ${i > 0 ? html`<a href="#" onclick="${compare(history.revisions[i - 1].revision, revision.revision)}" style="text-decoration: none; color: #0366d6;">changes from previous</a>` : ''}
+          </td>
+        </tr>
+        `)}
+      </table>
+      ${diffSection}
+    </div>
+  `.toString();
+}
+
+/**
+ * Link opening a note, titled with its name
+ * @param {Object} note - Note summary
+ * @returns {Object} HTML for the link
+ */
+function noteLink(note) {
+  return html`<a href="#" onclick="${postMessageHandler({ command: 'getNote', id: note.id })}" style="text-decoration: none; color: #0366d6;">${note.name}</a>`;
+}
+
+/**
+ * Similarity as a percentage
+ * @param {number} score - From 0 to 1
+ * @returns {string} For example "87%"
+ */
+const percent = score => `${Math.round(score * 100)}%`;
+
+/**
+ * Creates the page listing the notes most similar to a note
+ * @param {Object} result - Result of relatedNotes
+ * @returns {string} HTML content
+ */
+function createRelatedNotesPage(result) {
+  const list = result.related.length === 0
+    ? html`<p>No similar notes found.</p>`
+    : html`
+      <table style="border-collapse: collapse;">
+        ${result.related.map(note => html`
+        <tr>
+          <td style="padding: 4px 15px 4px 0; text-align: right;"><strong>${percent(note.score)}</strong></td>
+          <td style="padding: 4px 15px 4px 0;">${noteLink(note)}</td>
+          <td style="padding: 4px 15px 4px 0; color: #666;">${qualifiedFolder(note)}</td>
+          <td style="padding: 4px 0; color: #666;">${note.sharedTerms.join(', ')}</td>
+        </tr>
+        `)}
+      </table>
+    `;
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <div style="margin-bottom: 15px;">
+        <a href="#" onclick="${postMessageHandler({ command: 'getNote', id: result.id })}" style="text-decoration: none; color: #0366d6;">
+          &larr; Back to note
+        </a>
+      </div>
+      <h2>Notes related to ${result.name}</h2>
+      <p style="color: #666;">Scored by the words the notes share, rare words counting most.</p>
+      ${list}
+    </div>
+  `.toString();
+}
+
+/**
+ * Creates the page listing groups of near-identical notes
+ * @param {Object} result - Result of findDuplicates
+ * @returns {string} HTML content
+ */
+function createDuplicatesPage(result) {
+  const scope = result.folder ? html` in ${result.folder}` : '';
+  
+  const groups = result.groups.length === 0
+    ? html`<p>No near-identical notes found${scope}.</p>`
+    : result.groups.map(group => html`
+      <div style="margin-bottom: 10px; padding: 10px; border: 1px solid #ccc; border-radius: 5px;">
+        <div style="font-size: 0.8em; color: #666; margin-bottom: 5px;">
+          ${group.notes.length} notes, ${percent(group.similarity)} similar
+        </div>
+        ${group.notes.map(note => html`
+        <div style="margin: 4px 0;">
+          ${noteLink(note)}
+          <span style="font-size: 0.8em; color: #666;">
+            · ${qualifiedFolder(note)} · Modified: ${new Date(note.modificationDate).toLocaleString()}
+          </span>
+        </div>
+        `)}
+      </div>
+    `);
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <h2>Duplicate notes${scope}</h2>
+      <p>${countOf(result.duplicates, 'note')} in ${countOf(result.groups.length, 'group')}, at least ${percent(result.threshold)} similar.</p>
+      <div style="margin-top: 15px;">
+        ${groups}
+      </div>
+    </div>
+  `.toString();
+}
+
+// Dates on exported pages do not depend on the exporting machine's locale
+const exportDate = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Wrap page content in a standalone HTML document. The policy blocks
+ * scripts, so exported pages stay inert wherever they are opened.
+ * @param {string} title - Document title
+ * @param {SafeHtml} body - Page content
+ * @returns {string} Complete HTML document
+ */
+function staticDocument(title, body) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src data: https:; style-src 'unsafe-inline'">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+</head>
+<body>
+  <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px; max-width: 900px; margin: 0 auto;">
+    ${body}
+  </div>
+</body>
+</html>
+`.toString();
+}
+
+/**
+ * Create the start page of a static HTML export
+ * @param {Array} groups - { folder, notes } with notes in display order,
+ *   each { note, href } where href is the note page relative to this page
+ * @param {string} title - Page title
+ * @returns {string} Complete HTML document
+ */
+function createExportIndexPage(groups, title) {
+  const count = groups.reduce((total, group) => total + group.notes.length, 0);
+  
+  const items = groups.length === 0
+    ? html`<p>No notes were exported.</p>`
+    : groups.map(group => html`
+    <h3 style="margin: 20px 0 10px 0;">${group.folder}</h3>
+    ${group.notes.map(({ note, href }) => noteHtml(note, false, { href, formatDate: exportDate }))}
+    `);
+  
+  return staticDocument(title, html`
+    <h2>${title}</h2>
+    <p>${countOf(count, 'note')}.</p>
+    ${items}
+  `);
+}
+
+/**
+ * Create the page of one note in a static HTML export
+ * @param {Object} note - The note object
+ * @param {string} indexHref - Start page relative to this page
+ * @returns {string} Complete HTML document
+ */
+function createExportNotePage(note, indexHref) {
+  return staticDocument(note.name, html`
+    <div style="margin-bottom: 15px;">
+      <a href="${indexHref}" style="text-decoration: none; color: #0366d6;">&larr; All notes</a>
+    </div>
+    ${noteHtml(note, true, { formatDate: exportDate })}
+  `);
+}
+
+/**
+ * Create a short message page
+ * @param {string} message - Message text
+ * @returns {string} HTML content for display
+ */
+function createMessagePage(message) {
+  return html`<div style="padding: 10px;">${message}</div>`.toString();
+}
+
+/**
+ * Create an error page
+ * @param {string} message - Error message
+ * @returns {string} HTML content for display
+ */
+function createErrorPage(message) {
+  return html`<div style="color: red; padding: 10px;">Error: ${message}</div>`.toString();
+}
+
+/**
+ * Creates the page of code snippets matching a search, each with a link
+ * that inserts it at the cursor
+ * @param {Array} results - Snippets from searchSnippets
+ * @param {string} query - The search query, possibly empty
+ * @param {Object} pagination - { offset, limit, total }
+ * @param {Object} options - { language, folder } the search was narrowed by
+ * @returns {string} HTML content
+ */
+function createSnippetResultsPage(results, query, pagination, options = {}) {
+  const { offset, total } = pagination;
+  const range = results.length > 0 && results.length < total
+    ? html` Showing ${offset + 1}&ndash;${offset + results.length}.`
+    : '';
+  const heading = [query && `"${query}"`, options.language, options.folder && `in ${options.folder}`]
+    .filter(Boolean)
+    .join(' ');
+  
+  const items = results.length === 0
+    ? html`<p>No code snippets found.</p>`
+    : results.map(snippet => html`
+      <div style="margin-bottom: 10px; padding: 10px; border: 1px solid #ccc; border-radius: 5px;">
+        <div style="display: flex; justify-content: space-between; font-size: 0.8em; color: #666;">
+          <span>
+            <strong>${snippet.language}</strong> ·
+            ${noteLink({ id: snippet.noteId, name: snippet.noteName })} ·
+            ${qualifiedFolder(snippet)}
+          </span>
+          <a href="#" onclick="${postMessageHandler({ command: 'insertSnippet', id: snippet.id })}" style="text-decoration: none; color: #0366d6;">Insert at cursor</a>
+        </div>
+        <pre style="margin: 8px 0 0 0; padding: 8px; background: #f6f8fa; border-radius: 4px; overflow-x: auto;"><code>${snippet.code}</code></pre>
+      </div>
+    `);
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <h2>Code snippets${heading ? ` for ${heading}` : ''}</h2>
+      <p>Found ${countOf(total, 'snippet')}.${range}</p>
+      ${items}
+      ${formatPagination(query, pagination, { command: 'searchSnippets', query, language: options.language, folder: options.folder })}
+    </div>
+  `.toString();
+}
+
+/**
+ * Creates the page showing a note about to be created or added to, with
+ * the button that writes it
+ * @param {Object} preview - Preview from createNote or appendToNote
+ * @param {Object} confirmMessage - Message that confirms the write
+ * @returns {string} HTML content
+ */
+function createWritePreviewPage(preview, confirmMessage) {
+  const creating = preview.action === 'create';
+  const target = creating
+    ? html`New note in <strong>${qualifiedFolder(preview)}</strong>`
+    : html`Adding to the end of ${noteLink({ id: preview.id, name: preview.title })} in ${qualifiedFolder(preview)},
+      as last modified ${new Date(preview.modificationDate).toLocaleString()}`;
+  
+  return html`
+    <div style="font-family: system-ui, -apple-system, sans-serif; padding: 15px;">
+      <h2>${creating ? 'Create note' : 'Append to note'}</h2>
+      <p>${target}</p>
+      <div style="margin: 10px 0; padding: 10px; border: 1px solid #ccc; border-radius: 5px;">
+        ${raw(sanitizeHtml(preview.html))}
+      </div>
+      <p style="font-size: 0.9em; color: #666;">Nothing is written until you confirm.</p>
+      <button onclick="${postMessageHandler(confirmMessage)}" style="padding: 8px 16px; background: #0366d6; color: white; border: none; border-radius: 4px; cursor: pointer;">
+        ${creating ? 'Create note' : 'Append to note'}
+      </button>
+    </div>
+  `.toString();
+}
+
 module.exports = {
+  html,
+  raw,
   formatNote,
   createSearchResultsPage,
+  createSavedSearchesPage,
   createNoteDetailPage,
-  createIndexStatusPage
-};
\ No newline at end of file
+  createFolderPage,
+  createFolderListPage,
+  createIndexStatusPage,
+  createTaskListPage,
+  createNoteHistoryPage,
+  createRelatedNotesPage,
+  createDuplicatesPage,
+  createSnippetResultsPage,
+  createWritePreviewPage,
+  createExportIndexPage,
+  createExportNotePage,
+  createMessagePage,
+  createErrorPage
+};